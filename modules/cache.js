@@ -15,13 +15,106 @@ function parseIntStrict(s, name) {
     return n;
 }
 
+/**
+ * One access per line: an optional R/W prefix followed by a hex address.
+ *  - "0x1F"      (read)
+ *  - "R 0x1F"
+ *  - "W 0x1F" / "W: 0x1F"
+ *  - "W 0x1F = 0xBEEF" (store value, used when data tracking is on)
+ * Returns [{ op: "R" | "W", addr: BigInt, value: BigInt | null }].
+ */
 function parseAddresses(text) {
     const lines = (text ?? "")
         .split(/\r?\n/)
         .map(l => l.trim())
-        .filter(l => l.length > 0);
+        .filter(l => l.length > 0 && !l.startsWith("#"));
 
-    return lines.map(l => parseHexToBigInt(l));
+    return lines.map(l => {
+        const m = l.match(/^([RW])\s*[:\s]\s*(.+)$/i);
+        const op = m ? m[1].toUpperCase() : "R";
+        // only "=" attaches a value; spaces stay inside the address ("0x0000 0010" is 0x10)
+        const [addrText, valueText, ...extra] = (m ? m[2] : l).split("=");
+        if (extra.length > 0) throw new Error(`Invalid access line: "${l}" (more than one "=")`);
+        if (valueText != null && !valueText.trim()) throw new Error(`Invalid access line: "${l}" (missing value after "=")`);
+        if (valueText != null && op === "R") throw new Error(`Invalid access line: "${l}" (only stores take a value)`);
+        return {
+            op,
+            addr: parseHexToBigInt(addrText),
+            value: valueText != null ? parseDataValue(valueText) : null,
+        };
+    });
+}
+
+// Data values are hex with 0x prefix, otherwise decimal
+function parseDataValue(text) {
+    const t = text.trim();
+    if (/^0x[0-9a-f_]+$/i.test(t)) return parseHexToBigInt(t);
+    if (/^-?\d+$/.test(t)) return BigInt(t);
+    throw new Error(`Invalid data value: "${text}"`);
+}
+
+/**
+ * Memory image lines: "addr value" or "addr: value" / "addr = value".
+ * `unit` is the size of each value in bytes (1 for a byte image, the store size for words);
+ * words are stored little-endian. Returns Map(byte address → byte).
+ */
+function parseMemoryImage(text, unit) {
+    const mem = new Map();
+    const lines = (text ?? "")
+        .split(/\r?\n/)
+        .map(l => l.trim())
+        .filter(l => l && !l.startsWith("#"));
+
+    for (const line of lines) {
+        const parts = line.split(/\s*[:=]\s*|\s+/).filter(Boolean);
+        if (parts.length !== 2) throw new Error(`Invalid memory image line: "${line}" (expected "addr value")`);
+        writeMemBytes(mem, parseHexToBigInt(parts[0]), parseDataValue(parts[1]), unit);
+    }
+    return mem;
+}
+
+function writeMemBytes(mem, addr, value, size) {
+    const v = BigInt.asUintN(size * 8, value);
+    for (let k = 0; k < size; k++) mem.set(addr + BigInt(k), Number((v >> BigInt(8 * k)) & 0xFFn));
+}
+
+function readMemBytes(mem, addr, size) {
+    let v = 0n;
+    for (let k = size - 1; k >= 0; k--) v = (v << 8n) | BigInt(mem.get(addr + BigInt(k)) ?? 0);
+    return v;
+}
+
+// Same little-endian view, but on a cache line's byte array
+function readLineBytes(data, offset, size) {
+    let v = 0n;
+    for (let k = size - 1; k >= 0; k--) v = (v << 8n) | BigInt(data[offset + k]);
+    return v;
+}
+
+function writeLineBytes(data, offset, value, size) {
+    const v = BigInt.asUintN(size * 8, value);
+    for (let k = 0; k < size; k++) data[offset + k] = Number((v >> BigInt(8 * k)) & 0xFFn);
+}
+
+const REPLACEMENT_POLICIES = [
+    { id: "LRU", label: "LRU (least recently used)" },
+    { id: "FIFO", label: "FIFO (first in, first out)" },
+    { id: "RANDOM", label: "Random (seeded)" },
+    { id: "PLRU", label: "Tree pseudo-LRU" },
+    { id: "LFU", label: "LFU (least frequently used)" },
+    { id: "OPT", label: "Belady OPT (optimal)" },
+];
+
+// Small deterministic PRNG (mulberry32) so a given seed always picks the same victims
+function createRng(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
 }
 
 function pickVictimLRU(lines) {
@@ -35,15 +128,19 @@ function pickVictimLRU(lines) {
     return best;
 }
 
-function initCache(numSets, assoc) {
+export function initCache(numSets, assoc) {
     const sets = [];
     for (let s = 0; s < numSets; s++) {
         const lines = [];
         for (let w = 0; w < assoc; w++) {
             lines.push({
                 valid: false,
+                dirty: false,
                 tag: 0n,
                 lastUsed: 0,
+                insertedAt: 0,
+                useCount: 0,
+                data: null,     // block bytes, only filled when data tracking is on
             });
         }
         sets.push(lines);
@@ -51,11 +148,1298 @@ function initCache(numSets, assoc) {
     return sets;
 }
 
+/**
+ * Validate one cache level and derive its tag/index/offset split.
+ * `name` only prefixes the error messages (e.g. "L2: ...").
+ */
+export function deriveGeometry(addrBits, cacheSize, blockSize, assoc, name = "") {
+    const p = name ? `${name}: ` : "";
+    if (cacheSize <= 0) throw new Error(`${p}cacheSize must be > 0`);
+    if (blockSize <= 0) throw new Error(`${p}blockSize must be > 0`);
+    if (assoc <= 0) throw new Error(`${p}associativity must be > 0`);
+
+    if (!isPowerOfTwo(blockSize)) throw new Error(`${p}blockSize must be a power of two`);
+    if (cacheSize % blockSize !== 0) throw new Error(`${p}cacheSize must be divisible by blockSize`);
+
+    const numBlocks = cacheSize / blockSize;
+    if (numBlocks % assoc !== 0) throw new Error(`${p}blocks must be divisible by associativity`);
+    const numSets = numBlocks / assoc;
+
+    if (!isPowerOfTwo(numSets)) {
+        throw new Error(`${p}Number of sets (${numSets}) is not a power of two. Check your parameters.`);
+    }
+
+    const offsetBits = log2IntPow2(blockSize);
+    const indexBits = numSets === 1 ? 0 : log2IntPow2(numSets);
+    const tagBits = addrBits - offsetBits - indexBits;
+    if (tagBits < 0) throw new Error(`${p}Invalid bit split: tagBits became negative.`);
+
+    return { addrBits, cacheSize, blockSize, assoc, numBlocks, numSets, offsetBits, indexBits, tagBits };
+}
+
+export function fmtGeometry(g) {
+    return [
+        `- blocks = cacheSize / blockSize = ${g.cacheSize} / ${g.blockSize} = ${g.numBlocks}`,
+        `- sets = blocks / assoc = ${g.numBlocks} / ${g.assoc} = ${g.numSets}`,
+        `- offsetBits = log2(blockSize) = log2(${g.blockSize}) = ${g.offsetBits}`,
+        `- indexBits  = log2(sets) = log2(${g.numSets}) = ${g.indexBits}`,
+        `- tagBits    = addrBits - offsetBits - indexBits = ${g.addrBits} - ${g.offsetBits} - ${g.indexBits} = ${g.tagBits}`,
+    ];
+}
+
+export function splitAddress(g, a) {
+    const offset = a & maskBits(g.offsetBits);
+    const index = g.indexBits === 0 ? 0n : (a >> BigInt(g.offsetBits)) & maskBits(g.indexBits);
+    const tag = a >> BigInt(g.offsetBits + g.indexBits);
+    return { offset, index, tag, setIdx: Number(index) };
+}
+
+// Inverse of splitAddress for a stored line: first byte address of the block
+function blockBase(g, tag, setIdx) {
+    return (tag << BigInt(g.offsetBits + g.indexBits)) | (BigInt(setIdx) << BigInt(g.offsetBits));
+}
+
+/**
+ * 3C miss classification. Keeps the set of blocks seen so far and a shadow
+ * fully associative LRU cache with the same number of blocks:
+ *  - compulsory: first touch of the block
+ *  - capacity:   also misses in the fully associative cache
+ *  - conflict:   any other miss
+ */
+function initMissClassifier(numBlocks) {
+    return { numBlocks, seen: new Set(), shadow: [] };
+}
+
+// Classify (if `isMiss`) and then update the shadow cache; `allocate` = false for no-write-allocate stores
+function classifyMiss(mc, block, isMiss, allocate = true) {
+    let kind = null;
+    const shadowIdx = mc.shadow.indexOf(block);
+    if (isMiss) {
+        if (!mc.seen.has(block)) kind = "compulsory";
+        else if (shadowIdx === -1) kind = "capacity";
+        else kind = "conflict";
+    }
+
+    // a no-write-allocate store miss never brings the block in, so it does not count as seen
+    if (allocate) mc.seen.add(block);
+    if (shadowIdx !== -1) {
+        mc.shadow.splice(shadowIdx, 1);
+        mc.shadow.unshift(block);
+    } else if (allocate) {
+        mc.shadow.unshift(block);
+        if (mc.shadow.length > mc.numBlocks) mc.shadow.pop();
+    }
+    return kind;
+}
+
+/**
+ * Per-cache replacement bookkeeping that does not live in the lines themselves:
+ * the PLRU tree bits of every set and the RNG for the random policy.
+ */
+function initReplacement(policy, numSets, assoc, seed) {
+    if (!REPLACEMENT_POLICIES.some(p => p.id === policy)) {
+        throw new Error(`Unknown replacement policy: ${policy}`);
+    }
+    if (policy === "PLRU" && !isPowerOfTwo(assoc)) {
+        throw new Error("Tree PLRU requires a power-of-two associativity");
+    }
+    const plru = [];
+    for (let s = 0; s < numSets; s++) plru.push(new Array(Math.max(assoc - 1, 0)).fill(0));
+    return { policy, seed, rng: createRng(seed), plru, lastDraw: null };
+}
+
+// PLRU tree: node i has children 2i+1 / 2i+2; bit 0 = victim is on the left, 1 = on the right.
+function plruTouch(bits, assoc, way) {
+    let node = 0, lo = 0, hi = assoc;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (way < mid) { bits[node] = 1; node = 2 * node + 1; hi = mid; }
+        else { bits[node] = 0; node = 2 * node + 2; lo = mid; }
+    }
+}
+
+function plruVictim(bits, assoc) {
+    let node = 0, lo = 0, hi = assoc;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (bits[node] === 0) { node = 2 * node + 1; hi = mid; }
+        else { node = 2 * node + 2; lo = mid; }
+    }
+    return lo;
+}
+
+// Distance (in accesses) until `tag` is used again in `setIdx`, Infinity if never
+function nextUseDistance(future, from, setIdx, tag) {
+    for (let j = from; j < future.length; j++) {
+        if (future[j].setIdx === setIdx && future[j].tag === tag) return j - from + 1;
+    }
+    return Infinity;
+}
+
+// Update replacement metadata after a hit (isFill=false) or a fill (isFill=true)
+function touchLine(repl, setIdx, setLines, way, time, isFill) {
+    const ln = setLines[way];
+    ln.lastUsed = time;
+    if (isFill) {
+        ln.insertedAt = time;
+        ln.useCount = 1;
+    } else {
+        ln.useCount++;
+        repl.lastDraw = null; // a hit draws nothing
+    }
+    if (repl.policy === "PLRU") plruTouch(repl.plru[setIdx], setLines.length, way);
+}
+
+/**
+ * Choose the way to fill on a miss. Invalid ways are always used first.
+ * `future` is the list of upcoming {setIdx, tag} accesses (only OPT looks at it),
+ * `pos` is the index of the first access after the current one.
+ */
+function pickVictim(repl, setIdx, setLines, future, pos) {
+    const invalidIdx = setLines.findIndex(x => !x.valid);
+    repl.lastDraw = null;
+    if (invalidIdx !== -1) return invalidIdx;
+
+    const minBy = (score) => {
+        let best = 0;
+        for (let i = 1; i < setLines.length; i++) {
+            if (score(setLines[i]) < score(setLines[best])) best = i;
+        }
+        return best;
+    };
+
+    switch (repl.policy) {
+        case "LRU":
+            return pickVictimLRU(setLines);
+        case "FIFO":
+            return minBy(ln => ln.insertedAt);
+        case "RANDOM": {
+            const r = repl.rng();
+            const way = Math.floor(r * setLines.length);
+            repl.lastDraw = r;
+            return way;
+        }
+        case "PLRU":
+            return plruVictim(repl.plru[setIdx], setLines.length);
+        case "LFU":
+            // ties broken by LRU
+            return minBy(ln => ln.useCount * 1e9 + ln.lastUsed);
+        case "OPT": {
+            let best = 0, bestDist = -1;
+            for (let w = 0; w < setLines.length; w++) {
+                const d = nextUseDistance(future, pos, setIdx, setLines[w].tag);
+                if (d > bestDist) { best = w; bestDist = d; }
+            }
+            return best;
+        }
+        default:
+            throw new Error(`Unknown replacement policy: ${repl.policy}`);
+    }
+}
+
+// Valid/dirty view of every way, e.g. "w0=0x1(D) w1=0x2 w2=—"
+function fmtDirtyState(setIdx, setLines) {
+    const ways = setLines.map((ln, w) => `w${w}=${ln.valid ? `${toHex(ln.tag)}${ln.dirty ? "(D)" : ""}` : "—"}`);
+    return `valid/dirty in set[${setIdx}] => ${ways.join(" ")}`;
+}
+
+// One-line, policy-specific view of a set (printed after each access)
+function fmtReplacementState(repl, setIdx, setLines, future, pos) {
+    const valid = setLines.filter(ln => ln.valid);
+    const byTag = (ln) => toHex(ln.tag);
+
+    switch (repl.policy) {
+        case "LRU":
+            return `tags (MRU→LRU) in set[${setIdx}] => ${[...valid].sort((a, b) => b.lastUsed - a.lastUsed).map(byTag).join(", ")}`;
+        case "FIFO":
+            return `FIFO queue (oldest→newest) in set[${setIdx}] => ${[...valid].sort((a, b) => a.insertedAt - b.insertedAt).map(byTag).join(", ")}`;
+        case "RANDOM": {
+            const ways = setLines.map((ln, w) => `w${w}=${ln.valid ? byTag(ln) : "—"}`).join(" ");
+            const draw = repl.lastDraw == null ? "" : `  (draw=${repl.lastDraw.toFixed(4)} × ${setLines.length})`;
+            return `ways in set[${setIdx}] => ${ways}${draw}`;
+        }
+        case "PLRU": {
+            const ways = setLines.map((ln, w) => `w${w}=${ln.valid ? byTag(ln) : "—"}`).join(" ");
+            const bits = repl.plru[setIdx].join("") || "—";
+            return `PLRU bits in set[${setIdx}] => ${bits}  next victim=w${plruVictim(repl.plru[setIdx], setLines.length)}  ${ways}`;
+        }
+        case "LFU":
+            return `use counts in set[${setIdx}] => ${valid.map(ln => `${byTag(ln)}:${ln.useCount}`).join(", ")}`;
+        case "OPT":
+            return `next use in set[${setIdx}] => ${valid.map(ln => {
+                const d = nextUseDistance(future, pos, setIdx, ln.tag);
+                return `${byTag(ln)}:${d === Infinity ? "never" : `+${d}`}`;
+            }).join(", ")}`;
+        default:
+            return "";
+    }
+}
+
+// ---------- Trace generator: C-style loop nests over arrays ----------
+
+const C_TYPE_SIZES = {
+    char: 1, short: 2, int: 4, float: 4, long: 8, double: 8,
+    int8_t: 1, int16_t: 2, int32_t: 4, int64_t: 8,
+    uint8_t: 1, uint16_t: 2, uint32_t: 4, uint64_t: 8,
+};
+
+const MAX_GENERATED_ACCESSES = 20000;
+
+/**
+ * Array declaration lines:
+ *  - "int a[8][8] @ 0x1000"          (row-major is the default, like C)
+ *  - "double b[16][4] @ 0x2000 col"  (column-major, like Fortran)
+ *  - "12 s[10] @ 0x3000"             (element size given in bytes)
+ */
+function parseArrayDecls(text) {
+    const arrays = new Map();
+    const lines = (text ?? "")
+        .split(/\r?\n/)
+        .map(l => l.trim().replace(/;$/, ""))
+        .filter(l => l && !l.startsWith("#") && !l.startsWith("//"));
+
+    for (const line of lines) {
+        const m = line.match(/^(\w+)\s+(\w+)\s*((?:\[\s*\d+\s*\])+)\s*@\s*(\S+)(?:\s+(row|col|row-major|column-major|col-major))?$/i);
+        if (!m) throw new Error(`Invalid array declaration: "${line}" (expected e.g. "int a[8][8] @ 0x1000 row")`);
+        const [, type, name, dimText, baseText, orderText] = m;
+
+        const elemSize = /^\d+$/.test(type) ? Number.parseInt(type, 10) : C_TYPE_SIZES[type.toLowerCase()];
+        if (!elemSize) throw new Error(`Unknown element type "${type}" (use a C type or a size in bytes)`);
+        const dims = [...dimText.matchAll(/\[\s*(\d+)\s*\]/g)].map(x => Number.parseInt(x[1], 10));
+        if (dims.some(d => d <= 0)) throw new Error(`Array ${name}: dimensions must be > 0`);
+
+        arrays.set(name, {
+            name,
+            type,
+            elemSize,
+            dims,
+            base: parseHexToBigInt(baseText),
+            colMajor: /^col/i.test(orderText ?? ""),
+        });
+    }
+    return arrays;
+}
+
+// Tiny integer expression evaluator for indices and loop bounds: + - * / % ( ) and variables
+function evalIndexExpr(expr, env) {
+    const tokens = expr.match(/\d+|[A-Za-z_]\w*|[-+*/%()]/g) ?? [];
+    if (tokens.join("") !== expr.replace(/\s+/g, "")) throw new Error(`Unsupported index expression: "${expr}"`);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+
+    function primary() {
+        const t = next();
+        if (t === undefined) throw new Error(`Unexpected end of expression: "${expr}"`);
+        if (t === "(") {
+            const v = sum();
+            if (next() !== ")") throw new Error(`Missing ")" in "${expr}"`);
+            return v;
+        }
+        if (t === "-") return -primary();
+        if (t === "+") return primary();
+        if (/^\d+$/.test(t)) return Number.parseInt(t, 10);
+        if (/^[A-Za-z_]/.test(t)) {
+            if (!(t in env)) throw new Error(`Unknown variable "${t}" in "${expr}"`);
+            return env[t];
+        }
+        throw new Error(`Unexpected "${t}" in "${expr}"`);
+    }
+    function product() {
+        let v = primary();
+        while (["*", "/", "%"].includes(peek())) {
+            const op = next();
+            const r = primary();
+            if (op === "*") v *= r;
+            else if (op === "/") v = Math.trunc(v / r);
+            else v %= r;
+        }
+        return v;
+    }
+    function sum() {
+        let v = product();
+        while (["+", "-"].includes(peek())) {
+            const op = next();
+            const r = product();
+            v = op === "+" ? v + r : v - r;
+        }
+        return v;
+    }
+
+    const v = sum();
+    if (pos !== tokens.length) throw new Error(`Unsupported index expression: "${expr}"`);
+    return v;
+}
+
+/**
+ * Loop nest: one "for" header per line (outermost first), then the body statements.
+ *  - "for (i = 0; i < 8; i++)"  (also <=, >, >=, !=, i--, i += 2, i -= 2, bounds may use outer vars)
+ *  - "sum += a[i][j];"          (RHS refs are reads, LHS ref is a write, compound ops also read the LHS)
+ *  - "R a[i][j]" / "W b[j][i]"  (explicit access)
+ * Braces are ignored; every body statement runs once per innermost iteration.
+ */
+function parseLoopNest(text, arrays) {
+    const loops = [];
+    const refs = [];
+    const names = [...arrays.keys()].sort((a, b) => b.length - a.length).map(n => n.replace(/\W/g, ""));
+    const refRe = names.length ? new RegExp(`\\b(${names.join("|")})((?:\\[[^\\[\\]]+\\])+)`, "g") : null;
+
+    const findRefs = (src, op) => {
+        if (!refRe) return [];
+        return [...src.matchAll(refRe)].map(m => ({
+            op,
+            array: m[1],
+            text: m[0],
+            indices: [...m[2].matchAll(/\[([^\[\]]+)\]/g)].map(x => x[1].trim()),
+        }));
+    };
+
+    const lines = (text ?? "")
+        .split(/\r?\n/)
+        .map(l => l.replace(/\/\/.*$/, "").replace(/#.*$/, "").replace(/[{}]/g, "").trim())
+        .filter(Boolean);
+
+    for (const line of lines) {
+        const f = line.match(/^for\s*\(?\s*(?:int\s+)?(\w+)\s*=\s*([^;]+);\s*(\w+)\s*(<=|>=|<|>|!=)\s*([^;]+);\s*([^)]+)\)?$/);
+        if (f) {
+            const [, v, init, condVar, cmp, bound, incText] = f;
+            if (condVar !== v) throw new Error(`Loop condition must test ${v}: "${line}"`);
+            const inc = incText.replace(/\s+/g, "");
+            let step;
+            if (inc === `${v}++` || inc === `++${v}`) step = 1;
+            else if (inc === `${v}--` || inc === `--${v}`) step = -1;
+            else {
+                const m = inc.match(new RegExp(`^${v}(\\+|-)=(\\d+)$`));
+                if (!m) throw new Error(`Unsupported loop increment: "${incText}"`);
+                step = (m[1] === "+" ? 1 : -1) * Number.parseInt(m[2], 10);
+            }
+            if (step === 0) throw new Error(`Loop step must not be 0: "${line}"`);
+            loops.push({ v, init: init.trim(), cmp, bound: bound.trim(), step });
+            continue;
+        }
+
+        const stmt = line.replace(/;$/, "").trim();
+        const explicit = stmt.match(/^([RW])\s+(.+)$/i);
+        if (explicit) {
+            refs.push(...findRefs(explicit[2], explicit[1].toUpperCase()));
+            continue;
+        }
+
+        const assign = stmt.match(/^(.+?)\s*([-+*/%&|^]|<<|>>)?=(?!=)\s*(.+)$/);
+        if (assign) {
+            const [, lhs, compoundOp, rhs] = assign;
+            const lhsRefs = findRefs(lhs, "W");
+            if (compoundOp) refs.push(...lhsRefs.map(r => ({ ...r, op: "R" })));
+            refs.push(...findRefs(rhs, "R"));
+            refs.push(...lhsRefs);
+        } else {
+            refs.push(...findRefs(stmt, "R"));
+        }
+    }
+
+    if (loops.length === 0) throw new Error("Loop nest needs at least one \"for\" line.");
+    if (refs.length === 0) throw new Error("Loop body has no references to the declared arrays.");
+    return { loops, refs };
+}
+
+function refAddress(arr, indices, env, text) {
+    const idx = indices.map(e => evalIndexExpr(e, env));
+    if (idx.length !== arr.dims.length) {
+        throw new Error(`${text}: ${arr.name} has ${arr.dims.length} dimension(s)`);
+    }
+    idx.forEach((x, d) => {
+        if (x < 0 || x >= arr.dims[d]) throw new Error(`${text} out of bounds with ${JSON.stringify(env)}`);
+    });
+
+    // row-major: last index varies fastest; column-major: first index varies fastest
+    const order = arr.colMajor ? [...idx.keys()].reverse() : [...idx.keys()];
+    let linear = 0;
+    for (const d of order) linear = linear * arr.dims[d] + idx[d];
+    return arr.base + BigInt(linear * arr.elemSize);
+}
+
+const LOOP_CMP = {
+    "<": (a, b) => a < b,
+    "<=": (a, b) => a <= b,
+    ">": (a, b) => a > b,
+    ">=": (a, b) => a >= b,
+    "!=": (a, b) => a !== b,
+};
+
+/**
+ * Run the loop nest and return the trace in the textarea format ("R 0x...")
+ * plus the per-reference stride of the innermost loop.
+ */
+function generateLoopTrace(declText, loopText) {
+    const arrays = parseArrayDecls(declText);
+    const { loops, refs } = parseLoopNest(loopText, arrays);
+    const trace = [];
+
+    function run(depth, env) {
+        if (depth === loops.length) {
+            for (const r of refs) {
+                if (trace.length >= MAX_GENERATED_ACCESSES) {
+                    throw new Error(`Loop nest generates more than ${MAX_GENERATED_ACCESSES} accesses; shrink the bounds.`);
+                }
+                trace.push({ op: r.op, addr: refAddress(arrays.get(r.array), r.indices, env, r.text) });
+            }
+            return;
+        }
+        const L = loops[depth];
+        for (let x = evalIndexExpr(L.init, env); LOOP_CMP[L.cmp](x, evalIndexExpr(L.bound, { ...env, [L.v]: x })); x += L.step) {
+            run(depth + 1, { ...env, [L.v]: x });
+        }
+    }
+    run(0, {});
+
+    // Stride = address difference between two consecutive innermost iterations (outer vars at their start)
+    const inner = loops[loops.length - 1];
+    const env0 = {};
+    for (const L of loops) env0[L.v] = evalIndexExpr(L.init, env0);
+    const strides = refs.map(r => {
+        const arr = arrays.get(r.array);
+        let stride = null;
+        try {
+            const a0 = refAddress(arr, r.indices, env0, r.text);
+            const a1 = refAddress(arr, r.indices, { ...env0, [inner.v]: env0[inner.v] + inner.step }, r.text);
+            stride = Number(a1 - a0);
+        } catch {
+            // innermost loop has a single iteration (or the next one is out of bounds)
+        }
+        return { ref: r, arr, stride };
+    });
+
+    const text = trace.map(x => `${x.op} ${toHex(x.addr)}`).join("\n");
+    return { arrays, loops, refs, trace, text, strides };
+}
+
+function fmtLoopTraceReport(gen, blockSize) {
+    const out = [];
+    out.push("Generated trace:");
+    for (const arr of gen.arrays.values()) {
+        const total = arr.dims.reduce((a, b) => a * b, 1) * arr.elemSize;
+        out.push(`- ${arr.type} ${arr.name}${arr.dims.map(d => `[${d}]`).join("")} @ ${toHex(arr.base)}, ${arr.elemSize} B elements, ${arr.colMajor ? "column" : "row"}-major, ${total} B`);
+    }
+    out.push(`- loops: ${gen.loops.map(L => `${L.v} (step ${L.step})`).join(" → ")}, ${gen.refs.length} reference(s) per iteration, ${gen.trace.length} accesses`);
+    out.push("");
+    out.push(`Locality per reference (innermost loop ${gen.loops[gen.loops.length - 1].v}, block ${blockSize} B):`);
+    for (const { ref, stride } of gen.strides) {
+        let what;
+        if (stride == null) what = "stride n/a (innermost loop runs once)";
+        else if (stride === 0) what = "stride 0 B → temporal locality (same element every iteration)";
+        else if (Math.abs(stride) < blockSize) {
+            const perBlock = Math.floor(blockSize / Math.abs(stride));
+            what = `stride ${stride} B → spatial locality, ${perBlock} accesses per block (≈1 miss per ${perBlock}, miss rate ≈ ${(100 / perBlock).toFixed(1)}% cold)`;
+        } else {
+            what = `stride ${stride} B ≥ block → no spatial locality (every access touches a new block)`;
+        }
+        out.push(`- ${ref.op} ${ref.text}: ${what}`);
+    }
+    out.push("");
+    return out;
+}
+
+const INCLUSION_POLICIES = [
+    { id: "INCLUSIVE", label: "Inclusive (back-invalidate upper levels)" },
+    { id: "EXCLUSIVE", label: "Exclusive (victim-fill lower levels)" },
+    { id: "NINE", label: "NINE (non-inclusive, non-exclusive)" },
+];
+
+/**
+ * Level lines format (one level per line, top to bottom):
+ *  - "L1 1024 16 2 1"   (name, size B, block B, assoc, hit latency in cycles)
+ */
+function parseLevels(text, addrBits) {
+    const lines = (text ?? "")
+        .split(/\r?\n/)
+        .map(l => l.trim())
+        .filter(l => l && !l.startsWith("#"));
+
+    return lines.map((line, i) => {
+        const parts = line.replace(/,/g, " ").split(/\s+/).filter(Boolean);
+        if (parts.length < 5) throw new Error(`Level line ${i + 1}: expected "name size block assoc latency"`);
+        const [name, size, block, assoc, latency] = parts;
+        const geom = deriveGeometry(
+            addrBits,
+            parseIntStrict(size, `${name} size`),
+            parseIntStrict(block, `${name} block size`),
+            parseIntStrict(assoc, `${name} associativity`),
+            name
+        );
+        return {
+            name,
+            geom,
+            latency: parseIntStrict(latency, `${name} latency`),
+            hits: 0,
+            misses: 0,
+            backInvalidations: 0,
+        };
+    });
+}
+
+function findWay(setLines, tag) {
+    for (let w = 0; w < setLines.length; w++) {
+        if (setLines[w].valid && setLines[w].tag === tag) return w;
+    }
+    return -1;
+}
+
+// Place the block holding `a` in `level`; returns the base address of the evicted block (or null)
+function fillLevel(level, a, time) {
+    const { setIdx, tag } = splitAddress(level.geom, a);
+    const setLines = level.sets[setIdx];
+    if (findWay(setLines, tag) !== -1) return null;
+
+    const victim = pickVictim(level.repl, setIdx, setLines, [], 0);
+    const old = setLines[victim];
+    const evicted = old.valid ? blockBase(level.geom, old.tag, setIdx) : null;
+    old.valid = true;
+    old.dirty = false;
+    old.tag = tag;
+    touchLine(level.repl, setIdx, setLines, victim, time, true);
+    return evicted;
+}
+
+// Invalidate every line of `level` that lies inside [base, base + size); returns the removed bases
+function invalidateRange(level, base, size) {
+    const removed = [];
+    level.sets.forEach((setLines, setIdx) => {
+        for (const ln of setLines) {
+            if (!ln.valid) continue;
+            const b = blockBase(level.geom, ln.tag, setIdx);
+            if (b >= base && b < base + BigInt(size)) {
+                ln.valid = false;
+                removed.push(b);
+            }
+        }
+    });
+    return removed;
+}
+
+/**
+ * Multi-level simulation (L1 → L2 → L3 → memory). Every level has its own geometry
+ * but shares the replacement policy. Writes are treated as reads here.
+ */
+function computeHierarchy(s, accesses, addrBits, policy, seed) {
+    const inclusion = s.inclusion ?? "NINE";
+    const memLatency = parseIntStrict(s.memLatency ?? "100", "memory latency");
+    const levels = parseLevels(s.levels ?? "", addrBits);
+
+    if (levels.length < 1 || levels.length > 3) throw new Error("Define 1–3 cache levels (L1, L2, L3).");
+    if (policy === "OPT") throw new Error("OPT needs the future access stream of each level; use it in single-level mode.");
+    if (!INCLUSION_POLICIES.some(p => p.id === inclusion)) throw new Error(`Unknown inclusion policy: ${inclusion}`);
+    if (inclusion === "EXCLUSIVE" && levels.some(l => l.geom.blockSize !== levels[0].geom.blockSize)) {
+        throw new Error("Exclusive hierarchy requires the same block size in every level.");
+    }
+    for (let k = 1; k < levels.length; k++) {
+        if (levels[k].geom.blockSize < levels[k - 1].geom.blockSize) {
+            throw new Error(`${levels[k].name} block size must be ≥ ${levels[k - 1].name} block size.`);
+        }
+    }
+
+    for (const level of levels) {
+        level.sets = initCache(level.geom.numSets, level.geom.assoc);
+        level.repl = initReplacement(policy, level.geom.numSets, level.geom.assoc, seed);
+    }
+
+    const nibbles = Math.ceil(addrBits / 4);
+    const lines = [];
+    let time = 0, totalCycles = 0, memAccesses = 0;
+
+    for (let i = 0; i < accesses.length; i++) {
+        time++;
+        const a = clampBigIntToBits(accesses[i].addr, addrBits);
+        const probes = [];
+        const events = [];
+        let cycles = 0;
+        let hitLevel = -1;
+
+        for (let k = 0; k < levels.length; k++) {
+            const level = levels[k];
+            const { setIdx, tag } = splitAddress(level.geom, a);
+            const setLines = level.sets[setIdx];
+            const way = findWay(setLines, tag);
+            cycles += level.latency;
+
+            if (way !== -1) {
+                level.hits++;
+                probes.push(`${level.name} HIT (tag=${toHex(tag)} idx=${setIdx} way=${way})`);
+                if (inclusion === "EXCLUSIVE" && k > 0) {
+                    // the block moves up to L1, so it leaves this level
+                    setLines[way].valid = false;
+                    events.push(`${level.name} hands ${toHex(blockBase(level.geom, tag, setIdx), nibbles)} up to ${levels[0].name}`);
+                } else {
+                    touchLine(level.repl, setIdx, setLines, way, time, false);
+                }
+                hitLevel = k;
+                break;
+            }
+            level.misses++;
+            probes.push(`${level.name} MISS (tag=${toHex(tag)} idx=${setIdx})`);
+        }
+
+        if (hitLevel === -1) {
+            memAccesses++;
+            cycles += memLatency;
+            probes.push(`MEM (${memLatency} cycles)`);
+        }
+        totalCycles += cycles;
+
+        const fillUpTo = hitLevel === -1 ? levels.length : hitLevel;
+        if (inclusion === "EXCLUSIVE") {
+            // Only L1 receives the block; each victim cascades one level down
+            let victim = fillLevel(levels[0], a, time);
+            for (let k = 1; k < levels.length && victim != null; k++) {
+                events.push(`${levels[k - 1].name} victim ${toHex(victim, nibbles)} → ${levels[k].name}`);
+                victim = fillLevel(levels[k], victim, time);
+            }
+            if (victim != null) events.push(`${levels[levels.length - 1].name} drops ${toHex(victim, nibbles)}`);
+        } else {
+            // Fill bottom-up so a back-invalidation never hits the block being brought in
+            for (let k = fillUpTo - 1; k >= 0; k--) {
+                const evicted = fillLevel(levels[k], a, time);
+                if (evicted == null) continue;
+                events.push(`${levels[k].name} evicts ${toHex(evicted, nibbles)}`);
+                if (inclusion !== "INCLUSIVE") continue;
+                for (let u = 0; u < k; u++) {
+                    const removed = invalidateRange(levels[u], evicted, levels[k].geom.blockSize);
+                    levels[u].backInvalidations += removed.length;
+                    for (const b of removed) events.push(`back-invalidate ${levels[u].name} ${toHex(b, nibbles)}`);
+                }
+            }
+        }
+
+        lines.push(`${String(i + 1).padStart(2, " ")}.  addr=${toHex(a, nibbles)}  ${probes.join(" → ")}  time=${cycles}`);
+        for (const e of events) lines.push(`    ${e}`);
+    }
+
+    const out = [];
+    out.push(`CACHE HIERARCHY (${levels.map(l => l.name).join(" → ")} → MEM, ${inclusion}, ${policy})`);
+    out.push("");
+    out.push("Parameters:");
+    out.push(`- addrBits: ${addrBits}`);
+    out.push(`- inclusion: ${INCLUSION_POLICIES.find(p => p.id === inclusion).label}`);
+    out.push(`- replacement: ${REPLACEMENT_POLICIES.find(p => p.id === policy).label}`);
+    out.push(`- memory latency: ${memLatency} cycles`);
+    for (const level of levels) {
+        const g = level.geom;
+        out.push("");
+        out.push(`${level.name}: ${g.cacheSize} B, ${g.blockSize} B blocks, ${g.assoc}-way, ${level.latency} cycles`);
+        out.push(...fmtGeometry(g));
+    }
+    out.push("");
+    out.push("Accesses:");
+    out.push(...lines);
+    out.push("");
+    out.push("Summary:");
+    for (const level of levels) {
+        const n = level.hits + level.misses;
+        const local = n === 0 ? 0 : level.misses / n;
+        const global = level.misses / accesses.length;
+        out.push(`- ${level.name}: accesses ${n}, hits ${level.hits}, misses ${level.misses}, local miss rate ${(local * 100).toFixed(2)}%, global miss rate ${(global * 100).toFixed(2)}%`);
+    }
+    if (inclusion === "INCLUSIVE") {
+        out.push(`- back-invalidations: ${levels.map(l => `${l.name}=${l.backInvalidations}`).join(", ")}`);
+    }
+    out.push(`- memory accesses: ${memAccesses}`);
+    out.push("");
+    out.push("AMAT:");
+    // AMAT = t1 + m1 × (t2 + m2 × (... + mN × tMem)) with local miss rates
+    let amat = memLatency;
+    let formula = `${memLatency}`;
+    for (let k = levels.length - 1; k >= 0; k--) {
+        const level = levels[k];
+        const n = level.hits + level.misses;
+        const m = n === 0 ? 0 : level.misses / n;
+        amat = level.latency + m * amat;
+        formula = `${level.latency} + ${m.toFixed(4)} × (${formula})`;
+    }
+    out.push(`- AMAT = ${formula}`);
+    out.push(`-      = ${amat.toFixed(2)} cycles`);
+    out.push(`- measured: ${totalCycles} cycles / ${accesses.length} accesses = ${(totalCycles / accesses.length).toFixed(2)} cycles`);
+
+    return out.join("\n");
+}
+
+/**
+ * Run the whole cache simulation for the module state and return the text output.
+ * `onStep` (optional) is called after every single-level access with a snapshot of
+ * the accessed set only (the others are unchanged) — the set/way grid replays those.
+ */
+function simulateCache(s, onStep = null) {
+    // the solver reads its own (optional) fields; the geometry inputs may be blank there
+    if (s.solverMode) return solveCacheParams(s);
+
+    const addrBits = parseIntStrict(s.addrBits ?? "32", "addrBits");
+    const cacheSize = parseIntStrict(s.cacheSize ?? "1024", "cacheSize");
+    const blockSize = parseIntStrict(s.blockSize ?? "16", "blockSize");
+    const assoc = parseIntStrict(s.assoc ?? "1", "associativity");
+    const policy = s.policy ?? "LRU";
+    const seed = parseIntStrict(s.seed ?? "1", "seed");
+    const writeBack = (s.writeHit ?? "WB") === "WB";
+    const writeAllocate = (s.writeMiss ?? "WA") === "WA";
+    const wordSize = parseIntStrict(s.wordSize ?? "4", "store size");
+    const showBinary = !!s.showBinary;
+    const showSetState = !!s.showSetState;
+    const showMasks = !!s.showMasks;
+    const trackData = !!s.trackData;
+
+    if (addrBits <= 0 || addrBits > 64) throw new Error("addrBits must be between 1 and 64.");
+
+    let traceText = s.addresses ?? "";
+    let genReport = [];
+    if (s.useLoopTrace) {
+        const gen = generateLoopTrace(s.arrayDecls ?? "", s.loopNest ?? "");
+        const l1Block = s.enableHierarchy ? parseLevels(s.levels ?? "", addrBits)[0]?.geom.blockSize : blockSize;
+        traceText = gen.text;
+        genReport = fmtLoopTraceReport(gen, l1Block ?? blockSize);
+    }
+
+    const accesses = parseAddresses(traceText);
+    if (accesses.length === 0) throw new Error("Provide at least one address.");
+
+    if (s.enableHierarchy) {
+        const note = trackData ? ["Note: data tracking is single-level only; the hierarchy simulates tags, so memory values are not shown.", ""] : [];
+        return [...genReport, ...note, computeHierarchy(s, accesses, addrBits, policy, seed)].join("\n");
+    }
+
+    const geom = deriveGeometry(addrBits, cacheSize, blockSize, assoc);
+    const { numSets, offsetBits, indexBits, tagBits } = geom;
+    if (wordSize <= 0 || wordSize > blockSize) throw new Error("store size must be between 1 and blockSize");
+
+    const clampedAddrs = accesses.map(x => clampBigIntToBits(x.addr, addrBits));
+
+    // Optional data tracking: main memory as a byte map, every line carries its block bytes
+    let memory = null;
+    const memInit = new Map();
+    if (trackData) {
+        const unit = (s.memUnit ?? "word") === "byte" ? 1 : wordSize;
+        memory = parseMemoryImage(s.memImage ?? "", unit);
+        for (const [k, v] of memory) memInit.set(k, v);
+        clampedAddrs.forEach((a, i) => {
+            if (Number(a & maskBits(offsetBits)) + wordSize > blockSize) {
+                throw new Error(`Access ${i + 1} (${toHex(a)}) crosses a block boundary for ${wordSize}-byte data.`);
+            }
+        });
+    }
+
+    const sets = initCache(numSets, assoc);
+    const repl = initReplacement(policy, numSets, assoc, seed);
+    let time = 0, hits = 0, misses = 0;
+    let writeHits = 0, writeMisses = 0;
+    let blockFills = 0, writeBacks = 0, throughStores = 0;
+    const missKinds = { compulsory: 0, capacity: 0, conflict: 0 };
+    const mc = initMissClassifier(geom.numBlocks);
+    const lines = [];
+    const nibbles = Math.ceil(addrBits / 4);
+
+    // Set/tag of every access up front, so OPT can look into the future
+    const future = clampedAddrs.map(a => ({
+        setIdx: indexBits === 0 ? 0 : Number((a >> BigInt(offsetBits)) & maskBits(indexBits)),
+        tag: a >> BigInt(offsetBits + indexBits),
+    }));
+
+    for (let i = 0; i < clampedAddrs.length; i++) {
+        time++;
+
+        const a = clampedAddrs[i];
+        const isWrite = accesses[i].op === "W";
+        const offset = a & maskBits(offsetBits);
+        const index = indexBits === 0 ? 0n : (a >> BigInt(offsetBits)) & maskBits(indexBits);
+        const tag = a >> BigInt(offsetBits + indexBits);
+
+        const setIdx = Number(index);
+        const setLines = sets[setIdx];
+        const dirtyBits = () => setLines.map(ln => (ln.valid && ln.dirty ? `${ln.tag}` : "")).join();
+        const dirtyBefore = dirtyBits();
+
+        let hitWay = -1;
+        for (let w = 0; w < setLines.length; w++) {
+            const ln = setLines[w];
+            if (ln.valid && ln.tag === tag) { hitWay = w; break; }
+        }
+
+        const allocate = !(isWrite && !writeAllocate);
+        const missKind = classifyMiss(mc, a >> BigInt(offsetBits), hitWay === -1, allocate);
+        if (missKind) missKinds[missKind]++;
+
+        let result, evicted = "—", evictedWay = -1;
+        const traffic = [];
+        if (hitWay !== -1) {
+            hits++;
+            if (isWrite) writeHits++;
+            result = "HIT";
+            touchLine(repl, setIdx, setLines, hitWay, time, false);
+        } else {
+            misses++;
+            if (isWrite) writeMisses++;
+            result = "MISS";
+            if (!allocate) {
+                result = "MISS (no-write-allocate)";
+            } else {
+                const victim = pickVictim(repl, setIdx, setLines, future, i + 1);
+                const old = setLines[victim];
+                if (old.valid) {
+                    evictedWay = victim;
+                    evicted = toHex(old.tag);
+                    if (old.dirty) {
+                        writeBacks++;
+                        evicted += " dirty";
+                        traffic.push(`write-back ${blockSize} B`);
+                        if (memory) {
+                            const base = blockBase(geom, old.tag, setIdx);
+                            old.data.forEach((b, k) => memory.set(base + BigInt(k), b));
+                        }
+                    }
+                }
+                blockFills++;
+                traffic.push(`fill ${blockSize} B`);
+                if (memory) {
+                    const base = blockBase(geom, tag, setIdx);
+                    old.data = Array.from({ length: blockSize }, (_, k) => {
+                        const byteAddr = base + BigInt(k);
+                        if (!memory.has(byteAddr)) memory.set(byteAddr, 0); // keeps the block in the memory dump
+                        return memory.get(byteAddr);
+                    });
+                }
+                old.valid = true;
+                old.dirty = false;
+                old.tag = tag;
+                touchLine(repl, setIdx, setLines, victim, time, true);
+                hitWay = victim;
+            }
+        }
+
+        if (isWrite) {
+            if (hitWay !== -1 && writeBack) {
+                setLines[hitWay].dirty = true;
+            } else {
+                // write-through, or a no-allocate miss: the store goes straight to memory
+                throughStores++;
+                traffic.push(`store ${wordSize} B → mem`);
+            }
+        }
+
+        let dataInfo = "";
+        if (memory) {
+            const value = accesses[i].value ?? 0n;
+            const width = wordSize * 2;
+            if (isWrite) {
+                if (hitWay !== -1) writeLineBytes(setLines[hitWay].data, Number(offset), value, wordSize);
+                if (hitWay === -1 || !writeBack) writeMemBytes(memory, a, value, wordSize);
+                dataInfo = `  store=${toHex(BigInt.asUintN(wordSize * 8, value), width)}`;
+            } else {
+                dataInfo = `  load=${toHex(readLineBytes(setLines[hitWay].data, Number(offset), wordSize), width)}`;
+            }
+        }
+
+        const addrHex = toHex(a, nibbles);
+        const tagHex = toHex(tag);
+        const indexDec = indexBits === 0 ? "0" : index.toString(10);
+        const offsetDec = offset.toString(10);
+
+        const wayInfo = hitWay === -1 ? `set=${setIdx}` : `set=${setIdx}, way=${hitWay}`;
+        lines.push(
+            `${String(i + 1).padStart(2, " ")}.  ${accesses[i].op}  addr=${addrHex}  tag=${tagHex}  index=${indexDec}  offset=${offsetDec}  ${result} (${wayInfo}${result === "MISS" ? `, evict=${evicted}` : ""})${missKind ? `  3C=${missKind}` : ""}${dataInfo}${traffic.length ? `  [${traffic.join(", ")}]` : ""}`
+        );
+
+        if (showBinary) {
+            const bin = toBin(a, addrBits);
+            const t = tagBits > 0 ? bin.slice(0, tagBits) : "";
+            const ix = indexBits > 0 ? bin.slice(tagBits, tagBits + indexBits) : "";
+            const off = offsetBits > 0 ? bin.slice(tagBits + indexBits) : "";
+            lines.push(`    bin: ${t}${indexBits ? " | " : ""}${ix}${(indexBits || tagBits) ? " | " : ""}${off}`);
+        }
+
+        if (showSetState) {
+            lines.push(`    ${fmtReplacementState(repl, setIdx, setLines, future, i + 1)}`);
+        }
+        // only when this access set or cleared a dirty bit (a store, or the eviction of a dirty line)
+        if (writeBack && dirtyBits() !== dirtyBefore) {
+            lines.push(`    ${fmtDirtyState(setIdx, setLines)}`);
+        }
+
+        onStep?.({
+            i,
+            op: accesses[i].op,
+            addr: a,
+            tag,
+            setIdx,
+            way: hitWay,
+            result,
+            evicted: evictedWay === -1 ? null : evicted,
+            evictedWay,
+            time,
+            numSets,
+            set: setLines.map(ln => ({ valid: ln.valid, dirty: ln.dirty, tag: ln.tag, lastUsed: ln.lastUsed })),
+        });
+
+        // if (showMasks) {
+        //     const tagMask = maskBits(tagBits) << BigInt(indexBits + offsetBits);
+        //     const indexMask = maskBits(indexBits) << BigInt(offsetBits);
+        //     const offsetMask = maskBits(offsetBits);
+        //     lines.push(`    masks: tag=${toHex(tagMask, nibbles)}  index=${toHex(indexMask, nibbles)}  offset=${toHex(offsetMask, nibbles)}`);
+        // }
+
+    }
+
+    const total = hits + misses;
+    const hitRate = total === 0 ? 0 : (hits / total) * 100;
+
+    const out = [...genReport];
+    out.push(`CACHE ADDRESS BREAKDOWN + HIT/MISS (${policy})`);
+    out.push("");
+    out.push("Parameters:");
+    out.push(`- addrBits: ${addrBits}`);
+    out.push(`- cacheSize: ${cacheSize} B`);
+    out.push(`- blockSize: ${blockSize} B`);
+    out.push(`- associativity: ${assoc}-way`);
+    out.push(`- write hit:  ${writeBack ? "write-back" : "write-through"}`);
+    out.push(`- write miss: ${writeAllocate ? "write-allocate" : "no-write-allocate"}`);
+    out.push(`- replacement: ${REPLACEMENT_POLICIES.find(p => p.id === policy).label}${policy === "RANDOM" ? ` (seed=${seed})` : ""}`);
+    out.push("");
+    out.push("Derived:");
+    out.push(...fmtGeometry(geom));
+    out.push("");
+    out.push("Accesses:");
+    out.push(...lines);
+    out.push("");
+    out.push("Summary:");
+    out.push(`- hits:   ${hits}`);
+    out.push(`- misses: ${misses}`);
+    out.push(`- hit rate: ${hitRate.toFixed(2)}%`);
+    out.push(`- misses by 3C: compulsory ${missKinds.compulsory}, capacity ${missKinds.capacity}, conflict ${missKinds.conflict}`);
+    const numWrites = accesses.filter(x => x.op === "W").length;
+    if (numWrites > 0) {
+        out.push(`- reads:  ${accesses.length - numWrites} (hits ${hits - writeHits}, misses ${misses - writeMisses})`);
+        out.push(`- writes: ${numWrites} (hits ${writeHits}, misses ${writeMisses})`);
+    }
+    out.push("");
+    out.push("Memory traffic:");
+    const dirtyLeft = sets.flat().filter(ln => ln.valid && ln.dirty).length;
+    const bytesRead = blockFills * blockSize;
+    const bytesWritten = writeBacks * blockSize + throughStores * wordSize;
+    out.push(`- read from memory:  ${bytesRead} B  (${blockFills} block fills × ${blockSize} B)`);
+    out.push(`- written to memory: ${bytesWritten} B  (${writeBacks} write-backs × ${blockSize} B + ${throughStores} stores × ${wordSize} B)`);
+    out.push(`- total: ${bytesRead + bytesWritten} B`);
+    if (writeBack) {
+        out.push(`- dirty lines left at end: ${dirtyLeft}  (a final flush would write ${dirtyLeft * blockSize} B more)`);
+    }
+    if (memory) {
+        out.push(...fmtDataState(sets, geom, memory, memInit, wordSize, nibbles));
+    }
+    if(showMasks) {
+        out.push("");
+        out.push("Masks:");
+        const tagMask = maskBits(tagBits) << BigInt(indexBits + offsetBits);
+        const indexMask = maskBits(indexBits) << BigInt(offsetBits);
+        const offsetMask = maskBits(offsetBits);
+        out.push(`- tag mask:    ${toHex(tagMask, nibbles)}`);
+        out.push(`- index mask:  ${toHex(indexMask, nibbles)}`);
+        out.push(`- offset mask: ${toHex(offsetMask, nibbles)}`);
+    }
+
+    return out.join("\n");
+}
+
+/**
+ * Final cache contents (one row per valid line, as words) and main memory for every
+ * block that was loaded or written. A memory word is stale when a dirty line holds a newer value.
+ */
+function fmtDataState(sets, geom, memory, memInit, wordSize, nibbles) {
+    const out = [];
+    const width = wordSize * 2;
+    const cached = new Map(); // word address → value in a dirty line
+
+    out.push("");
+    out.push("Cache contents (after trace):");
+    sets.forEach((setLines, setIdx) => {
+        setLines.forEach((ln, w) => {
+            if (!ln.valid) return;
+            const base = blockBase(geom, ln.tag, setIdx);
+            const words = [];
+            for (let off = 0; off + wordSize <= geom.blockSize; off += wordSize) {
+                const v = readLineBytes(ln.data, off, wordSize);
+                words.push(toHex(v, width));
+                if (ln.dirty) cached.set(base + BigInt(off), v);
+            }
+            out.push(`- set ${setIdx} way ${w}  tag=${toHex(ln.tag)}  block=${toHex(base, nibbles)}${ln.dirty ? "  D" : ""}  [${words.join(" ")}]`);
+        });
+    });
+
+    out.push("");
+    out.push("Main memory (touched blocks):");
+    const blockMask = ~BigInt(geom.blockSize - 1);
+    const blocks = new Set([...memory.keys()].map(a => a & blockMask));
+    let stale = 0;
+    for (const base of [...blocks].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))) {
+        for (let off = 0; off + wordSize <= geom.blockSize; off += wordSize) {
+            const addr = base + BigInt(off);
+            const v = readMemBytes(memory, addr, wordSize);
+            const changed = readMemBytes(memInit, addr, wordSize) !== v ? "  (changed)" : "";
+            let flag = "";
+            if (cached.has(addr) && cached.get(addr) !== v) {
+                stale++;
+                flag = `  STALE — cache holds ${toHex(cached.get(addr), width)}`;
+            }
+            out.push(`- ${toHex(addr, nibbles)}: ${toHex(v, width)}${changed}${flag}`);
+        }
+    }
+    out.push(`- stale words: ${stale}`);
+    return out;
+}
+
+// ---------- Reverse solver: which geometries fit the given facts? ----------
+
+const SOLVER_MAX_LISTED = 40;
+const SOLVER_MAX_CANDIDATES = 20000;
+const SOLVER_MAX_REPLAY_WORK = 5e7; // accesses × simulated ways over all replays
+
+function distinctBlocks(addrs, offsetBits) {
+    return new Set(addrs.map(a => a >> BigInt(offsetBits))).size;
+}
+
+function parseOptionalInt(v, name) {
+    const t = (v ?? "").toString().trim();
+    if (!t) return null;
+    const n = parseIntStrict(t, name);
+    if (n < 0) throw new Error(`${name} must be ≥ 0`);
+    return n;
+}
+
+// "M M H", "MISS,HIT", "MMH" → ["M", "M", "H"]
+function parseHitMissPattern(text) {
+    const t = (text ?? "").toString().trim().toUpperCase();
+    if (!t) return [];
+    const tokens = /[\s,]/.test(t) ? t.split(/[\s,]+/).filter(Boolean) : t.split("");
+    return tokens.map(x => {
+        if (x === "H" || x === "HIT") return "H";
+        if (x === "M" || x === "MISS") return "M";
+        throw new Error(`Invalid hit/miss token "${x}" (use H/M or HIT/MISS)`);
+    });
+}
+
+/**
+ * Replay `addrs` on a fresh cache and return the H/M sequence. Only the sets the trace touches
+ * are allocated, and at most one way per distinct block: with at least that many ways nothing
+ * is ever evicted, so the policy does not matter and the extra ways stay empty.
+ */
+function runHitMissPattern(geom, addrs, policy, seed) {
+    const setIds = new Map(); // touched set → compact index
+    const future = addrs.map(a => {
+        const { setIdx, tag } = splitAddress(geom, a);
+        if (!setIds.has(setIdx)) setIds.set(setIdx, setIds.size);
+        return { setIdx: setIds.get(setIdx), tag };
+    });
+    const ways = Math.min(geom.assoc, distinctBlocks(addrs, geom.offsetBits));
+    const sets = initCache(setIds.size, ways);
+    const repl = initReplacement(ways < geom.assoc ? "LRU" : policy, setIds.size, ways, seed);
+    return addrs.map((a, i) => {
+        const { setIdx, tag } = future[i];
+        const setLines = sets[setIdx];
+        const way = findWay(setLines, tag);
+        if (way !== -1) {
+            touchLine(repl, setIdx, setLines, way, i + 1, false);
+            return "H";
+        }
+        const victim = pickVictim(repl, setIdx, setLines, future, i + 1);
+        setLines[victim].valid = true;
+        setLines[victim].tag = tag;
+        touchLine(repl, setIdx, setLines, victim, i + 1, true);
+        return "M";
+    });
+}
+
+/**
+ * Enumerate geometries (power-of-two block size and sets; associativity any whole number when
+ * the cache size is known, otherwise powers of two) and keep the ones consistent with every
+ * given fact. Blank inputs are unknowns.
+ */
+function solveCacheParams(s) {
+    const known = {
+        addrBits: parseOptionalInt(s.solveAddrBits, "addrBits"),
+        cacheSize: parseOptionalInt(s.solveCacheSize, "cacheSize"),
+        blockSize: parseOptionalInt(s.solveBlockSize, "blockSize"),
+        assoc: parseOptionalInt(s.solveAssoc, "associativity"),
+        tagBits: parseOptionalInt(s.solveTagBits, "tagBits"),
+        indexBits: parseOptionalInt(s.solveIndexBits, "indexBits"),
+        offsetBits: parseOptionalInt(s.solveOffsetBits, "offsetBits"),
+    };
+    const policy = s.policy ?? "LRU";
+    const seed = parseIntStrict(s.seed ?? "1", "seed");
+    const pattern = parseHitMissPattern(s.solvePattern);
+
+    const notes = [];
+    let addrBits = known.addrBits;
+    if (addrBits == null && known.tagBits != null && known.indexBits != null && known.offsetBits != null) {
+        addrBits = known.tagBits + known.indexBits + known.offsetBits;
+        notes.push(`addrBits = tag + index + offset = ${known.tagBits} + ${known.indexBits} + ${known.offsetBits} = ${addrBits}`);
+    }
+    if (addrBits == null) {
+        addrBits = 32;
+        notes.push("addrBits not given → assuming 32");
+    }
+    if (known.assoc == null) {
+        notes.push(known.cacheSize != null
+            ? "associativity not given → cacheSize / (sets × blockSize), any whole number"
+            : "associativity not given → trying powers of two only (1- to 1024-way); give cacheSize to allow e.g. 3- or 12-way");
+    }
+    if (addrBits <= 0 || addrBits > 64) throw new Error("addrBits must be between 1 and 64.");
+    if (known.blockSize != null && !isPowerOfTwo(known.blockSize)) throw new Error("blockSize must be a power of two");
+    if (known.assoc === 0) throw new Error("associativity must be > 0");
+
+    let addrs = [];
+    if (pattern.length > 0) {
+        addrs = parseAddresses(s.addresses ?? "").map(x => clampBigIntToBits(x.addr, addrBits));
+        if (addrs.length !== pattern.length) {
+            throw new Error(`Hit/miss sequence has ${pattern.length} entries but there are ${addrs.length} addresses.`);
+        }
+    }
+
+    // Associativities to try: the given one, otherwise powers of two up to 1024-way
+    const assocCandidates = known.assoc != null
+        ? [known.assoc]
+        : Array.from({ length: Math.min(addrBits, 10) + 1 }, (_, k) => 2 ** k);
+
+    const matches = [];
+    // replays keyed by block size, sets and the ways that can actually fill (more never change H/M)
+    const replays = new Map();
+    let candidates = 0;
+    let replayWork = 0;
+    let truncated = false;
+    search: for (let offsetBits = 0; offsetBits <= Math.min(addrBits, 20); offsetBits++) {
+        if (known.offsetBits != null && offsetBits !== known.offsetBits) continue;
+        const blockSize = 2 ** offsetBits;
+        if (known.blockSize != null && blockSize !== known.blockSize) continue;
+        const blocks = pattern.length > 0 ? distinctBlocks(addrs, offsetBits) : 0;
+
+        for (let indexBits = 0; offsetBits + indexBits <= addrBits && indexBits <= 24; indexBits++) {
+            if (known.indexBits != null && indexBits !== known.indexBits) continue;
+            const tagBits = addrBits - offsetBits - indexBits;
+            if (known.tagBits != null && tagBits !== known.tagBits) continue;
+            const numSets = 2 ** indexBits;
+
+            const assocs = known.assoc == null && known.cacheSize != null
+                ? [known.cacheSize / (numSets * blockSize)].filter(n => Number.isInteger(n) && n >= 1)
+                : assocCandidates;
+            for (const assoc of assocs) {
+                if (policy === "PLRU" && !isPowerOfTwo(assoc)) continue; // tree PLRU needs 2^k ways
+                const cacheSize = numSets * assoc * blockSize;
+                if (known.cacheSize != null && cacheSize !== known.cacheSize) continue;
+                if (known.cacheSize == null && cacheSize > 2 ** 30) continue;
+                if (++candidates > SOLVER_MAX_CANDIDATES) {
+                    truncated = true;
+                    break search;
+                }
+
+                const geom = deriveGeometry(addrBits, cacheSize, blockSize, assoc);
+                let observed = null;
+                if (pattern.length > 0) {
+                    const key = `${offsetBits}/${indexBits}/${Math.min(assoc, blocks)}`;
+                    if (!replays.has(key)) {
+                        replayWork += addrs.length * Math.min(assoc, blocks);
+                        if (replayWork > SOLVER_MAX_REPLAY_WORK) {
+                            truncated = true;
+                            break search;
+                        }
+                        replays.set(key, runHitMissPattern(geom, addrs, policy, seed));
+                    }
+                    observed = replays.get(key);
+                    if (observed.join("") !== pattern.join("")) continue;
+                }
+                matches.push({ geom, observed });
+            }
+        }
+    }
+
+    const out = [];
+    out.push("CACHE PARAMETER SOLVER");
+    out.push("");
+    out.push("Given:");
+    for (const [k, v] of Object.entries(known)) {
+        if (v != null) out.push(`- ${k} = ${v}`);
+    }
+    if (pattern.length > 0) out.push(`- observed (${policy}): ${pattern.join(" ")} for ${addrs.map(a => toHex(a)).join(", ")}`);
+    for (const n of notes) out.push(`- ${n}`);
+    out.push("");
+    out.push("Relations used:");
+    out.push("- addrBits = tagBits + indexBits + offsetBits");
+    out.push("- blockSize = 2^offsetBits, sets = 2^indexBits");
+    out.push("- cacheSize = sets × associativity × blockSize");
+    out.push("");
+    if (truncated) {
+        out.push(`Search stopped early after ${candidates} candidate geometries (size limit) — give more facts (e.g. cacheSize or addrBits) or a shorter trace to narrow it down.`);
+        out.push("");
+    }
+
+    if (matches.length === 0) {
+        out.push("No consistent parameter combination found (searched power-of-two block sizes and set counts up to 1 GiB).");
+        return out.join("\n");
+    }
+
+    out.push(`Consistent combinations: ${matches.length}${matches.length > SOLVER_MAX_LISTED ? ` (showing the first ${SOLVER_MAX_LISTED})` : ""}`);
+    const uniq = (f) => [...new Set(matches.map(m => f(m.geom)))].sort((a, b) => a - b).join(", ");
+    out.push(`- cacheSize:     ${uniq(g => g.cacheSize)}`);
+    out.push(`- blockSize:     ${uniq(g => g.blockSize)}`);
+    out.push(`- associativity: ${uniq(g => g.assoc)}`);
+    out.push(`- sets:          ${uniq(g => g.numSets)}`);
+    out.push("");
+
+    matches.slice(0, SOLVER_MAX_LISTED).forEach(({ geom: g, observed }, i) => {
+        out.push(`${i + 1}. cacheSize=${g.cacheSize} B, blockSize=${g.blockSize} B, ${g.assoc}-way, sets=${g.numSets}  (tag/index/offset = ${g.tagBits}/${g.indexBits}/${g.offsetBits})`);
+        out.push(`   offsetBits = log2(${g.blockSize}) = ${g.offsetBits}`);
+        out.push(`   indexBits  = log2(${g.numSets}) = ${g.indexBits},  tagBits = ${g.addrBits} - ${g.indexBits} - ${g.offsetBits} = ${g.tagBits}`);
+        out.push(`   cacheSize  = ${g.numSets} × ${g.assoc} × ${g.blockSize} = ${g.cacheSize} B`);
+        if (observed) out.push(`   replay: ${observed.join(" ")}  ✓`);
+    });
+
+    return out.join("\n");
+}
+
+// ---------- Set/way grid (visual replay of the simulation) ----------
+
+/**
+ * Draw one snapshot as a sets × ways table. The accessed set is outlined,
+ * the way that hit is green, a fill is blue and a fill that evicted a valid line is red.
+ */
+function renderCacheGrid(box, step, sets) {
+    box.innerHTML = "";
+    const assoc = sets[0].length;
+    const cellStyle = "padding:4px 6px; border:1px solid var(--border); font-family: var(--mono); font-size:12px; vertical-align:top;";
+
+    const head = el("tr", {}, [
+        el("th", { style: cellStyle, text: "set" }),
+        ...Array.from({ length: assoc }, (_, w) => el("th", { style: cellStyle, text: `way ${w}` })),
+    ]);
+
+    const rows = sets.map((setLines, setIdx) => {
+        const active = setIdx === step.setIdx;
+        const cells = setLines.map((ln, w) => {
+            let bg = "transparent";
+            if (active && w === step.way) {
+                if (step.result === "HIT") bg = "rgba(80,200,120,.25)";
+                else bg = step.evictedWay === w ? "rgba(255,107,107,.25)" : "rgba(77,163,255,.25)";
+            }
+            const text = ln.valid
+                ? `V=1 D=${ln.dirty ? 1 : 0}\ntag=${toHex(ln.tag)}\nage=${step.time - ln.lastUsed}`
+                : "V=0\n—";
+            return el("td", { style: `${cellStyle} white-space:pre; background:${bg};`, text });
+        });
+        return el("tr", { style: active ? "outline:2px solid var(--accent);" : "" }, [
+            el("td", { style: cellStyle, text: String(setIdx) }),
+            ...cells,
+        ]);
+    });
+
+    box.appendChild(el("table", { style: "border-collapse:collapse; margin-top:8px;" }, [head, ...rows]));
+}
+
 export default {
     id: "cache",
-    title: "Cache: Address breakdown + hit/miss (LRU)",
+    title: "Cache: Address breakdown + hit/miss",
     area: "Machine Arch",
-    tags: ["cache", "tag", "index", "offset", "LRU", "direct-mapped"],
+    tags: ["cache", "tag", "index", "offset", "LRU", "FIFO", "PLRU", "LFU", "OPT", "direct-mapped"],
 
     notesHtml: `
     <p><b>Formler</b></p>
@@ -67,7 +1451,42 @@ export default {
       <li>tagBits = addrBits - offsetBits - indexBits</li>
     </ul>
     <p><b>Hit/miss</b>: Samme <i>index</i> → samme set. Hit hvis en line i set har samme <i>tag</i>.</p>
-    <p><b>LRU</b>: ved miss evict den line, der blev brugt for længst tid siden.</p>
+    <p><b>Writes</b> (linjer i trace: <code>R 0x10</code> / <code>W 0x10</code>, uden prefix = read):</p>
+    <ul>
+      <li><b>Write-back</b>: write hit sætter dirty-bit; blokken skrives først til memory, når en dirty line evictes.</li>
+      <li><b>Write-through</b>: hver store skrives også direkte til memory (ingen dirty-bits).</li>
+      <li><b>Write-allocate</b>: write miss henter blokken ind i cachen og skriver så i den.</li>
+      <li><b>No-write-allocate</b>: write miss skriver direkte til memory; cachen ændres ikke.</li>
+    </ul>
+    <p><b>Solver</b>: udfyld de kendte størrelser (resten blank) og evt. en observeret HIT/MISS-sekvens for adresselisten. Alle power-of-two geometrier, der passer, listes med udregning.</p>
+    <p><b>Set/way grid</b>: "Load trace" under formularen afspiller accesses ét skridt ad gangen (grøn = hit, blå = fill, rød = eviction). age = accesses siden linjen sidst blev brugt.</p>
+    <p><b>Data</b>: slå "Track data values" til, giv et memory image (<code>0x1000: 0x11223344</code>) og store-værdier i trace (<code>W 0x1000 = 0xAB</code>). Værdier er little-endian med store size som ordstørrelse. Med write-back er memory <i>stale</i>, indtil den dirty line skrives tilbage.</p>
+    <p><b>3C miss-klassifikation</b>:</p>
+    <ul>
+      <li><b>Compulsory</b>: første gang blokken overhovedet tilgås.</li>
+      <li><b>Capacity</b>: ville også misse i en fuldt associativ LRU cache med samme antal blokke.</li>
+      <li><b>Conflict</b>: resten — skyldes at for mange blokke mapper til samme set.</li>
+    </ul>
+    <p><b>Trace generator</b>: erklær arrays (<code>int a[8][8] @ 0x1000 row</code>) og en loop nest
+    (<code>for (i = 0; i &lt; 8; i++)</code> + <code>sum += a[i][j];</code>). Row-major: adresse = base + (i·N + j)·size;
+    column-major: base + (j·M + i)·size. Stride &lt; blockSize giver spatial locality.</p>
+    <p><b>Hierarki</b> (L1/L2/L3):</p>
+    <ul>
+      <li>Miss i L<i>k</i> sendes videre til L<i>k+1</i> og til sidst memory.</li>
+      <li><b>Inclusive</b>: alt i L1 findes også i L2/L3. Evict i en lavere level → <i>back-invalidation</i> af blokken i de øvre levels.</li>
+      <li><b>Exclusive</b>: en blok ligger i højst én level. Fill går kun til L1; L1's victim flyttes ned i L2 osv.</li>
+      <li><b>NINE</b>: fill i alle levels, men evictions påvirker ikke andre levels.</li>
+      <li>AMAT = t<sub>L1</sub> + m<sub>L1</sub> × (t<sub>L2</sub> + m<sub>L2</sub> × (… + m<sub>Ln</sub> × t<sub>mem</sub>)), m = lokal miss rate.</li>
+    </ul>
+    <p><b>Replacement</b> (kun ved miss i et fuldt set; tomme ways fyldes først):</p>
+    <ul>
+      <li><b>LRU</b>: evict den line, der blev brugt for længst tid siden.</li>
+      <li><b>FIFO</b>: evict den line, der blev indsat først (hits ændrer ikke køen).</li>
+      <li><b>Random</b>: tilfældig way; samme seed → samme resultat.</li>
+      <li><b>Tree PLRU</b>: assoc−1 bits pr. set. Ved access peger bits <i>væk</i> fra den brugte way; victim findes ved at følge bits fra roden (0 = venstre, 1 = højre).</li>
+      <li><b>LFU</b>: evict line med færrest accesses siden indsættelse (tie → LRU).</li>
+      <li><b>OPT</b> (Belady): evict den line, hvis næste brug ligger længst ude i fremtiden. Bruges som nedre grænse for misses.</li>
+    </ul>
   `,
 
     render(container, ctx) {
@@ -78,7 +1497,31 @@ export default {
             cacheSize: s.cacheSize ?? "1024",
             blockSize: s.blockSize ?? "16",
             assoc: s.assoc ?? "1",
+            policy: s.policy ?? "LRU",
+            seed: s.seed ?? "1",
+            writeHit: s.writeHit ?? "WB",
+            writeMiss: s.writeMiss ?? "WA",
+            wordSize: s.wordSize ?? "4",
+            enableHierarchy: s.enableHierarchy ?? false,
+            levels: s.levels ?? "# name size block assoc latency\nL1 256 16 2 1\nL2 1024 32 4 10",
+            inclusion: s.inclusion ?? "NINE",
+            memLatency: s.memLatency ?? "100",
+            useLoopTrace: s.useLoopTrace ?? false,
+            arrayDecls: s.arrayDecls ?? "int a[8][8] @ 0x1000 row",
+            loopNest: s.loopNest ?? "for (i = 0; i < 8; i++)\n  for (j = 0; j < 8; j++)\n    sum += a[i][j];",
             addresses: s.addresses ?? "0x00000000\n0x00000004\n0x00000010\n0x00000000",
+            trackData: s.trackData ?? false,
+            memUnit: s.memUnit ?? "word",
+            memImage: s.memImage ?? "# addr: value\n0x00000000: 0x11111111\n0x00000004: 0x22222222",
+            solverMode: s.solverMode ?? false,
+            solveAddrBits: s.solveAddrBits ?? "",
+            solveCacheSize: s.solveCacheSize ?? "",
+            solveBlockSize: s.solveBlockSize ?? "",
+            solveAssoc: s.solveAssoc ?? "",
+            solveTagBits: s.solveTagBits ?? "",
+            solveIndexBits: s.solveIndexBits ?? "",
+            solveOffsetBits: s.solveOffsetBits ?? "",
+            solvePattern: s.solvePattern ?? "",
             showBinary: s.showBinary ?? true,
             showSetState: s.showSetState ?? false,
             showMasks: s.showMasks ?? false,
@@ -90,11 +1533,40 @@ export default {
         const cacheSize = el("input", { class: "search", value: state.cacheSize, inputmode: "numeric" });
         const blockSize = el("input", { class: "search", value: state.blockSize, inputmode: "numeric" });
         const assoc = el("input", { class: "search", value: state.assoc, inputmode: "numeric" });
+        const policy = el("select", { class: "search" },
+            REPLACEMENT_POLICIES.map(p => el("option", { value: p.id, text: p.label }))
+        );
+        policy.value = state.policy;
+        const seed = el("input", { class: "search", value: state.seed, inputmode: "numeric" });
+        const writeHit = el("select", { class: "search" }, [
+            el("option", { value: "WB", text: "Write-back (dirty bit)" }),
+            el("option", { value: "WT", text: "Write-through" }),
+        ]);
+        writeHit.value = state.writeHit;
+        const writeMiss = el("select", { class: "search" }, [
+            el("option", { value: "WA", text: "Write-allocate" }),
+            el("option", { value: "NWA", text: "No-write-allocate" }),
+        ]);
+        writeMiss.value = state.writeMiss;
+        const wordSize = el("input", { class: "search", value: state.wordSize, inputmode: "numeric" });
+
+        const enableHierarchy = el("input", { type: "checkbox" });
+        enableHierarchy.checked = !!state.enableHierarchy;
+        const levels = el("textarea", { class: "search", rows: "4" });
+        levels.value = state.levels;
+        levels.style.fontFamily = "var(--mono)";
+        levels.style.whiteSpace = "pre";
+        levels.style.resize = "vertical";
+        const inclusion = el("select", { class: "search" },
+            INCLUSION_POLICIES.map(p => el("option", { value: p.id, text: p.label }))
+        );
+        inclusion.value = state.inclusion;
+        const memLatency = el("input", { class: "search", value: state.memLatency, inputmode: "numeric" });
 
         const addresses = el("textarea", {
             class: "search",
             rows: "8",
-            placeholder: "One hex address per line (e.g. 0x00400010)",
+            placeholder: "One hex address per line, optional R/W prefix (e.g. W 0x00400010)",
         });
         addresses.value = state.addresses;
         addresses.style.fontFamily = "var(--mono)";
@@ -110,10 +1582,64 @@ export default {
         const showMasks = el("input", { type: "checkbox" });
         showMasks.checked = !!state.showMasks
 
+        const useLoopTrace = el("input", { type: "checkbox" });
+        useLoopTrace.checked = !!state.useLoopTrace;
+        const mkCode = (value, rows) => {
+            const ta = el("textarea", { class: "search", rows });
+            ta.value = value;
+            ta.style.fontFamily = "var(--mono)";
+            ta.style.whiteSpace = "pre";
+            ta.style.resize = "vertical";
+            return ta;
+        };
+        const arrayDecls = mkCode(state.arrayDecls, "3");
+        const loopNest = mkCode(state.loopNest, "5");
+
+        const btnGenerate = el("button", { class: "btn btn-ghost", text: "Generate → addresses" });
+        btnGenerate.addEventListener("click", () => {
+            try {
+                addresses.value = generateLoopTrace(arrayDecls.value, loopNest.value).text;
+                persist();
+            } catch (e) {
+                ctx.setOutput?.(`ERROR: ${e?.message || e}`);
+            }
+        });
+
+        const trackData = el("input", { type: "checkbox" });
+        trackData.checked = !!state.trackData;
+        const trackDataLabel = el("span");
+        const memUnit = el("select", { class: "search" }, [
+            el("option", { value: "word", text: "Words (store size, little-endian)" }),
+            el("option", { value: "byte", text: "Bytes" }),
+        ]);
+        memUnit.value = state.memUnit;
+        const memImage = el("textarea", { class: "search", rows: "4" });
+        memImage.value = state.memImage;
+        memImage.style.fontFamily = "var(--mono)";
+        memImage.style.whiteSpace = "pre";
+        memImage.style.resize = "vertical";
+
+        const solverMode = el("input", { type: "checkbox" });
+        solverMode.checked = !!state.solverMode;
+        const solveFields = [
+            ["solveAddrBits", "addrBits"],
+            ["solveCacheSize", "cacheSize (B)"],
+            ["solveBlockSize", "blockSize (B)"],
+            ["solveAssoc", "associativity"],
+            ["solveTagBits", "tag bits"],
+            ["solveIndexBits", "index bits"],
+            ["solveOffsetBits", "offset bits"],
+        ].map(([key, label]) => {
+            const inp = el("input", { class: "search", value: state[key], inputmode: "numeric", placeholder: "?" });
+            return { key, label, inp };
+        });
+        const solvePattern = el("input", { class: "search", value: state.solvePattern, placeholder: "e.g. M M H M (one per address)" });
+        solvePattern.style.fontFamily = "var(--mono)";
+
         const btnExample = el("button", { class: "btn btn-ghost", text: "Insert example" });
         btnExample.addEventListener("click", () => {
             addresses.value =
-                "0x00000000\n0x00000004\n0x00000010\n0x00000020\n0x00000000\n0x00000030\n0x00000010";
+                "R 0x00000000\nW 0x00000004\nR 0x00000010\nW 0x00000020\nR 0x00000000\nR 0x00000030\nW 0x00000010";
             persist();
         });
 
@@ -126,6 +1652,29 @@ export default {
             blockSize,
             mkLabel("Associativity (1 = direct-mapped)"),
             assoc,
+            mkLabel("Replacement policy"),
+            policy,
+            mkLabel("Random seed (only used by the Random policy)"),
+            seed,
+            mkLabel("Write hit policy"),
+            writeHit,
+            mkLabel("Write miss policy"),
+            writeMiss,
+            mkLabel("Store size in bytes (memory traffic for write-through / no-allocate stores)"),
+            wordSize,
+
+            el("div", { style: "display:flex; gap:12px; margin-top:10px; align-items:center;" }, [
+                el("label", { style: "display:flex; gap:8px; align-items:center; color: var(--muted);" }, [
+                    enableHierarchy,
+                    el("span", { text: "Multi-level hierarchy (uses the levels below instead of size/block/assoc above)" }),
+                ]),
+            ]),
+            mkLabel("Levels, top to bottom: name size block assoc latency (e.g. `L1 1024 16 2 1`)"),
+            levels,
+            mkLabel("Inclusion policy"),
+            inclusion,
+            mkLabel("Main memory latency (cycles)"),
+            memLatency,
 
             el("div", { style: "display:flex; gap:12px; margin-top:10px; align-items:center;" }, [
                 el("label", { style: "display:flex; gap:8px; align-items:center; color: var(--muted);" }, [
@@ -134,7 +1683,7 @@ export default {
                 ]),
                 el("label", { style: "display:flex; gap:8px; align-items:center; color: var(--muted);" }, [
                     showSetState,
-                    el("span", { text: "Show set state after each access" }),
+                    el("span", { text: "Show set / replacement state after each access" }),
                 ]),
                 el("label", { style: "display:flex; gap:8px; align-items:center; color: var(--muted);" }, [
                     showMasks,
@@ -142,193 +1691,207 @@ export default {
                 ]),
             ]),
 
+            el("div", { style: "display:flex; gap:12px; margin-top:12px; align-items:center;" }, [
+                el("label", { style: "display:flex; gap:8px; align-items:center; color: var(--muted);" }, [
+                    trackData,
+                    trackDataLabel,
+                ]),
+            ]),
+            mkLabel("Memory image entries are"),
+            memUnit,
+            mkLabel("Initial memory image: addr: value (unlisted bytes are 0)"),
+            memImage,
+
+            el("div", { style: "display:flex; gap:12px; margin-top:12px; align-items:center;" }, [
+                el("label", { style: "display:flex; gap:8px; align-items:center; color: var(--muted);" }, [
+                    solverMode,
+                    el("span", { text: "Solver mode: infer cache geometry from the facts below (blank = unknown)" }),
+                ]),
+            ]),
+            el("div", { style: "display:grid; grid-template-columns: repeat(4, 1fr); gap:8px;" },
+                solveFields.map(f => el("div", {}, [mkLabel(f.label), f.inp]))
+            ),
+            mkLabel("Observed HIT/MISS sequence for the address list (optional)"),
+            solvePattern,
+
+            el("div", { style: "display:flex; justify-content:space-between; align-items:center; margin-top:12px;" }, [
+                el("label", { style: "display:flex; gap:8px; align-items:center; color: var(--muted);" }, [
+                    useLoopTrace,
+                    el("span", { text: "Generate trace from loop nest (instead of the address list)" }),
+                ]),
+                btnGenerate,
+            ]),
+            mkLabel("Arrays: type name[dims] @ base [row|col]"),
+            arrayDecls,
+            mkLabel("Loop nest: for-headers (outermost first) followed by the body"),
+            loopNest,
+
             el("div", { style: "display:flex; justify-content:space-between; align-items:center; margin-top:12px;" }, [
-                mkLabel("Addresses (hex, one per line)"),
+                mkLabel("Accesses (hex, one per line, optional R/W prefix)"),
                 btnExample,
             ]),
             addresses,
         ]);
 
-        container.appendChild(form);
-        ctx.setNotes?.(this.notesHtml);
+        // --- set/way grid with stepping controls ---
+        // steps only carry the accessed set; `view` is the state after step `shown`, moved one delta at a time
+        let steps = [];
+        let cursor = 0;
+        let timer = null;
+        let view = [];
+        let shown = -1;
 
-        const persist = () => {
-            ctx.setState({
-                ...ctx.state,
-                addrBits: addrBits.value,
-                cacheSize: cacheSize.value,
-                blockSize: blockSize.value,
-                assoc: assoc.value,
-                addresses: addresses.value,
-                showBinary: showBinary.checked,
-                showSetState: showSetState.checked,
-                showMasks: showMasks.checked,
-            });
-        };
+        const gridInfo = el("div", { class: "nav-tag", text: "Press \"Load trace\" to replay the accesses step by step." });
+        const gridBox = el("div", { style: "overflow-x:auto;" });
+        const btnLoad = el("button", { class: "btn btn-ghost", text: "Load trace" });
+        const btnPrev = el("button", { class: "btn btn-ghost", text: "◀ Prev" });
+        const btnNext = el("button", { class: "btn btn-ghost", text: "Next ▶" });
+        const btnPlay = el("button", { class: "btn btn-ghost", text: "Play" });
 
-        [addrBits, cacheSize, blockSize, assoc, addresses].forEach(x =>
-            x.addEventListener("input", persist)
-        );
-        [showBinary, showSetState, showMasks].forEach(x => x.addEventListener("change", persist));
-    },
-
-    compute(ctx) {
-        const s = ctx.state;
-
-        const addrBits = parseIntStrict(s.addrBits ?? "32", "addrBits");
-        const cacheSize = parseIntStrict(s.cacheSize ?? "1024", "cacheSize");
-        const blockSize = parseIntStrict(s.blockSize ?? "16", "blockSize");
-        const assoc = parseIntStrict(s.assoc ?? "1", "associativity");
-        const showBinary = !!s.showBinary;
-        const showSetState = !!s.showSetState;
-        const showMasks = !!s.showMasks;
-
-        if (addrBits <= 0 || addrBits > 64) throw new Error("addrBits must be between 1 and 64.");
-        if (cacheSize <= 0) throw new Error("cacheSize must be > 0");
-        if (blockSize <= 0) throw new Error("blockSize must be > 0");
-        if (assoc <= 0) throw new Error("associativity must be > 0");
-
-        if (!isPowerOfTwo(blockSize)) throw new Error("blockSize must be a power of two");
-        if (cacheSize % blockSize !== 0) throw new Error("cacheSize must be divisible by blockSize");
-
-        const numBlocks = cacheSize / blockSize;
-        if (numBlocks % assoc !== 0) throw new Error("blocks must be divisible by associativity");
-        const numSets = numBlocks / assoc;
-
-        if (!isPowerOfTwo(numSets)) {
-            throw new Error(`Number of sets (${numSets}) is not a power of two. Check your parameters.`);
-        }
-
-        const offsetBits = log2IntPow2(blockSize);
-        const indexBits = numSets === 1 ? 0 : log2IntPow2(numSets);
-        const tagBits = addrBits - offsetBits - indexBits;
-        if (tagBits < 0) throw new Error("Invalid bit split: tagBits became negative.");
-
-        const addrs = parseAddresses(s.addresses ?? "");
-        if (addrs.length === 0) throw new Error("Provide at least one address.");
+        const stopPlay = () => {
+            if (timer) clearInterval(timer);
+            timer = null;
+            btnPlay.textContent = "Play";
+        };
 
-        const clampedAddrs = addrs.map(a => clampBigIntToBits(a, addrBits));
+        const showStep = () => {
+            if (steps.length === 0) return;
+            const st = steps[cursor];
+            const what = st.result === "HIT"
+                ? `HIT way ${st.way}`
+                : `${st.result}${st.way === -1 ? "" : ` → way ${st.way}`}${st.evicted ? ` (evict ${st.evicted})` : ""}`;
+            gridInfo.textContent = `Step ${cursor + 1} / ${steps.length}:  ${st.op} ${toHex(st.addr)}  set=${st.setIdx} tag=${toHex(st.tag)}  ${what}`;
+            for (; shown < cursor; shown++) view[steps[shown + 1].setIdx] = steps[shown + 1].set;
+            for (; shown > cursor; shown--) view[steps[shown].setIdx] = steps[shown].before;
+            renderCacheGrid(gridBox, st, view);
+        };
 
-        const sets = initCache(numSets, assoc);
-        let time = 0, hits = 0, misses = 0;
-        const lines = [];
-        const nibbles = Math.ceil(addrBits / 4);
-
-        function fmtSetStateLRU(setIdx) {
-            const setLines = sets[setIdx];
-          
-            // Only valid lines
-            const valid = setLines.filter(ln => ln.valid);
-          
-            // Sort by recency: MRU first (largest lastUsed)
-            valid.sort((a, b) => b.lastUsed - a.lastUsed);
-          
-            // Return tags as "0x10,0x110" etc.
-            return valid.map(ln => toHex(ln.tag)).join(", ");
-          }
-          
-
-        for (let i = 0; i < clampedAddrs.length; i++) {
-            time++;
-
-            const a = clampedAddrs[i];
-            const offset = a & maskBits(offsetBits);
-            const index = indexBits === 0 ? 0n : (a >> BigInt(offsetBits)) & maskBits(indexBits);
-            const tag = a >> BigInt(offsetBits + indexBits);
-
-            const setIdx = Number(index);
-            const setLines = sets[setIdx];
-
-            let hitWay = -1;
-            for (let w = 0; w < setLines.length; w++) {
-                const ln = setLines[w];
-                if (ln.valid && ln.tag === tag) { hitWay = w; break; }
+        btnLoad.addEventListener("click", () => {
+            stopPlay();
+            steps = [];
+            try {
+                simulateCache(readForm(), st => steps.push(st));
+            } catch (e) {
+                ctx.setOutput?.(`ERROR: ${e?.message || e}`);
+                return;
             }
-
-            let result, evicted = "—";
-            if (hitWay !== -1) {
-                hits++;
-                result = "HIT";
-                setLines[hitWay].lastUsed = time;
-            } else {
-                misses++;
-                result = "MISS";
-                const victim = pickVictimLRU(setLines);
-                if (setLines[victim].valid) evicted = toHex(setLines[victim].tag);
-                setLines[victim].valid = true;
-                setLines[victim].tag = tag;
-                setLines[victim].lastUsed = time;
-                hitWay = victim;
+            cursor = 0;
+            if (steps.length === 0) {
+                gridBox.innerHTML = "";
+                gridInfo.textContent = "The grid is only available in single-level mode.";
+                return;
             }
-
-            const addrHex = toHex(a, nibbles);
-            const tagHex = toHex(tag);
-            const indexDec = indexBits === 0 ? "0" : index.toString(10);
-            const offsetDec = offset.toString(10);
-
-            lines.push(
-                `${String(i + 1).padStart(2, " ")}.  addr=${addrHex}  tag=${tagHex}  index=${indexDec}  offset=${offsetDec}  ${result} (set=${setIdx}, way=${hitWay}${result === "MISS" ? `, evict=${evicted}` : ""})`
-            );
-
-            if (showBinary) {
-                const bin = toBin(a, addrBits);
-                const t = tagBits > 0 ? bin.slice(0, tagBits) : "";
-                const ix = indexBits > 0 ? bin.slice(tagBits, tagBits + indexBits) : "";
-                const off = offsetBits > 0 ? bin.slice(tagBits + indexBits) : "";
-                lines.push(`    bin: ${t}${indexBits ? " | " : ""}${ix}${(indexBits || tagBits) ? " | " : ""}${off}`);
+            // the set before each step, so Prev can undo it; everything starts invalid
+            const empty = steps[0].set.map(() => ({ valid: false, dirty: false, tag: 0n, lastUsed: 0 }));
+            view = Array.from({ length: steps[0].numSets }, () => empty);
+            for (const st of steps) {
+                st.before = view[st.setIdx];
+                view[st.setIdx] = st.set;
             }
+            view = Array.from({ length: steps[0].numSets }, () => empty);
+            shown = -1;
+            showStep();
+        });
+        btnPrev.addEventListener("click", () => {
+            stopPlay();
+            if (cursor > 0) { cursor--; showStep(); }
+        });
+        btnNext.addEventListener("click", () => {
+            stopPlay();
+            if (cursor < steps.length - 1) { cursor++; showStep(); }
+        });
+        btnPlay.addEventListener("click", () => {
+            if (timer) { stopPlay(); return; }
+            if (steps.length === 0) return;
+            if (cursor >= steps.length - 1) cursor = 0;
+            showStep();
+            btnPlay.textContent = "Pause";
+            timer = setInterval(() => {
+                // stop when the page was re-rendered or we reached the end
+                if (!gridBox.isConnected || cursor >= steps.length - 1) { stopPlay(); return; }
+                cursor++;
+                showStep();
+            }, 700);
+        });
 
-            if (showSetState) {
-                lines.push(`    tags (MRU→LRU) in set[${setIdx}] => ${fmtSetStateLRU(setIdx)}`);
-              }
-              
-            // if (showMasks) {
-            //     const tagMask = maskBits(tagBits) << BigInt(indexBits + offsetBits);
-            //     const indexMask = maskBits(indexBits) << BigInt(offsetBits);
-            //     const offsetMask = maskBits(offsetBits);
-            //     lines.push(`    masks: tag=${toHex(tagMask, nibbles)}  index=${toHex(indexMask, nibbles)}  offset=${toHex(offsetMask, nibbles)}`);
-            // }
+        const grid = el("div", { style: "margin-top:16px; border-top:1px solid var(--border); padding-top:12px;" }, [
+            el("div", { style: "display:flex; gap:8px; align-items:center; flex-wrap:wrap;" }, [
+                mkLabel("Set/way grid"),
+                btnLoad,
+                btnPrev,
+                btnNext,
+                btnPlay,
+            ]),
+            gridInfo,
+            gridBox,
+        ]);
 
-        }
+        // the solver has no trace to replay
+        const syncGrid = () => {
+            grid.style.display = solverMode.checked ? "none" : "";
+        };
+        syncGrid();
+        solverMode.addEventListener("change", () => {
+            stopPlay();
+            syncGrid();
+        });
 
-        const total = hits + misses;
-        const hitRate = total === 0 ? 0 : (hits / total) * 100;
+        // the hierarchy levels only hold tags, so data tracking is single-level
+        const syncTrackData = () => {
+            trackData.disabled = enableHierarchy.checked;
+            trackDataLabel.textContent = enableHierarchy.checked
+                ? "Track data values — not available with the multi-level hierarchy (its levels track tags only)"
+                : "Track data values (memory image + store values, single-level only)";
+        };
+        syncTrackData();
+        enableHierarchy.addEventListener("change", syncTrackData);
 
-        const out = [];
-        out.push("CACHE ADDRESS BREAKDOWN + HIT/MISS (LRU)");
-        out.push("");
-        out.push("Parameters:");
-        out.push(`- addrBits: ${addrBits}`);
-        out.push(`- cacheSize: ${cacheSize} B`);
-        out.push(`- blockSize: ${blockSize} B`);
-        out.push(`- associativity: ${assoc}-way`);
-        out.push(`- replacement: LRU`);
-        out.push("");
-        out.push("Derived:");
-        out.push(`- blocks = cacheSize / blockSize = ${cacheSize} / ${blockSize} = ${numBlocks}`);
-        out.push(`- sets = blocks / assoc = ${numBlocks} / ${assoc} = ${numSets}`);
-        out.push(`- offsetBits = log2(blockSize) = log2(${blockSize}) = ${offsetBits}`);
-        out.push(`- indexBits  = log2(sets) = log2(${numSets}) = ${indexBits}`);
-        out.push(`- tagBits    = addrBits - offsetBits - indexBits = ${addrBits} - ${offsetBits} - ${indexBits} = ${tagBits}`);
-        out.push("");
-        out.push("Accesses:");
-        out.push(...lines);
-        out.push("");
-        out.push("Summary:");
-        out.push(`- hits:   ${hits}`);
-        out.push(`- misses: ${misses}`);
-        out.push(`- hit rate: ${hitRate.toFixed(2)}%`);
-        if(showMasks) {
-            out.push("");
-            out.push("Masks:");
-            const tagMask = maskBits(tagBits) << BigInt(indexBits + offsetBits);
-            const indexMask = maskBits(indexBits) << BigInt(offsetBits);
-            const offsetMask = maskBits(offsetBits);
-            out.push(`- tag mask:    ${toHex(tagMask, nibbles)}`);
-            out.push(`- index mask:  ${toHex(indexMask, nibbles)}`);
-            out.push(`- offset mask: ${toHex(offsetMask, nibbles)}`);
-        }
+        container.appendChild(form);
+        container.appendChild(grid);
+        ctx.setNotes?.(this.notesHtml);
 
-        return out.join("\n");
+        // Current form values (ctx.state is only the snapshot from when the page was rendered)
+        const readForm = () => ({
+            ...ctx.state,
+            addrBits: addrBits.value,
+            cacheSize: cacheSize.value,
+            blockSize: blockSize.value,
+            assoc: assoc.value,
+            policy: policy.value,
+            seed: seed.value,
+            writeHit: writeHit.value,
+            writeMiss: writeMiss.value,
+            wordSize: wordSize.value,
+            enableHierarchy: enableHierarchy.checked,
+            levels: levels.value,
+            inclusion: inclusion.value,
+            memLatency: memLatency.value,
+            useLoopTrace: useLoopTrace.checked,
+            arrayDecls: arrayDecls.value,
+            loopNest: loopNest.value,
+            addresses: addresses.value,
+            showBinary: showBinary.checked,
+            showSetState: showSetState.checked,
+            showMasks: showMasks.checked,
+            trackData: trackData.checked,
+            memUnit: memUnit.value,
+            memImage: memImage.value,
+            solverMode: solverMode.checked,
+            ...Object.fromEntries(solveFields.map(f => [f.key, f.inp.value])),
+            solvePattern: solvePattern.value,
+        });
+
+        const persist = () => {
+            ctx.setState(readForm());
+        };
+
+        [addrBits, cacheSize, blockSize, assoc, seed, wordSize, levels, memLatency, arrayDecls, loopNest, addresses, memImage, solvePattern, ...solveFields.map(f => f.inp)].forEach(x =>
+            x.addEventListener("input", persist)
+        );
+        [policy, writeHit, writeMiss, enableHierarchy, inclusion, useLoopTrace, trackData, memUnit, solverMode, showBinary, showSetState, showMasks].forEach(x => x.addEventListener("change", persist));
+    },
+
+    compute(ctx) {
+        return simulateCache(ctx.state);
     },
 };
@@ -1,75 +1,76 @@
 import { el } from "../lib/utils.js";
+import { toHex } from "../lib/bit.js";
 
 /**
  * RISC-V to C Compiler
  * Converts RISC-V assembly instructions to equivalent C code
  */
 
-// RISC-V register names
-const REGISTERS = {
-    'x0': '0', 'zero': '0',
-    'x1': 't0', 'ra': 't0',
-    'x2': 'sp', 'x3': 'gp', 'x4': 'tp',
-    'x5': 't1', 'x6': 't2', 'x7': 't3',
-    'x8': 's0', 'fp': 's0',
-    'x9': 's1', 'x10': 'a0', 'x11': 'a1',
-    'x12': 'a2', 'x13': 'a3', 'x14': 'a4', 'x15': 'a5',
-    'x16': 'a6', 'x17': 'a7',
-    'x18': 's2', 'x19': 's3', 'x20': 's4', 'x21': 's5',
-    'x22': 's6', 'x23': 's7', 'x24': 's8', 'x25': 's9',
-    'x26': 's10', 'x27': 's11',
-    'x28': 't3', 'x29': 't4', 'x30': 't5', 'x31': 't6',
-};
+// RISC-V integer registers: index = register number
+const REGISTER_TABLE = [
+    { abi: 'zero', role: 'hard-wired zero', saver: '—' },
+    { abi: 'ra', role: 'return address', saver: 'caller' },
+    { abi: 'sp', role: 'stack pointer', saver: 'callee' },
+    { abi: 'gp', role: 'global pointer', saver: '—' },
+    { abi: 'tp', role: 'thread pointer', saver: '—' },
+    { abi: 't0', role: 'temporary / alternate link register', saver: 'caller' },
+    { abi: 't1', role: 'temporary', saver: 'caller' },
+    { abi: 't2', role: 'temporary', saver: 'caller' },
+    { abi: 's0', role: 'saved register / frame pointer (fp)', saver: 'callee' },
+    { abi: 's1', role: 'saved register', saver: 'callee' },
+    { abi: 'a0', role: 'argument / return value', saver: 'caller' },
+    { abi: 'a1', role: 'argument / return value', saver: 'caller' },
+    ...[2, 3, 4, 5, 6, 7].map(n => ({ abi: `a${n}`, role: 'argument', saver: 'caller' })),
+    ...[2, 3, 4, 5, 6, 7, 8, 9, 10, 11].map(n => ({ abi: `s${n}`, role: 'saved register', saver: 'callee' })),
+    ...[3, 4, 5, 6].map(n => ({ abi: `t${n}`, role: 'temporary', saver: 'caller' })),
+];
+
+const ABI_NAMES = REGISTER_TABLE.map(r => r.abi);
+
+// Every accepted spelling (ABI name, xN, fp) → register number
+const REG_NUMBERS = (() => {
+    const map = new Map(ABI_NAMES.map((name, i) => [name, i]));
+    map.set('fp', 8);
+    for (let i = 0; i < 32; i++) map.set(`x${i}`, i);
+    return map;
+})();
+
+function regNum(name) {
+    const r = (name ?? '').toLowerCase().trim();
+    if (!REG_NUMBERS.has(r)) throw new Error(`Unknown register: ${name}`);
+    return REG_NUMBERS.get(r);
+}
 
-// Map register to C variable name
+// Map register to C variable name (its ABI name; x0 is the constant 0)
 function regToC(reg) {
     const r = reg.toLowerCase().trim();
-    if (REGISTERS[r] !== undefined) {
-        return REGISTERS[r] === '0' ? '0' : REGISTERS[r];
-    }
-    // Handle numeric registers like x5, x10
-    const numMatch = r.match(/^x?(\d+)$/);
-    if (numMatch) {
-        const num = parseInt(numMatch[1]);
-        if (num === 0) return '0';
-        if (num >= 1 && num <= 31) {
-            // Use ABI names for common registers
-            if (num === 1) return 't0';
-            if (num === 2) return 'sp';
-            if (num >= 5 && num <= 7) return `t${num - 4}`;
-            if (num === 8) return 's0';
-            if (num === 9) return 's1';
-            if (num >= 10 && num <= 17) return `a${num - 10}`;
-            if (num >= 18 && num <= 27) return `s${num - 16}`;
-            return `r${num}`;
-        }
-    }
-    return reg; // fallback
-}
-
-// Parse immediate value (supports hex, decimal, binary)
+    if (!REG_NUMBERS.has(r)) return reg; // fallback
+    const num = REG_NUMBERS.get(r);
+    return num === 0 ? '0' : ABI_NAMES[num];
+}
+
+// "a0 (x10, argument / return value, caller-saved)"
+function describeRegister(reg) {
+    const r = reg.toLowerCase().trim();
+    if (!REG_NUMBERS.has(r)) return reg;
+    const num = REG_NUMBERS.get(r);
+    const { abi, role, saver } = REGISTER_TABLE[num];
+    return `${abi} (x${num}, ${role}${saver === '—' ? '' : `, ${saver}-saved`})`;
+}
+
+// Parse immediate value (supports hex, decimal, binary, each with an optional sign: -0x10)
 function parseImmediate(imm) {
-    const s = imm.trim();
-    if (s.startsWith('0x') || s.startsWith('0X')) {
-        return parseInt(s, 16);
-    }
-    if (s.startsWith('0b') || s.startsWith('0B')) {
-        return parseInt(s.slice(2), 2);
-    }
-    const num = parseInt(s, 10);
-    if (isNaN(num)) throw new Error(`Invalid immediate: ${imm}`);
-    return num;
+    const m = imm.trim().match(/^([+-]?)(?:0x([0-9a-f]+)|0b([01]+)|(\d+))$/i);
+    if (!m) throw new Error(`Invalid immediate: ${imm}`);
+    const [, sign, hex, bin, dec] = m;
+    const num = hex != null ? parseInt(hex, 16) : bin != null ? parseInt(bin, 2) : parseInt(dec, 10);
+    return sign === '-' ? 0 - num : num;
 }
 
 // Parse instruction line
 function parseInstruction(line) {
     // Remove comments
-    const commentIdx = line.indexOf('#');
-    if (commentIdx !== -1) {
-        line = line.substring(0, commentIdx);
-    }
-    
-    line = line.trim();
+    line = stripComment(line).trim();
     if (!line) return null;
     
     // Split into parts
@@ -84,7 +85,50 @@ function parseInstruction(line) {
 
 // Convert RISC-V instruction to C
 function riscvToC(mnemonic, operands, labels = new Map()) {
-    const op = mnemonic.toLowerCase();
+    let op = mnemonic.toLowerCase();
+    
+    // RV32M multiply/divide
+    if (['mul', 'mulh', 'mulhsu', 'mulhu', 'div', 'divu', 'rem', 'remu'].includes(op)) {
+        if (operands.length !== 3) throw new Error(`${op} requires 3 operands`);
+        const rd = regToC(operands[0]);
+        const rs1 = regToC(operands[1]);
+        const rs2 = regToC(operands[2]);
+        switch (op) {
+            case 'mul': return `${rd} = ${rs1} * ${rs2};`;
+            case 'mulh': return `${rd} = (int)(((long long)${rs1} * ${rs2}) >> 32);  // upper 32 bits, signed × signed`;
+            case 'mulhsu': return `${rd} = (int)(((long long)${rs1} * (unsigned)${rs2}) >> 32);  // upper 32 bits, signed × unsigned`;
+            case 'mulhu': return `${rd} = (int)(((unsigned long long)(unsigned)${rs1} * (unsigned)${rs2}) >> 32);  // upper 32 bits, unsigned`;
+            case 'div': return `${rd} = ${rs1} / ${rs2};  // x/0 gives -1`;
+            case 'divu': return `${rd} = (unsigned)${rs1} / (unsigned)${rs2};`;
+            case 'rem': return `${rd} = ${rs1} % ${rs2};  // x%0 gives x`;
+            case 'remu': return `${rd} = (unsigned)${rs1} % (unsigned)${rs2};`;
+        }
+    }
+    
+    // Single-instruction pseudo-instructions on registers
+    if (['not', 'neg', 'seqz', 'snez', 'sltz', 'sgtz'].includes(op)) {
+        if (operands.length !== 2) throw new Error(`${op} requires 2 operands`);
+        const rd = regToC(operands[0]);
+        const rs = regToC(operands[1]);
+        const exprs = {
+            not: `~${rs}`, neg: `-${rs}`, seqz: `(${rs} == 0) ? 1 : 0`,
+            snez: `(${rs} != 0) ? 1 : 0`, sltz: `(${rs} < 0) ? 1 : 0`, sgtz: `(${rs} > 0) ? 1 : 0`,
+        };
+        return `${rd} = ${exprs[op]};  // ${op}`;
+    }
+    
+    // Compare-with-zero branches
+    if (['beqz', 'bnez', 'blez', 'bgez', 'bltz', 'bgtz'].includes(op)) {
+        if (operands.length !== 2) throw new Error(`${op} requires 2 operands`);
+        const rs = regToC(operands[0]);
+        const conds = { beqz: '==', bnez: '!=', blez: '<=', bgez: '>=', bltz: '<', bgtz: '>' };
+        return `if (${rs} ${conds[op]} 0) goto ${labels.get(operands[1]) ?? operands[1]};`;
+    }
+    
+    if (op === 'la') {
+        if (operands.length !== 2) throw new Error('la requires 2 operands');
+        return `${regToC(operands[0])} = &${labels.get(operands[1]) ?? operands[1]};  // la: load address`;
+    }
     
     // Arithmetic/Logical R-type
     if (['add', 'sub', 'sll', 'slt', 'sltu', 'xor', 'srl', 'sra', 'or', 'and'].includes(op)) {
@@ -243,7 +287,7 @@ function riscvToC(mnemonic, operands, labels = new Map()) {
         if (operands.length === 1) {
             // jal label (rd defaults to ra/x1)
             const label = operands[0];
-            return `t0 = pc + 4; goto ${label};  // jal pseudo: save return address`;
+            return `ra = pc + 4; goto ${label};  // jal pseudo: save return address`;
         }
         if (operands.length === 2) {
             const rd = regToC(operands[0]);
@@ -260,7 +304,7 @@ function riscvToC(mnemonic, operands, labels = new Map()) {
         if (operands.length === 1) {
             // jalr rs1 (rd defaults to ra/x1, offset defaults to 0)
             const rs1 = regToC(operands[0]);
-            return `t0 = pc + 4; pc = ${rs1}; /* jalr: indirect jump - target in ${rs1} */`;
+            return `ra = pc + 4; pc = ${rs1}; /* jalr: indirect jump - target in ${rs1} */`;
         }
         if (operands.length === 2) {
             // jalr rd, offset(rs1) or jalr rd, rs1
@@ -307,7 +351,7 @@ function riscvToC(mnemonic, operands, labels = new Map()) {
             // Try to see if it's a register name
             const regTest = regToC(target);
             // Special case: jr ra should be a return
-            if (target.toLowerCase() === 'ra' || regTest === 't0') {
+            if (regTest === 'ra') {
                 return `return;  // jr ra: return from function`;
             }
             if (regTest !== target && regTest !== '0') {
@@ -366,7 +410,7 @@ function riscvToC(mnemonic, operands, labels = new Map()) {
     if (op === 'call') {
         if (operands.length !== 1) throw new Error('call requires 1 operand');
         const label = operands[0];
-        return `t0 = pc + 4; goto ${label};  // call: save return address in ra (t0), jump to ${label}`;
+        return `ra = pc + 4; goto ${label};  // call: save return address in ra, jump to ${label}`;
     }
     
     // Tail pseudo-instruction (jal x0, label)
@@ -380,34 +424,373 @@ function riscvToC(mnemonic, operands, labels = new Map()) {
     throw new Error(`Unsupported instruction: ${op}`);
 }
 
-// Build instruction map with labels for control flow analysis
-function buildInstructionMap(lines, labels) {
+// ---------- Pseudo-instructions ----------
+
+const fitsImm12 = (v) => v >= -2048 && v <= 2047;
+
+const PSEUDO_ARITY = {
+    li: 2, la: 2, mv: 2, move: 2, not: 2, neg: 2, seqz: 2, snez: 2, sltz: 2, sgtz: 2,
+    beqz: 2, bnez: 2, blez: 2, bgez: 2, bltz: 2, bgtz: 2, bgt: 3, ble: 3, bgtu: 3, bleu: 3,
+    j: 1, jr: 1, ret: 0, call: 1, tail: 1, nop: 0,
+};
+
+// Split a 32-bit constant/offset into lui/auipc (hi, 20 bits) + addi (lo, signed 12 bits)
+function splitHiLo(value) {
+    const v = value | 0;
+    const hi = ((v + 0x800) >>> 12) & 0xFFFFF;
+    const lo = (v - (hi << 12)) | 0;
+    return { hi, lo };
+}
+
+// "arr" in "lw a0, arr" (a symbol, not offset(base) or a register)
+const isSymbolOperand = (text) => /^[A-Za-z_.$][\w.$]*$/.test(text ?? '') && !REG_NUMBERS.has(text.toLowerCase());
+
+/**
+ * Base-instruction expansion of a pseudo-instruction as assembly text, or null for base instructions.
+ * Without `resolve` (pc and symbol addresses), la/call/tail and symbol loads/stores use %pcrel_hi/%pcrel_lo placeholders.
+ * resolve: { pc, addrOf(symbol) }
+ */
+function expandPseudo(mnemonic, operands, resolve = null) {
+    const op = mnemonic.toLowerCase();
+    const [x, y, z] = operands;
+    const arity = PSEUDO_ARITY[op];
+    if (arity != null && operands.length !== arity) throw new Error(`${op} requires ${arity} operand${arity === 1 ? '' : 's'}`);
+    switch (op) {
+        case 'li': {
+            const v = parseImmediate(y) | 0;
+            if (fitsImm12(v)) return [`addi ${x}, zero, ${v}`];
+            const { hi, lo } = splitHiLo(v);
+            return lo ? [`lui ${x}, ${toHex(hi)}`, `addi ${x}, ${x}, ${lo}`] : [`lui ${x}, ${toHex(hi)}`];
+        }
+        case 'la': {
+            if (!resolve) return [`auipc ${x}, %pcrel_hi(${y})`, `addi ${x}, ${x}, %pcrel_lo(${y})`];
+            const { hi, lo } = splitHiLo(resolve.addrOf(y) - resolve.pc);
+            return [`auipc ${x}, ${toHex(hi)}`, `addi ${x}, ${x}, ${lo}`];
+        }
+        case 'mv':
+        case 'move': return [`addi ${x}, ${y}, 0`];
+        case 'not': return [`xori ${x}, ${y}, -1`];
+        case 'neg': return [`sub ${x}, zero, ${y}`];
+        case 'seqz': return [`sltiu ${x}, ${y}, 1`];
+        case 'snez': return [`sltu ${x}, zero, ${y}`];
+        case 'sltz': return [`slt ${x}, ${y}, zero`];
+        case 'sgtz': return [`slt ${x}, zero, ${y}`];
+        case 'beqz': return [`beq ${x}, zero, ${y}`];
+        case 'bnez': return [`bne ${x}, zero, ${y}`];
+        case 'blez': return [`bge zero, ${x}, ${y}`];
+        case 'bgez': return [`bge ${x}, zero, ${y}`];
+        case 'bltz': return [`blt ${x}, zero, ${y}`];
+        case 'bgtz': return [`blt zero, ${x}, ${y}`];
+        case 'bgt': return [`blt ${y}, ${x}, ${z}`];
+        case 'ble': return [`bge ${y}, ${x}, ${z}`];
+        case 'bgtu': return [`bltu ${y}, ${x}, ${z}`];
+        case 'bleu': return [`bgeu ${y}, ${x}, ${z}`];
+        case 'j': return [`jal zero, ${x}`];
+        case 'jal': return operands.length === 1 ? [`jal ra, ${x}`] : null;
+        case 'jr': return [`jalr zero, 0(${x})`];
+        case 'jalr': return operands.length === 1 ? [`jalr ra, 0(${x})`] : null;
+        case 'ret': return ['jalr zero, 0(ra)'];
+        case 'call': return [`auipc ra, %pcrel_hi(${x})`, `jalr ra, %pcrel_lo(${x})(ra)`];
+        case 'tail': return [`auipc t1, %pcrel_hi(${x})`, `jalr zero, %pcrel_lo(${x})(t1)`];
+        case 'nop': return ['addi zero, zero, 0'];
+        default: {
+            // lw rd, symbol (rd holds the address first) / sw rs, symbol, rt (rt is the address temporary)
+            const load = LOAD_OPS.includes(op) && operands.length === 2 && isSymbolOperand(y);
+            const store = STORE_OPS.includes(op) && operands.length === 3 && isSymbolOperand(y);
+            if (!load && !store) return null;
+            const addrReg = load ? x : z;
+            if (!resolve) return [`auipc ${addrReg}, %pcrel_hi(${y})`, `${op} ${x}, %pcrel_lo(${y})(${addrReg})`];
+            const { hi, lo } = splitHiLo(resolve.addrOf(y) - resolve.pc);
+            return [`auipc ${addrReg}, ${toHex(hi)}`, `${op} ${x}, ${lo}(${addrReg})`];
+        }
+    }
+}
+
+// li with a constant outside 12 bits, la and loads/stores of a symbol occupy more than one instruction slot
+function pseudoSlots(inst) {
+    const op = inst.mnemonic.toLowerCase();
+    if (op === 'la') return 2;
+    if ((op === 'li' && inst.operands.length === 2) || LOAD_OPS.includes(op) || STORE_OPS.includes(op)) {
+        try {
+            return expandPseudo(op, inst.operands)?.length ?? 1;
+        } catch {
+            return 1;
+        }
+    }
+    return 1;
+}
+
+// ---------- Assembler directives & data section ----------
+
+const DATA_BASE = 0x10010000; // RARS/Venus place .data here; code starts at 0
+const DATA_SIZES = { '.byte': 1, '.half': 2, '.short': 2, '.2byte': 2, '.word': 4, '.long': 4, '.4byte': 4 };
+const STRING_DIRECTIVES = { '.ascii': false, '.asciz': true, '.string': true }; // value: NUL-terminated
+const ALIGN_DIRECTIVES = ['.align', '.p2align', '.balign'];
+const SECTION_DIRECTIVES = { '.text': 'text', '.data': 'data', '.rodata': 'data', '.sdata': 'data', '.bss': 'data' };
+const IGNORED_DIRECTIVES = ['.globl', '.global', '.local', '.extern', '.type', '.size', '.file', '.option', '.attribute', '.ident', '.end'];
+const STRING_ESCAPES = { n: 10, t: 9, r: 13, 0: 0, '\\': 92, '"': 34, "'": 39 };
+
+// Remove a '#' comment; '#' inside "..." or '...' literals is kept
+function stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quote) {
+            if (c === '\\') i++;
+            else if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === '#') {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+// "loop: addi t0, t0, 1" → { labels: ['loop'], rest: 'addi t0, t0, 1' }
+function splitLabels(line) {
+    const labels = [];
+    let rest = line.trim();
+    let m;
+    while ((m = rest.match(/^([A-Za-z_.$][\w.$]*)\s*:/))) {
+        labels.push(m[1]);
+        rest = rest.slice(m[0].length).trim();
+    }
+    return { labels, rest };
+}
+
+// Directive operands split on commas outside string literals
+function splitDirectiveArgs(text) {
+    const args = [];
+    let cur = '';
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quote) {
+            cur += c;
+            if (c === '\\') cur += text[++i] ?? '';
+            else if (c === quote) quote = null;
+        } else if (c === ',') {
+            args.push(cur.trim());
+            cur = '';
+        } else {
+            if (c === '"' || c === "'") quote = c;
+            cur += c;
+        }
+    }
+    if (cur.trim() || args.length) args.push(cur.trim());
+    return args;
+}
+
+// "Hi\n" → [72, 105, 10] (UTF-8 for non-ASCII characters)
+function parseStringLiteral(text) {
+    const m = text.match(/^"((?:[^"\\]|\\.)*)"$/s);
+    if (!m) throw new Error(`Expected a string in double quotes: ${text}`);
+    const bytes = [];
+    for (const token of m[1].match(/\\.|[^\\]/gsu) ?? []) {
+        if (!token.startsWith('\\')) {
+            bytes.push(...new TextEncoder().encode(token));
+            continue;
+        }
+        if (!(token[1] in STRING_ESCAPES)) throw new Error(`Unsupported escape ${token} in ${text}`);
+        bytes.push(STRING_ESCAPES[token[1]]);
+    }
+    return bytes;
+}
+
+// Number, character literal ('A', '\n') or symbol name (returned as a string)
+function parseDataValue(text) {
+    if (/^[+-]?(0x[0-9a-f]+|0b[01]+|\d+)$/i.test(text)) return parseValue(text);
+    const ch = text.match(/^'(\\.|[^\\'])'$/);
+    if (ch) return ch[1].startsWith('\\') ? parseStringLiteral(`"${ch[1]}"`)[0] : ch[1].charCodeAt(0);
+    if (/^[A-Za-z_.$][\w.$]*$/.test(text)) return text;
+    throw new Error(`Invalid value: ${text}`);
+}
+
+/**
+ * Data section: bytes (Map addr → byte, zero-filled space is left out), symbols (label → address),
+ * items (one per directive, for the layout table) and relocs (.word label, resolved once code addresses are known).
+ */
+function createDataLayout() {
+    return { base: DATA_BASE, end: DATA_BASE, bytes: new Map(), symbols: new Map(), items: [], relocs: [] };
+}
+
+/**
+ * Place one data directive at the end of the data section.
+ * Item: { lineNum, labels, directive, args, addr, size, values: [{ addr, size, value?, text?, pad? }] }
+ */
+function layoutDirective(data, name, argText, lineNum, labels) {
+    const args = argText.trim() ? splitDirectiveArgs(argText) : [];
+    const item = { lineNum, labels, directive: name, args, addr: data.end, values: [] };
+    const count = (what) => {
+        const n = parseDataValue(args[0] ?? '');
+        if (typeof n !== 'number' || n < 0) throw new Error(`${name} expects ${what}`);
+        return n;
+    };
+
+    if (DATA_SIZES[name]) {
+        const size = DATA_SIZES[name];
+        if (!args.length) throw new Error(`${name} needs at least one value`);
+        for (const arg of args) {
+            const v = parseDataValue(arg);
+            const entry = { addr: data.end, size, value: 0 };
+            if (typeof v === 'string') {
+                if (size !== 4) throw new Error(`${name} cannot hold the address of ${v} (use .word)`);
+                entry.symbol = v;
+                data.relocs.push({ entry, lineNum });
+            } else {
+                if (size < 4 && (v < -(2 ** (8 * size - 1)) || v >= 2 ** (8 * size))) throw new Error(`${v} does not fit in ${size * 8} bits`);
+                entry.value = size < 4 ? v : v | 0;
+            }
+            for (let k = 0; k < size; k++) data.bytes.set(data.end + k, (entry.value >>> (8 * k)) & 0xFF);
+            item.values.push(entry);
+            data.end += size;
+        }
+    } else if (name in STRING_DIRECTIVES) {
+        if (!args.length) throw new Error(`${name} needs a string`);
+        for (const arg of args) {
+            const bytes = parseStringLiteral(arg);
+            if (STRING_DIRECTIVES[name]) bytes.push(0);
+            bytes.forEach((b, k) => data.bytes.set(data.end + k, b));
+            item.values.push({ addr: data.end, size: bytes.length, text: arg });
+            data.end += bytes.length;
+        }
+    } else if (name === '.space' || name === '.zero') {
+        const n = count('a byte count');
+        if (n) item.values.push({ addr: data.end, size: n, pad: true });
+        data.end += n;
+    } else if (ALIGN_DIRECTIVES.includes(name)) {
+        const n = count(name === '.balign' ? 'a byte alignment' : 'a power of two (.align 2 = 4 bytes)');
+        const align = name === '.balign' ? n : 2 ** n;
+        if (!Number.isInteger(Math.log2(align)) || align > 4096) throw new Error(`Alignment must be a power of two up to 4096: ${align}`);
+        const pad = (align - ((data.end - data.base) % align)) % align;
+        if (pad) item.values.push({ addr: data.end, size: pad, pad: true });
+        item.align = align;
+        data.end += pad;
+    } else {
+        throw new Error(`Unsupported directive: ${name}`);
+    }
+    item.size = data.end - item.addr;
+    data.items.push(item);
+}
+
+// .word label: fill in addresses once the code layout is final
+function resolveDataRelocs(data, addrOf, report = null) {
+    for (const { entry, lineNum } of data.relocs) {
+        try {
+            entry.value = addrOf(entry.symbol) | 0;
+        } catch (e) {
+            if (!report) throw new Error(`line ${lineNum + 1}: ${e.message}`);
+            report(lineNum, e.message);
+        }
+        for (let k = 0; k < 4; k++) data.bytes.set(entry.addr + k, (entry.value >>> (8 * k)) & 0xFF);
+    }
+}
+
+// "0x48 0x69" style byte list, or "(n zero bytes)" for reserved space
+function fmtDataBytes(data, addr, size, pad) {
+    if (pad) return `00 × ${size}`;
+    return Array.from({ length: size }, (_, k) => (data.bytes.get(addr + k) ?? 0).toString(16).toUpperCase().padStart(2, '0')).join(' ');
+}
+
+// Printable form of string bytes with C escapes
+function fmtDataChars(data, addr, size) {
+    const named = { 0: '\\0', 9: '\\t', 10: '\\n', 13: '\\r', 34: '\\"', 92: '\\\\' };
+    let s = '';
+    for (let k = 0; k < size; k++) {
+        const b = data.bytes.get(addr + k) ?? 0;
+        s += named[b] ?? (b >= 32 && b < 127 ? String.fromCharCode(b) : `\\x${b.toString(16).padStart(2, '0')}`);
+    }
+    return `"${s}"`;
+}
+
+/**
+ * Data layout as a table: one row per value (strings in 8-byte rows), padding shown explicitly.
+ * Returns [] when the listing has no data.
+ */
+function fmtDataLayout(data) {
+    if (data.end === data.base) return [];
+    const rows = [];
+    for (const item of data.items) {
+        let label = item.labels.join(', ');
+        const directive = ALIGN_DIRECTIVES.includes(item.directive) ? `${item.directive} ${item.args[0]}` : item.directive;
+        for (const v of item.values) {
+            if (v.pad) {
+                const what = item.directive === '.space' || item.directive === '.zero' ? `${v.size} byte${v.size === 1 ? '' : 's'} reserved` : 'padding';
+                rows.push([hex32(v.addr), label, directive, what, fmtDataBytes(data, v.addr, v.size, true)]);
+            } else if (v.text != null) {
+                for (let off = 0; off < v.size; off += 8) {
+                    const n = Math.min(8, v.size - off);
+                    rows.push([hex32(v.addr + off), label, directive, fmtDataChars(data, v.addr + off, n), fmtDataBytes(data, v.addr + off, n)]);
+                    label = '';
+                }
+            } else {
+                const value = v.symbol ? `${v.symbol} = ${hex32(v.value)}` : String(v.value);
+                const misaligned = v.addr % v.size ? '  (misaligned)' : '';
+                rows.push([hex32(v.addr), label, directive, value + misaligned, fmtDataBytes(data, v.addr, v.size)]);
+            }
+            label = '';
+        }
+        if (!item.values.length && label) rows.push([hex32(item.addr), label, directive, '', '']);
+    }
+    const head = ['Address', 'Label', 'Directive', 'Value', 'Bytes (lowest address first)'];
+    const widths = head.map((h, c) => Math.max(h.length, ...rows.map(r => r[c].length)));
+    const fmtRow = (r) => r.map((cell, c) => cell.padEnd(widths[c])).join('  ').trimEnd();
+    const out = [`Data layout (.data at ${hex32(data.base)}, ${data.end - data.base} bytes, little-endian):`, fmtRow(head), fmtRow(widths.map(w => '-'.repeat(w)))];
+    for (const r of rows) out.push(fmtRow(r));
+    return out;
+}
+
+/**
+ * Build instruction map with labels for control flow analysis; data directives build the data layout.
+ * Without `report` the first bad line throws; with report(lineNum, message) the line is skipped.
+ */
+function buildInstructionMap(lines, report = null) {
     const instructions = [];
     const labelToIndex = new Map(); // label name -> instruction index
-    const indexToLabel = new Map(); // instruction index -> label name (if starts a block)
-    
-    let instIndex = 0;
+    const data = createDataLayout();
+    let section = 'text';
+    const fail = (i, text, message) => {
+        if (!report) throw new Error(`line ${i + 1}${text ? ` (${text})` : ''}: ${message}`);
+        report(i, message);
+    };
+
     for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        const trimmed = line.trim();
-        
-        if (trimmed.endsWith(':')) {
-            const label = trimmed.slice(0, -1).trim();
-            if (label) {
-                labelToIndex.set(label, instIndex);
-                // Next instruction will be at this index
-            }
+        const { labels, rest } = splitLabels(stripComment(lines[i]));
+        for (const label of labels) {
+            if (labelToIndex.has(label) || data.symbols.has(label)) fail(i, '', `duplicate label ${label}`);
+            else if (section === 'text') labelToIndex.set(label, instructions.length);
+            else data.symbols.set(label, data.end);
+        }
+        if (!rest) continue;
+
+        const directive = rest.match(/^(\.[\w.]+)\s*(.*)$/);
+        if (!directive) {
+            if (section !== 'text') fail(i, rest, 'instruction in the data section (add .text before the code)');
+            else instructions.push({ ...parseInstruction(rest), lineNum: i, index: instructions.length });
             continue;
         }
-        
-        const inst = parseInstruction(line);
-        if (inst) {
-            instructions.push({ ...inst, lineNum: i, index: instIndex });
-            instIndex++;
+        const name = directive[1].toLowerCase();
+        try {
+            if (name === '.section') {
+                const target = SECTION_DIRECTIVES[splitDirectiveArgs(directive[2])[0]];
+                if (!target) throw new Error(`Unsupported section: ${directive[2]}`);
+                section = target;
+            } else if (SECTION_DIRECTIVES[name]) {
+                section = SECTION_DIRECTIVES[name];
+            } else if (IGNORED_DIRECTIVES.includes(name) || (section === 'text' && ALIGN_DIRECTIVES.includes(name))) {
+                // symbol visibility/metadata; code is always word aligned
+            } else if (section === 'text') {
+                throw new Error(`${name} in .text: put data after a .data directive`);
+            } else {
+                layoutDirective(data, name, directive[2], i, labels);
+            }
+        } catch (e) {
+            fail(i, rest, e.message);
         }
     }
-    
-    return { instructions, labelToIndex };
+
+    return { instructions, labelToIndex, data };
 }
 
 // ---------- High-level cheat sheet generator (line-by-line explanation) ----------
@@ -415,34 +798,48 @@ function buildInstructionMap(lines, labels) {
 function classifyInstrType(mnemonic) {
     const op = mnemonic.toLowerCase();
     if (['add', 'sub', 'sll', 'slt', 'sltu', 'xor', 'srl', 'sra', 'or', 'and'].includes(op)) return 'R-type (register)';
+    if (['mul', 'mulh', 'mulhsu', 'mulhu', 'div', 'divu', 'rem', 'remu'].includes(op)) return 'R-type (RV32M multiply/divide)';
     if (['addi', 'slti', 'sltiu', 'xori', 'ori', 'andi', 'slli', 'srli', 'srai', 'jalr', 'lb', 'lh', 'lw', 'lbu', 'lhu'].includes(op)) return 'I-type (immediate)';
     if (['sb', 'sh', 'sw'].includes(op)) return 'S-type (store)';
-    if (['beq', 'bne', 'blt', 'bge', 'bltu', 'bgeu', 'bgt', 'ble', 'bgtu', 'bleu'].includes(op)) return 'B-type (branch)';
+    if (['beq', 'bne', 'blt', 'bge', 'bltu', 'bgeu'].includes(op)) return 'B-type (branch)';
     if (['jal'].includes(op)) return 'J-type (jump-and-link)';
     if (['lui', 'auipc'].includes(op)) return 'U-type (upper immediate)';
-    if (['li', 'mv', 'j', 'jr', 'call', 'tail', 'ret', 'nop'].includes(op)) return 'Pseudo-instruction';
+    if (PSEUDO_ARITY[op] != null) return 'Pseudo-instruction';
     return 'Other / pseudo';
 }
 
-function explainRegisters(operands) {
+// Operand roles by instruction shape (defaults to dest, src1, src2/immediate)
+function operandRoles(op) {
+    if (['beq', 'bne', 'blt', 'bge', 'bltu', 'bgeu', 'bgt', 'ble', 'bgtu', 'bleu'].includes(op)) return ['src1', 'src2', 'target'];
+    if (['beqz', 'bnez', 'blez', 'bgez', 'bltz', 'bgtz'].includes(op)) return ['src', 'target'];
+    if (['sb', 'sh', 'sw'].includes(op)) return ['value', 'address', 'address temporary'];
+    if (op === 'li') return ['dest', 'immediate'];
+    if (op === 'la') return ['dest', 'symbol'];
+    if (['lb', 'lh', 'lw', 'lbu', 'lhu'].includes(op)) return ['dest', 'address'];
+    if (['j', 'call', 'tail'].includes(op)) return ['target'];
+    if (op === 'jr') return ['target address'];
+    return ['dest', 'src1', 'src2/immediate'];
+}
+
+function explainRegisters(operands, op = '') {
     const out = [];
     if (!operands || operands.length === 0) return out;
 
-    const prettyReg = (r) => regToC(r);
+    const prettyReg = (r) => describeRegister(r);
+    const roles = operandRoles(op);
 
-    if (operands[0]) {
-        out.push(`dest: ${operands[0]} (${prettyReg(operands[0])})`);
-    }
-    if (operands[1]) {
-        out.push(`src1: ${operands[1]} (${prettyReg(operands[1])})`);
-    }
-    if (operands[2]) {
-        out.push(`src2/immediate: ${operands[2]}`);
-    }
+    operands.slice(0, 3).forEach((operand, i) => {
+        if (operand) out.push(`${roles[i] ?? 'operand'}: ${prettyReg(operand)}`);
+    });
     return out;
 }
 
-function explainInstruction(inst, lineNo) {
+// "arr = 0x10010000 (global data)" for symbols defined in .data
+function symbolAddress(name, symbols) {
+    return symbols.has(name) ? `${name} = ${hex32(symbols.get(name))}  (global data, reached PC-relatively via auipc)` : `${name}  (global symbol)`;
+}
+
+function explainInstruction(inst, lineNo, symbols = new Map()) {
     const { mnemonic, operands, original } = inst;
     const op = mnemonic.toLowerCase();
     const lines = [];
@@ -450,9 +847,10 @@ function explainInstruction(inst, lineNo) {
     lines.push(`L${String(lineNo).padStart(2, "0")}: ${original}`);
     lines.push(`  Kind: ${classifyInstrType(op)}`);
 
-    const rd = operands[0];
-    const rs1 = operands[1];
-    const rs2 = operands[2];
+    // "?" marks a missing operand (reported by the diagnostics)
+    const rd = operands[0] ?? "?";
+    const rs1 = operands[1] ?? "?";
+    const rs2 = operands[2] ?? "?";
 
     const pr = (r) => regToC(r ?? '');
 
@@ -491,22 +889,37 @@ function explainInstruction(inst, lineNo) {
         const rhs = op === 'sltiu' ? operands[2] : rs2;
         lines.push(`  Meaning: ${rd} = ((unsigned)${rs1} < (unsigned)${rhs}) ? 1 : 0  (unsigned compare)`);
 
+    // --- RV32M ---
+    } else if (op === 'mul') {
+        lines.push(`  Meaning: ${rd} = ${rs1} * ${rs2}  (lower 32 bits of the product)`);
+    } else if (op === 'mulh' || op === 'mulhsu' || op === 'mulhu') {
+        const kinds = { mulh: 'signed × signed', mulhsu: 'signed × unsigned', mulhu: 'unsigned × unsigned' };
+        lines.push(`  Meaning: ${rd} = upper 32 bits of ${rs1} * ${rs2}  (${kinds[op]}, 64-bit product)`);
+        lines.push(`  Typical use: together with MUL for a full 64-bit product / overflow check.`);
+    } else if (op === 'div' || op === 'divu') {
+        lines.push(`  Meaning: ${rd} = ${op === 'divu' ? '(unsigned)' : ''}${rs1} / ${op === 'divu' ? '(unsigned)' : ''}${rs2}  (rounds towards zero)`);
+        lines.push(`  Note: no trap on division by zero — the result is -1 (all ones).`);
+    } else if (op === 'rem' || op === 'remu') {
+        lines.push(`  Meaning: ${rd} = ${op === 'remu' ? '(unsigned)' : ''}${rs1} % ${op === 'remu' ? '(unsigned)' : ''}${rs2}  (sign follows the dividend)`);
+        lines.push(`  Note: x % 0 gives x (no trap).`);
+
     // --- memory ---
     } else if (['lb', 'lh', 'lw', 'lbu', 'lhu'].includes(op)) {
-        // rd, offset(base)
+        // rd, offset(base)  or  rd, symbol
         const mem = operands[1] || "";
         lines.push(`  Meaning: load ${op.toUpperCase()} from memory into ${rd}.`);
-        lines.push(`  Address: ${mem}  (offset(base))`);
+        lines.push(isSymbolOperand(mem) ? `  Address: ${symbolAddress(mem, symbols)}` : `  Address: ${mem}  (offset(base))`);
         lines.push(`  Typical use: read from stack, arrays, structs.`);
     } else if (['sb', 'sh', 'sw'].includes(op)) {
         const mem = operands[1] || "";
         lines.push(`  Meaning: store ${operands[0]} to memory as ${op.toUpperCase()}.`);
-        lines.push(`  Address: ${mem}  (offset(base))`);
+        lines.push(isSymbolOperand(mem) ? `  Address: ${symbolAddress(mem, symbols)}` : `  Address: ${mem}  (offset(base))`);
+        if (isSymbolOperand(mem)) lines.push(`  ${operands[2] ?? "The third operand"} is overwritten with the address (stores have no destination register to reuse).`);
         lines.push(`  Typical use: write to stack, arrays, structs.`);
 
     // --- branches / jumps ---
     } else if (['beq', 'bne', 'blt', 'bge', 'bltu', 'bgeu', 'bgt', 'ble', 'bgtu', 'bleu'].includes(op)) {
-        const label = operands[2];
+        const [rs1, rs2, label] = operands;
         const condMap = {
             beq: `${rs1} == ${rs2}`,
             bne: `${rs1} != ${rs2}`,
@@ -559,6 +972,23 @@ function explainInstruction(inst, lineNo) {
         lines.push(`  Meaning: ${rd} = ${imm}  (load immediate, pseudo).`);
     } else if (op === 'mv') {
         lines.push(`  Meaning: ${rd} = ${rs1}  (move register, pseudo for addi rd, rs1, 0).`);
+    } else if (op === 'la') {
+        lines.push(`  Meaning: ${rd} = address of ${rs1}  (load address, PC-relative).`);
+        if (symbols.has(rs1)) lines.push(`  Address: ${symbolAddress(rs1, symbols)}`);
+    } else if (['not', 'neg', 'seqz', 'snez', 'sltz', 'sgtz'].includes(op)) {
+        const meanings = {
+            not: `${rd} = ~${rs1}  (bitwise NOT)`,
+            neg: `${rd} = -${rs1}  (two's complement negate)`,
+            seqz: `${rd} = (${rs1} == 0) ? 1 : 0`,
+            snez: `${rd} = (${rs1} != 0) ? 1 : 0`,
+            sltz: `${rd} = (${rs1} < 0) ? 1 : 0`,
+            sgtz: `${rd} = (${rs1} > 0) ? 1 : 0`,
+        };
+        lines.push(`  Meaning: ${meanings[op]}`);
+    } else if (['beqz', 'bnez', 'blez', 'bgez', 'bltz', 'bgtz'].includes(op)) {
+        const conds = { beqz: '==', bnez: '!=', blez: '<=', bgez: '>=', bltz: '<', bgtz: '>' };
+        lines.push(`  Meaning: if (${rd} ${conds[op]} 0) goto ${rs1};`);
+        lines.push(`  Typical use: loop/if tests against zero (null pointer, counter done).`);
     } else if (op === 'nop') {
         lines.push(`  Meaning: no operation (usually encoded as addi x0, x0, 0).`);
     } else if (op === 'call') {
@@ -572,9 +1002,20 @@ function explainInstruction(inst, lineNo) {
         lines.push(`  Meaning: return from function (jump to address in ra).`);
     }
 
+    let expansion = null;
+    try {
+        expansion = expandPseudo(op, operands);
+    } catch {
+        // malformed operands: the explanation above is still useful
+    }
+    if (expansion) {
+        lines.push(`  Expands to: ${expansion.join('; ')}`);
+        if (op === 'call' || op === 'tail') lines.push(`  (the linker relaxes this to a single ${op === 'call' ? 'jal ra' : 'jal zero'}, ${operands[0]} when the target is within ±1 MiB)`);
+    }
+
     // For labels / generic case, handled outside.
 
-    const regInfo = explainRegisters(operands);
+    const regInfo = explainRegisters(operands, op);
     if (regInfo.length) {
         lines.push(`  Registers:`);
         for (const r of regInfo) lines.push(`    - ${r}`);
@@ -583,6 +1024,82 @@ function explainInstruction(inst, lineNo) {
     return lines;
 }
 
+// Section switches, data directives and ignored metadata directives
+function explainDirective(name, args, item, lineNo, raw) {
+    const lines = [`L${String(lineNo).padStart(2, "0")}: ${raw}`];
+    const at = item ? ` at ${hex32(item.addr)}` : "";
+    const count = args.length;
+    if (name === ".text" || (name === ".section" && args[0] === ".text")) {
+        lines.push("  Section: code (.text) — the following lines are instructions, starting at address 0x00000000.");
+    } else if (SECTION_DIRECTIVES[name] || name === ".section") {
+        lines.push(`  Section: data (${name === ".section" ? args[0] : name}) — the following directives reserve and initialise memory from ${hex32(DATA_BASE)}.`);
+    } else if (IGNORED_DIRECTIVES.includes(name)) {
+        lines.push(`  Directive: ${name === ".globl" || name === ".global" ? `makes ${args[0] ?? "a symbol"} visible to the linker` : "symbol/assembler metadata"} (does not change memory).`);
+    } else if (DATA_SIZES[name]) {
+        const bits = DATA_SIZES[name] * 8;
+        lines.push(`  Data: ${count} × ${bits}-bit value${count === 1 ? "" : "s"}${at}${bits > 8 ? ", little-endian (least significant byte at the lowest address)" : ""}.`);
+        if (item && item.addr % DATA_SIZES[name]) lines.push(`  Warning: not ${DATA_SIZES[name]}-byte aligned — add .align ${Math.log2(DATA_SIZES[name])} before it.`);
+        if (name === ".word" && args.some(a => typeof parseDataValue(a) === "string")) lines.push("  Labels in the list store their address (e.g. jump tables, pointer arrays).");
+    } else if (name in STRING_DIRECTIVES) {
+        const size = item ? item.size : null;
+        lines.push(`  Data: string${count === 1 ? "" : "s"}${at}, one byte per character${STRING_DIRECTIVES[name] ? ", terminated by a 0 byte (C string)" : ", no terminating 0"}${size != null ? ` — ${size} bytes` : ""}.`);
+    } else if (name === ".space" || name === ".zero") {
+        lines.push(`  Data: reserve ${args[0]} zero bytes${at} (arrays, buffers).`);
+    } else if (ALIGN_DIRECTIVES.includes(name)) {
+        const align = name === ".balign" ? Number(args[0]) : 2 ** Number(args[0]);
+        const pad = item ? item.size : null;
+        lines.push(`  Alignment: the next address becomes a multiple of ${align}${name === ".balign" ? "" : ` (2^${args[0]})`}${pad != null ? ` — ${pad} padding byte${pad === 1 ? "" : "s"} inserted` : ""}.`);
+    } else {
+        lines.push("  Directive not supported by this tool.");
+    }
+    return lines;
+}
+
+// Explanation blocks for one source line (labels, then the directive or instruction); each block ends with ""
+function explainSourceLine(raw, i, data, itemAt) {
+    const out = [];
+    const trimmed = raw.trim();
+    const lineNo = i + 1;
+
+    if (!trimmed) return out;
+
+    // Comment-only line
+    if (trimmed.startsWith("#") || trimmed.startsWith("//")) {
+        out.push(`L${String(lineNo).padStart(2, "0")}: ${trimmed}`);
+        out.push("  Comment line (ignored by assembler).");
+        out.push("");
+        return out;
+    }
+
+    // Labels (alone or in front of an instruction/directive)
+    const { labels, rest } = splitLabels(stripComment(raw));
+    for (const label of labels) {
+        out.push(`L${String(lineNo).padStart(2, "0")}: ${label}:`);
+        if (data.symbols.has(label)) out.push(`  Label '${label}' — data at ${hex32(data.symbols.get(label))} (use la to get the address, lw/sw to access it).`);
+        else out.push(`  Label '${label}' — jump target (e.g. for branches, calls, loops).`);
+        out.push("");
+    }
+
+    const directive = rest.match(/^(\.[\w.]+)\s*(.*)$/);
+    if (directive) {
+        let args = [];
+        try {
+            args = directive[2].trim() ? splitDirectiveArgs(directive[2]) : [];
+        } catch {
+            // explained without operands
+        }
+        out.push(...explainDirective(directive[1].toLowerCase(), args, itemAt.get(i), lineNo, rest), "");
+        return out;
+    }
+
+    const inst = parseInstruction(rest);
+    if (!inst) return out;
+
+    out.push(...explainInstruction(inst, lineNo, data.symbols));
+    out.push("");
+    return out;
+}
+
 function analyzeRiscvToCheatsheet(assembly) {
     const rawLines = assembly.split(/\r?\n/);
     const out = [];
@@ -591,396 +1108,2304 @@ function analyzeRiscvToCheatsheet(assembly) {
     out.push("================================");
     out.push("");
 
-    for (let i = 0; i < rawLines.length; i++) {
-        const raw = rawLines[i];
-        const trimmed = raw.trim();
-        const lineNo = i + 1;
-
-        if (!trimmed) continue;
-
-        // Comment-only line
-        if (trimmed.startsWith("#") || trimmed.startsWith("//")) {
-            out.push(`L${String(lineNo).padStart(2, "0")}: ${trimmed}`);
-            out.push("  Comment line (ignored by assembler).");
-            out.push("");
-            continue;
-        }
+    // problems are listed up front and marked at their line; the valid lines are still explained
+    const diagnostics = diagnoseAssembly(assembly);
+    if (diagnostics.length) {
+        const errors = diagnostics.filter(d => d.severity === "error").length;
+        const warnings = diagnostics.length - errors;
+        out.push(`Diagnostics: ${errors} error${errors === 1 ? "" : "s"}, ${warnings} warning${warnings === 1 ? "" : "s"}`);
+        for (const d of diagnostics) out.push(`  ${DIAG_MARKS[d.severity]} ${fmtDiagnostic(d)}`);
+        out.push("");
+    }
 
-        // Label line
-        if (trimmed.endsWith(":")) {
-            const label = trimmed.slice(0, -1);
-            out.push(`L${String(lineNo).padStart(2, "0")}: ${trimmed}`);
-            out.push(`  Label '${label}' — jump target (e.g. for branches, calls, loops).`);
-            out.push("");
-            continue;
-        }
+    const { data } = assembleListing(assembly, () => {});
+    const itemAt = new Map(data.items.map(item => [item.lineNum, item]));
+    const layout = fmtDataLayout(data);
+    if (layout.length) out.push(...layout, "");
 
-        const inst = parseInstruction(raw);
-        if (!inst) continue;
+    // liveness follows every path through the program, so it needs a listing without errors
+    let liveness = null;
+    if (!diagnostics.some(d => d.severity === "error")) {
+        const listing = assembleListing(assembly);
+        if (listing.decoded.length) liveness = livenessReport(listing);
+    }
+    if (liveness) out.push(...liveness.summary, "");
+    else if (diagnostics.length) out.push("Register liveness: shown once the errors are fixed.", "");
 
-        const lines = explainInstruction(inst, lineNo);
-        out.push(...lines);
-        out.push("");
+    for (let i = 0; i < rawLines.length; i++) {
+        const block = explainSourceLine(rawLines[i], i, data, itemAt);
+        const marks = diagnostics.filter(d => d.line === i + 1).map(d => `  ${DIAG_MARKS[d.severity]} ${d.severity}: ${d.message}`);
+        if (liveness?.lineNotes.has(i)) marks.unshift(...liveness.lineNotes.get(i));
+        if (marks.length && block.length) block.splice(block.length - 1, 0, ...marks);
+        out.push(...block);
     }
 
     return out.join("\n");
 }
 
-// Main compiler function with control flow analysis (kept for reference, not used by compute)
-function compileRiscvToC(assembly) {
-    const lines = assembly.split(/\r?\n/);
-    const cLines = [];
-    const labels = new Map();
-    let labelCounter = 0;
-    
-    // First pass: collect labels
-    for (const line of lines) {
-        const trimmed = line.trim();
-        if (trimmed.endsWith(':')) {
-            const label = trimmed.slice(0, -1).trim();
-            if (label && !labels.has(label)) {
-                // Use sanitized label name (replace dots with underscores for C compatibility)
-                const sanitized = label.replace(/\./g, '_').replace(/[^a-zA-Z0-9_]/g, '_');
-                labels.set(label, sanitized || `label_${labelCounter++}`);
-            }
-        }
-    }
-    
-    // Also collect label references from branch/jump instructions (forward references)
-    for (const line of lines) {
-        const inst = parseInstruction(line);
-        if (!inst) continue;
-        const op = inst.mnemonic.toLowerCase();
-        if (['beq', 'bne', 'blt', 'bge', 'bltu', 'bgeu', 'bgt', 'ble', 'bgtu', 'bleu', 'jal', 'j', 'call', 'tail'].includes(op)) {
-            // Last operand is typically a label
-            if (inst.operands.length > 0) {
-                const label = inst.operands[inst.operands.length - 1];
-                if (label && !labels.has(label) && !label.match(/^[+-]?\d+$/) && !label.match(/\(/)) {
-                    // It's likely a label reference
-                    const sanitized = label.replace(/\./g, '_').replace(/[^a-zA-Z0-9_]/g, '_');
-                    labels.set(label, sanitized || `label_${labelCounter++}`);
-                }
-            }
-        }
+// ---------- Execution core (used by the pipeline view) ----------
+
+// "8(sp)" / "-4(x2)" / "(a0)" → { offset, base }
+function parseMemOperand(text) {
+    const m = (text ?? '').trim().match(/^([+-]?(?:0x[0-9a-f]+|\d+))?\((.+)\)$/i);
+    if (!m) throw new Error(`Expected offset(base), got: ${text}`);
+    return { offset: m[1] ? parseImmediate(m[1]) : 0, base: regNum(m[2]) };
+}
+
+const ALU_OPS = ['add', 'sub', 'sll', 'slt', 'sltu', 'xor', 'srl', 'sra', 'or', 'and',
+                 'mul', 'mulh', 'mulhsu', 'mulhu', 'div', 'divu', 'rem', 'remu'];
+const ALU_IMM_OPS = ['addi', 'slti', 'sltiu', 'xori', 'ori', 'andi', 'slli', 'srli', 'srai'];
+const LOAD_OPS = ['lb', 'lh', 'lw', 'lbu', 'lhu'];
+const STORE_OPS = ['sb', 'sh', 'sw'];
+const BRANCH_OPS = ['beq', 'bne', 'blt', 'bge', 'bltu', 'bgeu'];
+// bgt/ble/bgtu/bleu are the swapped-operand forms of the real branches
+const SWAPPED_BRANCHES = { bgt: 'blt', ble: 'bge', bgtu: 'bltu', bleu: 'bgeu' };
+
+function labelTarget(label, labelToIndex) {
+    if (!labelToIndex.has(label)) throw new Error(`Unknown label: ${label}`);
+    return labelToIndex.get(label);
+}
+
+/**
+ * Normalise one parsed instruction (pseudo-instructions expanded) into
+ * { kind, op, rd, rs1, rs2, imm, target } with register numbers and instruction-index targets.
+ * kind: alu | alui | lui | auipc | load | store | branch | jal | jalr | ecall | ebreak
+ */
+function decodeInstruction(inst, labelToIndex) {
+    const op = inst.mnemonic.toLowerCase();
+    const a = inst.operands;
+    const need = (n) => {
+        if (a.length !== n) throw new Error(`${op} requires ${n} operand${n === 1 ? '' : 's'}`);
+    };
+
+    if (ALU_OPS.includes(op)) {
+        need(3);
+        return { kind: 'alu', op, rd: regNum(a[0]), rs1: regNum(a[1]), rs2: regNum(a[2]) };
     }
-    
-    // Analyze control flow
-    const cf = analyzeControlFlow(lines, labels);
-    
-    // Second pass: convert instructions with structured control flow
-    cLines.push('#include <stdio.h>');
-    cLines.push('');
-    cLines.push('int main() {');
-    cLines.push('    // Variable declarations');
-    
-    // Collect all registers used (after labels are collected)
-    const usedRegs = new Set();
-    const allLabels = new Set(labels.keys());
-    
-    // Helper to check if something is a register name
-    function isRegisterName(name) {
-        const lower = name.toLowerCase();
-        // Check if it's a known register name
-        if (REGISTERS[lower] !== undefined) return true;
-        // Check if it matches x0-x31 pattern
-        if (/^x?\d+$/.test(lower)) {
-            const num = parseInt(lower.replace('x', ''));
-            return num >= 0 && num <= 31;
-        }
-        // Check common ABI names
-        const abiNames = ['zero', 'ra', 'sp', 'gp', 'tp', 'fp', 't0', 't1', 't2', 't3', 't4', 't5', 't6',
-                          's0', 's1', 's2', 's3', 's4', 's5', 's6', 's7', 's8', 's9', 's10', 's11',
-                          'a0', 'a1', 'a2', 'a3', 'a4', 'a5', 'a6', 'a7'];
-        return abiNames.includes(lower);
+    if (ALU_IMM_OPS.includes(op)) {
+        need(3);
+        return { kind: 'alui', op, rd: regNum(a[0]), rs1: regNum(a[1]), imm: parseImmediate(a[2]) };
     }
-    
-    for (const line of lines) {
-        const inst = parseInstruction(line);
-        if (!inst) continue;
-        
-        const mnemonic = inst.mnemonic.toLowerCase();
-        const isBranchOrJump = ['beq', 'bne', 'blt', 'bge', 'bltu', 'bgeu', 'bgt', 'ble', 'bgtu', 'bleu', 
-                               'jal', 'j', 'call', 'tail', 'jr'].includes(mnemonic);
-        
-        for (let i = 0; i < inst.operands.length; i++) {
-            const op = inst.operands[i];
-            const isLastOperand = i === inst.operands.length - 1;
-            
-            // Skip if it's a known label
-            if (allLabels.has(op)) {
-                continue;
-            }
-            
-            // If it's the last operand of a branch/jump and doesn't look like a register, it's probably a label
-            if (isBranchOrJump && isLastOperand && !isRegisterName(op) && !op.match(/^[+-]?\d+$/) && !op.match(/\(/)) {
-                continue; // Skip, it's a label
-            }
-            
-            // Handle memory operands like "4(x1)" or "-8(sp)"
-            const memMatch = op.match(/\(([^)]+)\)/);
-            if (memMatch) {
-                const baseReg = memMatch[1].trim();
-                // Check if it's a label, not a register
-                if (!allLabels.has(baseReg) && isRegisterName(baseReg)) {
-                    const reg = regToC(baseReg);
-                    if (reg !== '0' && !reg.match(/^\d+$/)) {
-                        usedRegs.add(reg);
-                    }
-                }
-            } else {
-                // Regular operand - check if it's a number first
-                if (op.match(/^[+-]?\d+$/)) {
-                    continue;
-                }
-                // Check if it's a register
-                if (isRegisterName(op)) {
-                    const reg = regToC(op);
-                    if (reg !== '0' && !reg.match(/^\d+$/)) {
-                        usedRegs.add(reg);
-                    }
-                }
-            }
-        }
+    if (LOAD_OPS.includes(op)) {
+        need(2);
+        const { offset, base } = parseMemOperand(a[1]);
+        return { kind: 'load', op, rd: regNum(a[0]), rs1: base, imm: offset };
     }
-    
-    // Collect registers from all instructions
-    for (const inst of cf.instructions) {
-        const mnemonic = inst.mnemonic.toLowerCase();
-        const isBranchOrJump = ['beq', 'bne', 'blt', 'bge', 'bltu', 'bgeu', 'bgt', 'ble', 'bgtu', 'bleu', 
-                               'jal', 'j', 'call', 'tail', 'jr'].includes(mnemonic);
-        
-        for (let i = 0; i < inst.operands.length; i++) {
-            const op = inst.operands[i];
-            const isLastOperand = i === inst.operands.length - 1;
-            
-            if (allLabels.has(op)) continue;
-            
-            if (isBranchOrJump && isLastOperand && !isRegisterName(op) && !op.match(/^[+-]?\d+$/) && !op.match(/\(/)) {
-                continue;
-            }
-            
-            const memMatch = op.match(/\(([^)]+)\)/);
-            if (memMatch) {
-                const baseReg = memMatch[1].trim();
-                if (!allLabels.has(baseReg) && isRegisterName(baseReg)) {
-                    const reg = regToC(baseReg);
-                    if (reg !== '0' && !reg.match(/^\d+$/)) {
-                        usedRegs.add(reg);
-                    }
-                }
-            } else {
-                if (op.match(/^[+-]?\d+$/)) continue;
-                if (isRegisterName(op)) {
-                    const reg = regToC(op);
-                    if (reg !== '0' && !reg.match(/^\d+$/)) {
-                        usedRegs.add(reg);
-                    }
-                }
-            }
-        }
+    if (STORE_OPS.includes(op)) {
+        need(2);
+        const { offset, base } = parseMemOperand(a[1]);
+        return { kind: 'store', op, rs2: regNum(a[0]), rs1: base, imm: offset };
     }
-    
-    // Declare registers
-    for (const reg of Array.from(usedRegs).sort()) {
-        cLines.push(`    int ${reg} = 0;`);
+    if (BRANCH_OPS.includes(op)) {
+        need(3);
+        return { kind: 'branch', op, rs1: regNum(a[0]), rs2: regNum(a[1]), target: labelTarget(a[2], labelToIndex) };
     }
-    cLines.push('');
-    
-    // Detect backward branches (loops)
-    const loopHeaders = new Map(); // Map label -> instruction index if it's a loop header
-    for (let i = 0; i < instMap.instructions.length; i++) {
-        const inst = instMap.instructions[i];
-        const op = inst.mnemonic.toLowerCase();
-        if (['beq', 'bne', 'blt', 'bge', 'bltu', 'bgeu', 'bgt', 'ble', 'bgtu', 'bleu', 'j'].includes(op)) {
-            const targetLabel = inst.operands[inst.operands.length - 1];
-            const targetIdx = instMap.labelToIndex.get(targetLabel);
-            if (targetIdx !== undefined && targetIdx <= i) {
-                // Backward branch - this is a loop
-                loopHeaders.set(targetLabel, targetIdx);
-            }
-        }
+    if (SWAPPED_BRANCHES[op]) {
+        need(3);
+        return { kind: 'branch', op: SWAPPED_BRANCHES[op], rs1: regNum(a[1]), rs2: regNum(a[0]), target: labelTarget(a[2], labelToIndex) };
     }
-    
-    // Generate structured code with proper indentation
-    const processed = new Set();
-    
-    function emitCode(startIdx, indent = '    ') {
-        for (let i = startIdx; i < instMap.instructions.length; i++) {
-            if (processed.has(i)) break;
-            processed.add(i);
-            
-            const inst = instMap.instructions[i];
-            const op = inst.mnemonic.toLowerCase();
-            const isBranch = ['beq', 'bne', 'blt', 'bge', 'bltu', 'bgeu', 'bgt', 'ble', 'bgtu', 'bleu'].includes(op);
-            const isJump = ['j', 'jal', 'call', 'tail'].includes(op);
-            const isReturn = ['ret'].includes(op) || (op === 'jr' && inst.operands[0]?.toLowerCase() === 'ra');
-            
-            // Replace labels in operands
-            const processedOperands = inst.operands.map(op => {
-                if (labels.has(op)) return labels.get(op);
-                if (!op.match(/^[+-]?\d+$/) && !op.match(/\(/)) {
-                    if (!labels.has(op)) {
-                        const sanitized = op.replace(/\./g, '_').replace(/[^a-zA-Z0-9_]/g, '_');
-                        labels.set(op, sanitized);
-                    }
-                    return labels.get(op);
-                }
-                return op;
-            });
-            
-            try {
-                if (isReturn) {
-                    cLines.push(`${indent}return;`);
-                    break;
-                } else if (isBranch) {
-                    const targetLabel = inst.operands[inst.operands.length - 1];
-                    const targetIdx = instMap.labelToIndex.get(targetLabel);
-                    const isBackward = targetIdx !== undefined && targetIdx <= i;
-                    
-                    if (isBackward && loopHeaders.has(targetLabel)) {
-                        // This is a loop - convert to while
-                        const rs1 = regToC(inst.operands[0]);
-                        const rs2 = regToC(inst.operands[1]);
-                        let cond = riscvToC(inst.mnemonic, [rs1, rs2, ''], labels);
-                        cond = cond.replace(/goto\s+\w+;\s*$/, '').replace(/if\s*\(/, '').replace(/\)\s*goto/, '');
-                        if (cond.includes('if')) {
-                            cond = cond.replace(/if\s*\(/, '').replace(/\)\s*/, '');
-                        }
-                        if (!cond.includes('(')) cond = `(${cond})`;
-                        
-                        cLines.push(`${indent}while ${cond} {`);
-                        // Emit loop body (from target to this branch) with increased indent
-                        const loopBodyIndent = indent + '    ';
-                        if (targetIdx !== undefined) {
-                            // Process loop body up to but not including the branch instruction
-                            for (let j = targetIdx; j < i; j++) {
-                                if (!processed.has(j)) {
-                                    processed.add(j);
-                                    const bodyInst = instMap.instructions[j];
-                                    const bodyOp = bodyInst.mnemonic.toLowerCase();
-                                    const bodyIsBranch = ['beq', 'bne', 'blt', 'bge', 'bltu', 'bgeu', 'bgt', 'ble', 'bgtu', 'bleu'].includes(bodyOp);
-                                    const bodyIsJump = ['j', 'jal', 'call', 'tail'].includes(bodyOp);
-                                    const bodyIsReturn = ['ret'].includes(bodyOp) || (bodyOp === 'jr' && bodyInst.operands[0]?.toLowerCase() === 'ra');
-                                    
-                                    const bodyProcessedOperands = bodyInst.operands.map(op => {
-                                        if (labels.has(op)) return labels.get(op);
-                                        if (!op.match(/^[+-]?\d+$/) && !op.match(/\(/)) {
-                                            if (!labels.has(op)) {
-                                                const sanitized = op.replace(/\./g, '_').replace(/[^a-zA-Z0-9_]/g, '_');
-                                                labels.set(op, sanitized);
-                                            }
-                                            return labels.get(op);
-                                        }
-                                        return op;
-                                    });
-                                    
-                                    if (bodyIsReturn) {
-                                        cLines.push(`${loopBodyIndent}return;`);
-                                    } else if (bodyIsBranch) {
-                                        const bodyTargetLabel = bodyInst.operands[bodyInst.operands.length - 1];
-                                        const bodyTargetIdx = instMap.labelToIndex.get(bodyTargetLabel);
-                                        const bodyRs1 = regToC(bodyInst.operands[0]);
-                                        const bodyRs2 = regToC(bodyInst.operands[1]);
-                                        let bodyCond = riscvToC(bodyInst.mnemonic, [bodyRs1, bodyRs2, ''], labels);
-                                        bodyCond = bodyCond.replace(/goto\s+\w+;\s*$/, '').replace(/if\s*\(/, '').replace(/\)\s*/, '');
-                                        if (!bodyCond.includes('(')) bodyCond = `(${bodyCond})`;
-                                        
-                                        cLines.push(`${loopBodyIndent}if ${bodyCond} {`);
-                                        if (bodyTargetIdx !== undefined) {
-                                            emitCode(bodyTargetIdx, loopBodyIndent + '    ');
-                                        }
-                                        cLines.push(`${loopBodyIndent}}`);
-                                    } else if (bodyIsJump && bodyOp !== 'call') {
-                                        const bodyCCode = riscvToC(bodyInst.mnemonic, bodyProcessedOperands, labels);
-                                        cLines.push(`${loopBodyIndent}${bodyCCode}`);
-                                    } else {
-                                        const bodyCCode = riscvToC(bodyInst.mnemonic, bodyProcessedOperands, labels);
-                                        cLines.push(`${loopBodyIndent}${bodyCCode}`);
-                                    }
-                                }
-                            }
-                        }
-                        cLines.push(`${indent}}`);
-                        // Continue after loop
-                        if (i + 1 < instMap.instructions.length && !processed.has(i + 1)) {
-                            continue;
-                        }
-                        break;
-                    } else {
-                        // Regular branch - convert to if
-                        const rs1 = regToC(inst.operands[0]);
-                        const rs2 = regToC(inst.operands[1]);
-                        let cond = riscvToC(inst.mnemonic, [rs1, rs2, ''], labels);
-                        cond = cond.replace(/goto\s+\w+;\s*$/, '').replace(/if\s*\(/, '').replace(/\)\s*/, '');
-                        if (!cond.includes('(')) cond = `(${cond})`;
-                        
-                        cLines.push(`${indent}if ${cond} {`);
-                        // Emit if body with increased indent
-                        const ifBodyIndent = indent + '    ';
-                        if (targetIdx !== undefined) {
-                            emitCode(targetIdx, ifBodyIndent);
-                        }
-                        cLines.push(`${indent}}`);
-                        // Fallthrough - continue with same indent
-                        if (i + 1 < instMap.instructions.length && !processed.has(i + 1)) {
-                            continue;
-                        }
-                        break;
-                    }
-                } else if (isJump && op !== 'call') {
-                    const cCode = riscvToC(inst.mnemonic, processedOperands, labels);
-                    cLines.push(`${indent}${cCode}`);
-                    break;
-                } else {
-                    const cCode = riscvToC(inst.mnemonic, processedOperands, labels);
-                    cLines.push(`${indent}${cCode}`);
-                }
-            } catch (e) {
-                cLines.push(`${indent}// ERROR: ${e.message}`);
-                cLines.push(`${indent}// ${inst.original}`);
+    switch (op) {
+        case 'lui':
+        case 'auipc':
+            need(2);
+            return { kind: op, op, rd: regNum(a[0]), imm: parseImmediate(a[1]) };
+        case 'jal':
+            if (a.length === 1) return { kind: 'jal', op, rd: 1, target: labelTarget(a[0], labelToIndex) };
+            need(2);
+            return { kind: 'jal', op, rd: regNum(a[0]), target: labelTarget(a[1], labelToIndex) };
+        case 'jalr': {
+            if (a.length === 1) return { kind: 'jalr', op, rd: 1, rs1: regNum(a[0]), imm: 0 };
+            if (a.length === 3) return { kind: 'jalr', op, rd: regNum(a[0]), rs1: regNum(a[2]), imm: parseImmediate(a[1]) };
+            need(2);
+            if (a[1].includes('(')) {
+                const { offset, base } = parseMemOperand(a[1]);
+                return { kind: 'jalr', op, rd: regNum(a[0]), rs1: base, imm: offset };
             }
+            return { kind: 'jalr', op, rd: regNum(a[0]), rs1: regNum(a[1]), imm: 0 };
         }
-    }
-    
-    // Process instructions, handling labels with proper indentation
-    for (let lineIdx = 0; lineIdx < lines.length; lineIdx++) {
-        const line = lines[lineIdx];
-        const trimmed = line.trim();
-        
-        if (trimmed.endsWith(':')) {
-            const label = trimmed.slice(0, -1).trim();
-            const cLabel = labels.get(label);
-            const targetIdx = instMap.labelToIndex.get(label);
-            
-            if (cLabel && targetIdx !== undefined && !processed.has(targetIdx)) {
-                // Labels are at base indentation level
-                cLines.push(`    ${cLabel}:`);
-                emitCode(targetIdx, '    ');
-            }
-            continue;
+        case 'j':
+            need(1);
+            return { kind: 'jal', op, rd: 0, target: labelTarget(a[0], labelToIndex) };
+        case 'call':
+            need(1);
+            return { kind: 'jal', op, rd: 1, target: labelTarget(a[0], labelToIndex) };
+        case 'tail':
+            need(1);
+            return { kind: 'jal', op, rd: 0, target: labelTarget(a[0], labelToIndex) };
+        case 'jr':
+            need(1);
+            return { kind: 'jalr', op, rd: 0, rs1: regNum(a[0]), imm: 0 };
+        case 'ret':
+            return { kind: 'jalr', op, rd: 0, rs1: 1, imm: 0 };
+        case 'li': {
+            // addi for 12-bit values, a lone lui for multiples of 4096; lui + addi pairs are split by the assembler
+            need(2);
+            const expansion = expandPseudo(op, a);
+            if (expansion.length === 1) return decodeInstruction(parseInstruction(expansion[0]), labelToIndex);
+            throw new Error(`li ${a[1]} needs two instructions (lui + addi)`);
         }
-        
-        const inst = parseInstruction(line);
-        if (inst) {
-            const foundIdx = instMap.instructions.findIndex(i => i.lineNum === lineIdx);
-            if (foundIdx !== -1 && !processed.has(foundIdx)) {
-                // Start with base indentation
-                emitCode(foundIdx, '    ');
-            }
-        } else if (trimmed) {
-            // Comments maintain base indentation
-            cLines.push(`    // ${line}`);
+        case 'mv':
+        case 'move':
+            need(2);
+            return { kind: 'alui', op: 'addi', rd: regNum(a[0]), rs1: regNum(a[1]), imm: 0 };
+        case 'nop':
+            return { kind: 'alui', op: 'addi', rd: 0, rs1: 0, imm: 0 };
+        case 'ecall':
+        case 'ebreak':
+            return { kind: op, op };
+        default: {
+            const expansion = expandPseudo(op, a);
+            if (expansion && expansion.length === 1) return decodeInstruction(parseInstruction(expansion[0]), labelToIndex);
+            throw new Error(`Unsupported instruction: ${op}`);
         }
     }
-    
-    // Ensure proper closing with indentation
-    cLines.push('    return 0;');
-    cLines.push('}');
-    
-    return cLines.join('\n');
 }
 
-export default {
+// Registers an instruction reads and writes (x0 never counts as a dependency)
+function instrRegUse(d) {
+    const reads = [];
+    if (d.rs1 != null && d.rs1 !== 0) reads.push({ reg: d.rs1, role: 'rs1' });
+    if (d.rs2 != null && d.rs2 !== 0) reads.push({ reg: d.rs2, role: d.kind === 'store' ? 'data' : 'rs2' });
+    const writes = d.rd != null && d.rd !== 0 ? d.rd : null;
+    return { reads, writes };
+}
+
+const HALT_ADDR = -4; // initial ra: "ret" from the top level ends the program
+
+function aluCompute(op, x, y) {
+    switch (op) {
+        case 'add': case 'addi': return (x + y) | 0;
+        case 'sub': return (x - y) | 0;
+        case 'sll': case 'slli': return x << (y & 31);
+        case 'slt': case 'slti': return x < y ? 1 : 0;
+        case 'sltu': case 'sltiu': return (x >>> 0) < (y >>> 0) ? 1 : 0;
+        case 'xor': case 'xori': return x ^ y;
+        case 'srl': case 'srli': return (x >>> (y & 31)) | 0;
+        case 'sra': case 'srai': return x >> (y & 31);
+        case 'or': case 'ori': return x | y;
+        case 'and': case 'andi': return x & y;
+        // RV32M; division by zero and overflow follow the spec (no trap)
+        case 'mul': return Math.imul(x, y);
+        case 'mulh': return Number((BigInt(x) * BigInt(y)) >> 32n) | 0;
+        case 'mulhsu': return Number((BigInt(x) * BigInt(y >>> 0)) >> 32n) | 0;
+        case 'mulhu': return Number((BigInt(x >>> 0) * BigInt(y >>> 0)) >> 32n) | 0;
+        case 'div':
+            if (y === 0) return -1;
+            if (x === -0x80000000 && y === -1) return x;
+            return Math.trunc(x / y) | 0;
+        case 'divu': return y === 0 ? -1 : Math.floor((x >>> 0) / (y >>> 0)) | 0;
+        case 'rem':
+            if (y === 0) return x;
+            if (x === -0x80000000 && y === -1) return 0;
+            return x % y;
+        case 'remu': return y === 0 ? x : ((x >>> 0) % (y >>> 0)) | 0;
+        default: throw new Error(`Unsupported ALU op: ${op}`);
+    }
+}
+
+function branchTaken(op, x, y) {
+    switch (op) {
+        case 'beq': return x === y;
+        case 'bne': return x !== y;
+        case 'blt': return x < y;
+        case 'bge': return x >= y;
+        case 'bltu': return (x >>> 0) < (y >>> 0);
+        case 'bgeu': return (x >>> 0) >= (y >>> 0);
+        default: throw new Error(`Unsupported branch: ${op}`);
+    }
+}
+
+const LOAD_SIZES = { lb: 1, lbu: 1, lh: 2, lhu: 2, lw: 4 };
+const STORE_SIZES = { sb: 1, sh: 2, sw: 4 };
+const DEFAULT_SP = 0x7FFFFFF0;
+
+/**
+ * Architectural state: 32 × int32 registers, byte-addressed little-endian memory (Map),
+ * PC as a byte address (instruction index × 4).
+ * init: { regs: { regNum: value }, mem: Map(addr → byte), sp }
+ */
+function createMachine(decoded, init = {}) {
+    const regs = new Int32Array(32);
+    regs[1] = HALT_ADDR;
+    regs[2] = init.sp ?? DEFAULT_SP;
+    for (const [r, v] of Object.entries(init.regs ?? {})) regs[r] = v;
+    regs[0] = 0;
+    return { decoded, regs, mem: new Map(init.mem ?? []), pc: 0, steps: 0, exited: null };
+}
+
+function machineIndex(machine) {
+    const index = machine.pc / 4;
+    return Number.isInteger(index) && index >= 0 && index < machine.decoded.length ? index : null;
+}
+
+function loadMem(mem, addr, n) {
+    let v = 0;
+    for (let k = n - 1; k >= 0; k--) v = (v << 8) | (mem.get((addr + k) >>> 0) ?? 0);
+    return v;
+}
+
+/**
+ * Execute the instruction at the PC.
+ * Returns { index, taken, next, reg: { reg, old, value } | null, store: { addr, size, old, value } | null }.
+ */
+function stepMachine(machine) {
+    const index = machineIndex(machine);
+    if (index == null) throw new Error('PC is outside the program');
+    const { regs, mem } = machine;
+    const d = machine.decoded[index];
+    const pc = machine.pc;
+    let next = index + 1;
+    let taken = false;
+    let result = null;
+    let store = null;
+
+    switch (d.kind) {
+        case 'alu': result = aluCompute(d.op, regs[d.rs1], regs[d.rs2]); break;
+        case 'alui': result = aluCompute(d.op, regs[d.rs1], d.imm); break;
+        case 'lui': result = (d.imm << 12) | 0; break;
+        case 'auipc': result = (pc + (d.imm << 12)) | 0; break;
+        case 'load': {
+            const addr = (regs[d.rs1] + d.imm) >>> 0;
+            const n = LOAD_SIZES[d.op];
+            const raw = loadMem(mem, addr, n);
+            result = d.op.endsWith('u') || n === 4 ? raw | 0 : (raw << (32 - 8 * n)) >> (32 - 8 * n);
+            break;
+        }
+        case 'store': {
+            const addr = (regs[d.rs1] + d.imm) >>> 0;
+            const size = STORE_SIZES[d.op];
+            store = { addr, size, old: loadMem(mem, addr, size) };
+            for (let k = 0; k < size; k++) mem.set((addr + k) >>> 0, (regs[d.rs2] >>> (8 * k)) & 0xFF);
+            store.value = loadMem(mem, addr, size);
+            break;
+        }
+        case 'branch':
+            taken = branchTaken(d.op, regs[d.rs1], regs[d.rs2]);
+            if (taken) next = d.target;
+            break;
+        case 'jal':
+            result = pc + 4;
+            taken = true;
+            next = d.target;
+            break;
+        case 'jalr':
+            result = pc + 4;
+            taken = true;
+            next = ((regs[d.rs1] + d.imm) & ~1) / 4;
+            break;
+        case 'ecall':
+            // RARS/Venus convention: a7 = 10 or 93 exits; everything else is ignored here
+            if (regs[17] === 10 || regs[17] === 93) machine.exited = `ecall exit (a7 = ${regs[17]})`;
+            break;
+    }
+    let reg = null;
+    if (result != null && d.rd) {
+        reg = { reg: d.rd, old: regs[d.rd], value: result | 0 };
+        regs[d.rd] = result;
+    }
+    machine.pc = next * 4;
+    machine.steps++;
+    return { index, taken, next, reg, store };
+}
+
+/**
+ * Run the program from instruction 0.
+ * Stops when the PC leaves the program (including "ret" to HALT_ADDR) or after maxSteps.
+ * Returns { trace: [{ index, taken, next }], regs, mem, halted, steps }.
+ */
+function runProgram(decoded, maxSteps = 1000, init = {}) {
+    const machine = createMachine(decoded, init);
+    const trace = [];
+    while (trace.length < maxSteps && machineIndex(machine) != null && !machine.exited) {
+        const { index, taken, next } = stepMachine(machine);
+        trace.push({ index, taken, next });
+    }
+    const halted = machineIndex(machine) == null || !!machine.exited;
+    return { trace, regs: machine.regs, mem: machine.mem, halted, steps: trace.length };
+}
+
+/**
+ * Parse and decode a listing; errors carry the source line.
+ * With report(lineNum, message) bad instructions are reported instead and keep their slots as { kind: 'invalid' }.
+ */
+function assembleListing(assembly, report = null) {
+    const lines = assembly.split(/\r?\n/);
+    const { instructions: source, labelToIndex: sourceLabels, data } = buildInstructionMap(lines, report);
+
+    // instruction slots after expanding multi-instruction pseudo-instructions
+    const slotOf = [];
+    let count = 0;
+    for (const inst of source) {
+        slotOf.push(count);
+        count += pseudoSlots(inst);
+    }
+    const labelToIndex = new Map([...sourceLabels].map(([label, i]) => [label, i < source.length ? slotOf[i] : count]));
+    const addrOf = (sym) => (data.symbols.has(sym) ? data.symbols.get(sym) : labelTarget(sym, labelToIndex) * 4);
+    resolveDataRelocs(data, addrOf, report);
+
+    const instructions = [];
+    const decoded = [];
+    source.forEach((inst, k) => {
+        let parts = [inst];
+        let partsDecoded;
+        try {
+            if (pseudoSlots(inst) > 1 || inst.mnemonic === 'la') {
+                const resolve = { pc: slotOf[k] * 4, addrOf };
+                parts = expandPseudo(inst.mnemonic, inst.operands, resolve).map(parseInstruction);
+            }
+            partsDecoded = parts.map(part => decodeInstruction(part, labelToIndex));
+        } catch (e) {
+            if (!report) throw new Error(`line ${inst.lineNum + 1} (${inst.original}): ${e.message}`);
+            report(inst.lineNum, e.message);
+            parts = Array(pseudoSlots(inst)).fill(inst);
+            partsDecoded = parts.map(() => ({ kind: 'invalid', op: inst.mnemonic }));
+        }
+        parts.forEach((part, n) => {
+            decoded.push(partsDecoded[n]);
+            const entry = { ...inst, index: instructions.length };
+            if (part !== inst) Object.assign(entry, { mnemonic: part.mnemonic, operands: part.operands, original: part.original, pseudo: inst.original });
+            instructions.push(entry);
+        });
+    });
+    return { lines, instructions, labelToIndex, decoded, data };
+}
+
+// ---------- 5-stage pipeline ----------
+
+const PIPE_STAGES = ['IF', 'ID', 'EX', 'MEM', 'WB'];
+const PIPE_MAX_CYCLES = 400;
+
+/**
+ * Schedule the dynamic instruction trace on a classic IF/ID/EX/MEM/WB pipeline.
+ * Every instruction gets { IF, ID, EX } start cycles (MEM = EX+1, WB = EX+2); stalls
+ * keep an instruction in ID (and its successor in IF).
+ *  - without forwarding a value is read from the register file in ID, in or after the
+ *    producer's WB (write first half, read second half)
+ *  - with forwarding ALU results go EX/MEM → EX and loads MEM/WB → EX (load-use: 1 stall)
+ *  - branches and jalr need their operands in the resolution stage; jal/j/call resolve in ID
+ *  - control: predict-not-taken fetches the fall-through path and flushes it when taken;
+ *    "stall" stops fetching until every branch/jump is resolved
+ */
+function schedulePipeline(decoded, instructions, trace, opts) {
+    const { forwarding, branchStage, control } = opts;
+    const rows = [];
+    const lastWriter = new Map(); // reg → row of the latest producer
+    const stats = { dataStalls: 0, loadUseStalls: 0, controlBubbles: 0, flushed: 0 };
+    let prev = null;        // previous real row
+    let fetchFloor = 1;     // earliest fetch cycle after a redirect
+
+    for (const step of trace) {
+        const d = decoded[step.index];
+        const row = { index: step.index, num: trace.indexOf(step) + 1, text: instructions[step.index].original, notes: [] };
+        row.IF = Math.max(fetchFloor, prev ? prev.ID : 1);
+        row.ID = Math.max(row.IF + 1, prev ? prev.EX : 0);
+
+        // earliest EX allowed by each source operand
+        const isControl = d.kind === 'branch' || d.kind === 'jalr';
+        let ex = Math.max(row.ID + 1, prev ? prev.EX + 1 : 0);
+        const base = ex;
+        const { reads, writes } = instrRegUse(d);
+        for (const { reg, role } of reads) {
+            const p = lastWriter.get(reg);
+            if (!p) continue;
+            const isLoad = decoded[p.index].kind === 'load';
+            let need;
+            let path;
+            if (!forwarding) {
+                need = p.EX + 3;
+                path = 'register file (WB → ID)';
+            } else if (isControl && branchStage === 'ID') {
+                need = p.EX + (isLoad ? 3 : 2);
+                path = isLoad ? 'MEM/WB → ID' : 'EX/MEM → ID';
+            } else if (role === 'data') {
+                need = p.EX + 1;
+                path = isLoad ? 'MEM/WB → MEM' : 'EX/MEM → MEM';
+            } else {
+                need = p.EX + (isLoad ? 2 : 1);
+                path = isLoad ? 'MEM/WB → EX' : 'EX/MEM → EX';
+            }
+            if (forwarding && need - p.EX >= 3 && !(isControl && branchStage === 'ID')) path = 'register file';
+            if (row.num - p.num <= 3 || need > base) {
+                row.notes.push(`RAW on ${ABI_NAMES[reg]} from #${p.num} (${decoded[p.index].op})${forwarding ? ` via ${path}` : ''}${need > base ? `, ${need - base} stall${need - base > 1 ? 's' : ''}` : ''}`);
+            }
+            if (need > ex) ex = need;
+            if (need > base && isLoad && forwarding) row.loadUse = true;
+        }
+        const stalls = ex - base;
+        if (stalls > 0) {
+            if (row.loadUse) stats.loadUseStalls += stalls;
+            else stats.dataStalls += stalls;
+        }
+        // stalling in ID pushes the ID stage forward
+        row.EX = ex;
+        if (writes != null) lastWriter.set(writes, row);
+        rows.push(row);
+
+        // control flow: when does the next fetch happen?
+        if (d.kind === 'jal' || d.kind === 'jalr' || d.kind === 'branch') {
+            const stage = d.kind === 'jal' ? 'ID' : branchStage;
+            const resolve = stage === 'ID' ? row.EX - 1 : stage === 'EX' ? row.EX : row.EX + 1;
+            const redirect = control === 'stall' || step.taken;
+            if (redirect) {
+                fetchFloor = resolve + 1;
+                // cycles lost compared with the next instruction entering ID right behind this one
+                const bubbles = fetchFloor + 1 - row.EX;
+                stats.controlBubbles += bubbles;
+                let flushed = 0;
+                if (control !== 'stall') {
+                    // wrong-path fall-through instructions, fetched until the redirect
+                    let wp = row;
+                    while (wp.ID <= resolve) {
+                        const idx = step.index + flushed + 1;
+                        const f = { index: idx, flushed: true, resolve, notes: [] };
+                        f.text = idx < instructions.length ? instructions[idx].original : '(past end)';
+                        f.IF = wp.ID;
+                        f.ID = Math.max(f.IF + 1, wp.EX);
+                        f.EX = f.ID + 1;
+                        rows.push(f);
+                        flushed++;
+                        wp = f;
+                    }
+                    stats.flushed += flushed;
+                }
+                const what = d.kind === 'branch' ? (control === 'stall' ? 'branch' : 'branch taken') : 'jump';
+                row.notes.push(control === 'stall'
+                    ? `${what} resolved in ${stage}: ${bubbles} bubble${bubbles === 1 ? '' : 's'} while fetch waits`
+                    : `${what}, resolved in ${stage}: ${flushed} wrong-path instruction${flushed === 1 ? '' : 's'} flushed, ${bubbles} bubble${bubbles === 1 ? '' : 's'}`);
+            } else {
+                fetchFloor = 1;
+            }
+        } else {
+            fetchFloor = 1;
+        }
+        prev = row;
+        if (row.EX + 2 > PIPE_MAX_CYCLES) throw new Error(`Pipeline chart exceeds ${PIPE_MAX_CYCLES} cycles; lower the instruction limit.`);
+    }
+    return { rows, stats };
+}
+
+// Stage occupying each cycle for one row ("**" = stall, "×" = flushed)
+function pipelineCells(row, cycles) {
+    const cells = Array(cycles + 1).fill('');
+    const put = (c, v) => { if (c >= 1 && c <= cycles) cells[c] = v; };
+    for (let c = row.IF; c < row.ID; c++) put(c, c === row.IF ? 'IF' : '**');
+    for (let c = row.ID; c < row.EX; c++) put(c, c === row.ID ? 'ID' : '**');
+    put(row.EX, 'EX');
+    put(row.EX + 1, 'MEM');
+    put(row.EX + 2, 'WB');
+    if (row.flushed) {
+        for (let c = row.resolve + 1; c <= cycles; c++) cells[c] = '';
+        put(row.resolve + 1, '×');
+    }
+    return cells.slice(1);
+}
+
+function fmtPipeline(sched, numInstr, opts) {
+    const { rows, stats } = sched;
+    const real = rows.filter(r => !r.flushed);
+    const cycles = Math.max(...real.map(r => r.EX + 2), ...rows.filter(r => r.flushed).map(r => r.resolve + 1));
+    const labelW = Math.min(28, Math.max(12, ...rows.map(r => r.text.length + 5)));
+    const cellW = 4;
+
+    const out = [];
+    out.push('RISC-V 5-STAGE PIPELINE');
+    out.push('');
+    out.push('Parameters:');
+    out.push(`- forwarding: ${opts.forwarding ? 'on (EX/MEM → EX, MEM/WB → EX)' : 'off (register file written in WB first half, read in ID second half)'}`);
+    out.push(`- branches/jalr resolved in: ${opts.branchStage}; jal/j/call resolved in ID`);
+    out.push(`- control hazards: ${opts.control === 'stall' ? 'stall fetch until resolved' : 'predict not taken (flush on taken)'}`);
+    out.push(`- dynamic instructions: ${numInstr}${opts.truncated ? ` (stopped at the limit of ${opts.maxSteps})` : ''}`);
+    out.push('');
+    out.push('Timing chart (** = stall, × = flushed):');
+
+    const header = (' '.repeat(labelW) + Array.from({ length: cycles }, (_, i) => String(i + 1).padStart(cellW - 1).padEnd(cellW)).join('')).trimEnd();
+    out.push(header);
+    for (const r of rows) {
+        const label = r.flushed ? `  · ${r.text}` : `${String(r.num).padStart(2)}. ${r.text}`;
+        const cells = pipelineCells(r, cycles).map(c => c.padStart(cellW - 1).padEnd(cellW)).join('');
+        out.push((label.length > labelW - 1 ? label.slice(0, labelW - 2) + '…' : label).padEnd(labelW) + cells.trimEnd());
+    }
+
+    out.push('');
+    out.push('Hazards:');
+    let any = false;
+    for (const r of real) {
+        for (const note of r.notes) {
+            out.push(`- #${r.num} ${r.text}: ${note}`);
+            any = true;
+        }
+    }
+    if (!any) out.push('- none');
+
+    out.push('');
+    out.push('Summary:');
+    out.push(`- total cycles: ${cycles}  (first IF in cycle 1, last WB in cycle ${cycles})`);
+    out.push(`- instructions: ${numInstr}`);
+    out.push(`- data stalls: ${stats.dataStalls}, load-use stalls: ${stats.loadUseStalls}, control bubbles: ${stats.controlBubbles}${stats.flushed ? ` (${stats.flushed} flushed)` : ''}`);
+    out.push(`- CPI = cycles / instructions = ${cycles} / ${numInstr} = ${(cycles / numInstr).toFixed(2)}`);
+    out.push(`- steady-state CPI = (cycles − 4) / instructions = ${((cycles - 4) / numInstr).toFixed(2)}  (ignores the pipeline fill)`);
+    return out.join('\n');
+}
+
+function analyzePipeline(assembly, s) {
+    const { instructions, decoded, data } = assembleListing(assembly);
+    if (decoded.length === 0) throw new Error('No instructions found');
+    const maxSteps = Number.parseInt(s.pipeMaxSteps ?? '100', 10);
+    if (!Number.isFinite(maxSteps) || maxSteps <= 0) throw new Error('Instruction limit must be a positive number');
+
+    const run = runProgram(decoded, maxSteps, { mem: data.bytes });
+    const opts = {
+        forwarding: s.pipeForwarding ?? true,
+        branchStage: ['ID', 'EX', 'MEM'].includes(s.pipeBranchStage) ? s.pipeBranchStage : 'EX',
+        control: s.pipeControl === 'stall' ? 'stall' : 'pnt',
+        maxSteps,
+        truncated: !run.halted,
+    };
+    const sched = schedulePipeline(decoded, instructions, run.trace, opts);
+    return fmtPipeline(sched, run.trace.length, opts);
+}
+
+// ---------- Interpreter ----------
+
+const SIM_LOG_LINES = 200;
+
+const hex32 = (v) => toHex(v >>> 0, 8);
+
+function regLabel(r) {
+    return `${ABI_NAMES[r]} (x${r})`;
+}
+
+function parseValue(text) {
+    return parseImmediate(text) | 0;
+}
+
+// "a0 = 5, a1 = 0x10" → { regNum: value }
+function parseRegInit(text) {
+    const regs = {};
+    for (const part of (text ?? '').split(/[,;\n]/)) {
+        const t = part.trim();
+        if (!t) continue;
+        const m = t.match(/^(\w+)\s*[=:]\s*(\S+)$/);
+        if (!m) throw new Error(`Register init must look like "a0 = 5": ${t}`);
+        const r = regNum(m[1]);
+        if (r === 0) throw new Error('x0 is hard-wired to 0');
+        regs[r] = parseValue(m[2]);
+    }
+    return regs;
+}
+
+// "0x1000: 1, 2, 3" → consecutive little-endian words from 0x1000
+function parseMemInit(text) {
+    const mem = new Map();
+    for (const raw of (text ?? '').split(/\r?\n/)) {
+        const line = raw.split('#')[0].trim();
+        if (!line) continue;
+        const m = line.match(/^(\S+)\s*:\s*(.+)$/);
+        if (!m) throw new Error(`Memory init must look like "0x1000: 1, 2, 3": ${line}`);
+        let addr = parseValue(m[1]) >>> 0;
+        if (addr % 4 !== 0) throw new Error(`Memory init address must be word aligned: ${m[1]}`);
+        for (const v of m[2].split(/[\s,]+/).filter(Boolean)) {
+            const word = parseValue(v);
+            for (let k = 0; k < 4; k++) mem.set((addr + k) >>> 0, (word >>> (8 * k)) & 0xFF);
+            addr = (addr + 4) >>> 0;
+        }
+    }
+    return mem;
+}
+
+// Breakpoints are labels or source line numbers → set of instruction indices
+function parseBreakpoints(text, instructions, labelToIndex) {
+    const points = new Map(); // index → description
+    for (const tok of (text ?? '').split(/[\s,]+/).filter(Boolean)) {
+        if (/^\d+$/.test(tok)) {
+            const line = Number(tok);
+            const inst = instructions.find(i => i.lineNum + 1 === line);
+            if (!inst) throw new Error(`Breakpoint: line ${line} has no instruction`);
+            points.set(inst.index, `line ${line}`);
+        } else {
+            points.set(labelTarget(tok, labelToIndex), tok);
+        }
+    }
+    return points;
+}
+
+/**
+ * Replay the program from the start up to the stop point given by the state:
+ * simSteps (number = stepping, blank = run), breakpoints, run-to label, ebreak, exit or limit.
+ * Breakpoints are ignored up to step count simResume, so "continue" moves past the current stop.
+ */
+function simulateExecution(assembly, s) {
+    const { instructions, labelToIndex, decoded, data } = assembleListing(assembly);
+    if (decoded.length === 0) throw new Error('No instructions found');
+
+    const maxSteps = Number.parseInt(s.simMaxSteps ?? '1000', 10);
+    if (!Number.isFinite(maxSteps) || maxSteps <= 0) throw new Error('Instruction limit must be a positive number');
+    const stepText = String(s.simSteps ?? '').trim();
+    const stepLimit = stepText === '' ? null : Number.parseInt(stepText, 10);
+    if (stepLimit != null && (!Number.isFinite(stepLimit) || stepLimit < 0)) throw new Error('Step count must be 0 or more');
+    const resume = s.simResume === '' || s.simResume == null ? null : Number(s.simResume);
+
+    const sp = (s.simSp ?? '').trim() ? parseValue(s.simSp) : DEFAULT_SP;
+    const initRegs = parseRegInit(s.simRegs);
+    const userMem = parseMemInit(s.simMem);
+    const initMem = new Map([...data.bytes, ...userMem]); // the memory field overrides .data
+    const breakpoints = parseBreakpoints(s.simBreakpoints, instructions, labelToIndex);
+    const runTo = (s.simRunTo ?? '').trim();
+    const runToIndex = runTo ? labelTarget(runTo, labelToIndex) : null;
+
+    const machine = createMachine(decoded, { regs: initRegs, mem: initMem, sp });
+    const initial = Int32Array.from(machine.regs);
+    const log = [];
+    let reason;
+
+    for (;;) {
+        const index = machineIndex(machine);
+        if (machine.exited) {
+            reason = machine.exited;
+            break;
+        }
+        if (index == null) {
+            if (machine.pc === HALT_ADDR) reason = 'returned to the caller (ra had its initial value)';
+            else if (machine.pc === decoded.length * 4) reason = 'ran past the last instruction';
+            else reason = `jumped outside the program (pc = ${hex32(machine.pc)})`;
+            break;
+        }
+        if (stepLimit != null && machine.steps >= stepLimit) {
+            reason = `stepped ${stepLimit} instruction${stepLimit === 1 ? '' : 's'}`;
+            break;
+        }
+        if (stepLimit == null && (resume == null || machine.steps > resume)) {
+            if (index === runToIndex) {
+                reason = `reached label ${runTo}`;
+                break;
+            }
+            if (breakpoints.has(index)) {
+                reason = `breakpoint at ${breakpoints.get(index)}`;
+                break;
+            }
+        }
+        if (machine.steps >= maxSteps) {
+            reason = `instruction limit of ${maxSteps} reached (infinite loop?)`;
+            break;
+        }
+        const change = stepMachine(machine);
+        log.push(change);
+        if (decoded[change.index].kind === 'ebreak' && stepLimit == null) {
+            reason = 'ebreak';
+            break;
+        }
+    }
+    return { instructions, decoded, data, machine, initial, initMem, userMem, log, reason, sp, initRegs, breakpoints, runTo, maxSteps };
+}
+
+function fmtStepChange(change, machine) {
+    const parts = [];
+    if (change.reg) {
+        parts.push(`${regLabel(change.reg.reg)}: ${hex32(change.reg.old)} → ${hex32(change.reg.value)} (${change.reg.value})`);
+    }
+    if (change.store) {
+        const wordAddr = (change.store.addr & ~3) >>> 0;
+        const word = loadMem(machine.mem, wordAddr, 4);
+        parts.push(`mem[${hex32(wordAddr)}] = ${hex32(word)} (${change.store.size}-byte store at ${hex32(change.store.addr)}, was ${toHex(change.store.old >>> 0, change.store.size * 2)})`);
+    }
+    if (machine.decoded[change.index].kind === 'branch') parts.push(change.taken ? 'branch taken' : 'not taken');
+    return parts.join(', ') || '(no register/memory change)';
+}
+
+function analyzeExecution(assembly, s) {
+    const sim = simulateExecution(assembly, s);
+    const { instructions, data, machine, initial, initMem, userMem, log } = sim;
+    const out = [];
+    out.push('RISC-V INTERPRETER (RV32IM)');
+    out.push('');
+    out.push('Parameters:');
+    out.push(`- instructions: ${instructions.length} (pc = index × 4, starting at 0)`);
+    out.push(`- sp = ${hex32(sim.sp)}, ra = ${hex32(HALT_ADDR)} (a "ret" to it ends the run)`);
+    const inits = Object.entries(sim.initRegs).map(([r, v]) => `${ABI_NAMES[r]} = ${v}`);
+    out.push(`- initial registers: ${inits.length ? inits.join(', ') : '(all 0)'}`);
+    if (data.end > data.base) out.push(`- data section: ${data.end - data.base} bytes at ${hex32(data.base)} (${[...data.symbols.keys()].join(', ') || 'no labels'})`);
+    out.push(`- initial memory: ${userMem.size ? `${userMem.size / 4} word${userMem.size === 4 ? '' : 's'}` : data.end > data.base ? '(.data only)' : '(all 0)'}`);
+    if (sim.breakpoints.size) out.push(`- breakpoints: ${[...sim.breakpoints.values()].join(', ')}`);
+    if (sim.runTo) out.push(`- run to: ${sim.runTo}`);
+    out.push(`- instruction limit: ${sim.maxSteps}`);
+    out.push('');
+
+    out.push('Execution:');
+    if (log.length === 0) out.push('- (nothing executed yet)');
+    if (log.length > SIM_LOG_LINES) out.push(`  ... ${log.length - SIM_LOG_LINES} earlier steps omitted`);
+    const numW = String(log.length).length;
+    const textW = Math.min(28, Math.max(...instructions.map(i => i.original.length)));
+    log.forEach((change, i) => {
+        if (i < log.length - SIM_LOG_LINES) return;
+        const inst = instructions[change.index];
+        const loc = `[L${inst.lineNum + 1}]`.padEnd(6);
+        out.push(`${String(i + 1).padStart(numW)}. ${loc} ${inst.original.padEnd(textW)}  ${fmtStepChange(change, machine)}`);
+    });
+    out.push('');
+
+    const nextIndex = machineIndex(machine);
+    out.push(`Stopped after ${machine.steps} instruction${machine.steps === 1 ? '' : 's'}: ${sim.reason}`);
+    if (nextIndex != null && !machine.exited) {
+        const inst = instructions[nextIndex];
+        out.push(`Next: line ${inst.lineNum + 1}: ${inst.original}  (pc = ${hex32(machine.pc)})`);
+    }
+    out.push('');
+
+    out.push('Registers (* = changed since the start):');
+    for (let r = 0; r < 32; r += 4) {
+        const cells = [];
+        for (let k = r; k < r + 4; k++) {
+            const mark = machine.regs[k] !== initial[k] ? '*' : ' ';
+            cells.push(`${`x${k}`.padStart(3)} ${ABI_NAMES[k].padEnd(4)} ${hex32(machine.regs[k])}${mark}`);
+        }
+        out.push(cells.join('   ').trimEnd());
+    }
+    out.push(`a0 = ${machine.regs[10]}, a1 = ${machine.regs[11]} (signed decimal)`);
+
+    const words = new Set();
+    for (const addr of machine.mem.keys()) words.add((addr & ~3) >>> 0);
+    const symbolAt = new Map([...data.symbols].map(([name, addr]) => [addr, name]));
+    if (words.size) {
+        out.push('');
+        out.push('Memory (initialised or written words):');
+        for (const addr of [...words].sort((a, b) => a - b)) {
+            const now = loadMem(machine.mem, addr, 4);
+            const before = loadMem(initMem, addr, 4);
+            const delta = now !== before ? `  (was ${hex32(before)})` : '';
+            const label = symbolAt.has(addr) ? `  <${symbolAt.get(addr)}>` : '';
+            out.push(`- ${hex32(addr)}: ${hex32(now)} = ${now}${delta}${label}`);
+        }
+    }
+    return out.join('\n');
+}
+
+// ---------- Branch predictors ----------
+
+const BP_PREDICTORS = {
+    taken: 'always taken',
+    btfn: 'BTFN (backward taken, forward not taken)',
+    onebit: '1-bit (repeat the last outcome)',
+    twobit: '2-bit saturating counter',
+    gshare: 'gshare (2-bit counters indexed by pc XOR global history)',
+};
+const BP_COUNTER_NAMES = ['strongly not taken', 'weakly not taken', 'weakly taken', 'strongly taken'];
+const BP_LOG_LINES = 200;
+const BP_MATRIX_ENTRIES = 8; // more touched entries than this: only the accessed entry is shown per step
+
+// Branch given as a pc (0x18), source line number (7) or label (first branch at/after it) → instruction index
+function findBranch(tok, instructions, labelToIndex, decoded) {
+    let index;
+    if (/^0x[0-9a-f]+$/i.test(tok)) {
+        index = parseInt(tok, 16) / 4;
+    } else if (/^\d+$/.test(tok)) {
+        index = instructions.find(i => i.lineNum + 1 === Number(tok) && decoded[i.index].kind === 'branch')?.index;
+    } else {
+        index = decoded.findIndex((d, i) => i >= labelTarget(tok, labelToIndex) && d.kind === 'branch');
+    }
+    if (!Number.isInteger(index) || decoded[index]?.kind !== 'branch') throw new Error(`${tok} is not a conditional branch in the listing`);
+    return index;
+}
+
+// "loop: T T T N" lines → events { index, taken }, taking one outcome from each line in turn
+function parseBranchOutcomes(text, instructions, labelToIndex, decoded) {
+    const sequences = [];
+    for (const raw of (text ?? '').split(/\r?\n/)) {
+        const line = raw.split('#')[0].trim();
+        if (!line) continue;
+        const m = line.match(/^([^\s:]+)\s*:\s*(.*)$/);
+        if (!m) throw new Error(`Outcomes must look like "loop: T T N" or "0x18: 1 1 0": ${line}`);
+        const outcomes = [...m[2].replace(/[\s,]+/g, '')].map(c => {
+            if (/^[t1]$/i.test(c)) return true;
+            if (/^[n0]$/i.test(c)) return false;
+            throw new Error(`Outcome must be T/N or 1/0, got "${c}" in: ${line}`);
+        });
+        sequences.push({ index: findBranch(m[1], instructions, labelToIndex, decoded), outcomes });
+    }
+    if (!sequences.length) throw new Error('Enter the outcomes per branch, e.g. "loop: T T T N"');
+    const events = [];
+    const longest = Math.max(...sequences.map(q => q.outcomes.length));
+    for (let k = 0; k < longest; k++) {
+        for (const q of sequences) if (k < q.outcomes.length) events.push({ index: q.index, taken: q.outcomes[k] });
+    }
+    return events;
+}
+
+/**
+ * Run the predictor over the branch events.
+ * opts: { predictor, size (power of two), historyBits, init (counter 0..3) }
+ * Steps: { index, pc, taken, prediction, correct, entry, ghr, before, after, snapshot } — entry/state fields are
+ * null for the static predictors; snapshot (entry → state after the step) is kept for the first BP_LOG_LINES steps.
+ */
+function simulatePredictor(events, decoded, opts) {
+    const { predictor, size, historyBits } = opts;
+    const dynamic = ['onebit', 'twobit', 'gshare'].includes(predictor);
+    const init = predictor === 'onebit' ? Number(opts.init >= 2) : opts.init;
+    const table = new Map(); // touched entries only; the others hold init
+    let ghr = 0;
+    const steps = events.map(({ index, taken }, n) => {
+        const pc = index * 4;
+        const entry = dynamic ? (((pc >>> 2) ^ (predictor === 'gshare' ? ghr : 0)) & (size - 1)) : null;
+        const before = dynamic ? table.get(entry) ?? init : null;
+        let prediction;
+        if (predictor === 'taken') prediction = true;
+        else if (predictor === 'btfn') prediction = decoded[index].target <= index;
+        else if (predictor === 'onebit') prediction = before === 1;
+        else prediction = before >= 2;
+
+        let after = before;
+        if (predictor === 'onebit') after = Number(taken);
+        else if (dynamic) after = taken ? Math.min(3, before + 1) : Math.max(0, before - 1);
+        if (dynamic) table.set(entry, after);
+        const step = { index, pc, taken, prediction, correct: prediction === taken, entry, ghr: predictor === 'gshare' ? ghr : null, before, after, snapshot: null };
+        if (dynamic && n < BP_LOG_LINES) step.snapshot = new Map(table);
+        if (predictor === 'gshare') ghr = ((ghr << 1) | Number(taken)) & ((1 << historyBits) - 1);
+        return step;
+    });
+    return { steps, table, init };
+}
+
+function analyzeBranchPrediction(assembly, s) {
+    const { instructions, labelToIndex, decoded, data } = assembleListing(assembly);
+    if (decoded.length === 0) throw new Error('No instructions found');
+
+    const predictor = BP_PREDICTORS[s.bpPredictor] ? s.bpPredictor : 'twobit';
+    const size = Number.parseInt(s.bpTableSize ?? '16', 10);
+    if (!Number.isInteger(Math.log2(size)) || size > 4096) throw new Error('Table size must be a power of two (1..4096)');
+    const historyBits = Number.parseInt(s.bpHistoryBits ?? '4', 10);
+    if (!(historyBits >= 1 && historyBits <= 12)) throw new Error('History bits must be 1..12');
+    const init = Number.parseInt(s.bpInit ?? '1', 10);
+    if (!(init >= 0 && init <= 3)) throw new Error('Initial state must be 0..3');
+    const penalty = Number.parseInt(s.bpPenalty ?? '2', 10);
+    if (!(penalty >= 0)) throw new Error('Misprediction penalty must be 0 or more cycles');
+    const manual = s.bpSource === 'manual';
+
+    let events;
+    let run = null;
+    if (manual) {
+        events = parseBranchOutcomes(s.bpOutcomes, instructions, labelToIndex, decoded);
+    } else {
+        const maxSteps = Number.parseInt(s.bpMaxSteps ?? '1000', 10);
+        if (!Number.isFinite(maxSteps) || maxSteps <= 0) throw new Error('Instruction limit must be a positive number');
+        run = runProgram(decoded, maxSteps, { mem: data.bytes });
+        events = run.trace.filter(t => decoded[t.index].kind === 'branch').map(t => ({ index: t.index, taken: t.taken }));
+    }
+
+    const sim = simulatePredictor(events, decoded, { predictor, size, historyBits, init });
+    const dynamic = ['onebit', 'twobit', 'gshare'].includes(predictor);
+    const stateText = (v) => (predictor === 'onebit' ? (v ? 'T' : 'N') : binStr(v, 2));
+    const where = (index) => `line ${instructions[index].lineNum + 1}: ${instructions[index].original}`;
+    const indexBits = Math.log2(size);
+
+    const out = [];
+    out.push('RISC-V BRANCH PREDICTOR');
+    out.push('');
+    out.push('Parameters:');
+    out.push(`- predictor: ${BP_PREDICTORS[predictor]}`);
+    if (run) out.push(`- outcomes: executed trace (${run.steps} instructions${run.halted ? '' : ', stopped at the instruction limit'}, ${events.length} conditional branches)`);
+    else out.push(`- outcomes: entered per branch (${events.length} in total, one from each line in turn)`);
+    if (dynamic) {
+        out.push(predictor === 'gshare'
+            ? `- table: ${size} entries, entry = ((pc >> 2) XOR GHR) mod ${size}; GHR = last ${historyBits} outcomes (newest in bit 0, 1 = taken)`
+            : `- table: ${size} entries, entry = (pc >> 2) mod ${size} (pc bits ${indexBits + 1}:2)`);
+        out.push(predictor === 'onebit'
+            ? `- initial state: ${stateText(sim.init)}; the entry predicts its last outcome`
+            : `- initial state: ${binStr(init, 2)} (${BP_COUNTER_NAMES[init]}); 00/01 predict not taken, 10/11 taken, +1 on taken, −1 on not taken`);
+    }
+    out.push(`- misprediction penalty: ${penalty} cycle${penalty === 1 ? '' : 's'} (branch resolved in ID → 1, EX → 2, MEM → 3)`);
+    out.push('');
+
+    if (!events.length) {
+        out.push('No conditional branches were executed.');
+        return out.join('\n');
+    }
+
+    // timeline: one row per prediction, with the touched entries as columns while they fit
+    const shown = sim.steps.slice(0, BP_LOG_LINES);
+    const touched = dynamic ? [...new Set(shown.map(st => st.entry))].sort((a, b) => a - b) : [];
+    const matrix = touched.length <= BP_MATRIX_ENTRIES;
+    const head = ['#', 'pc', 'branch'];
+    if (predictor === 'gshare') head.push('GHR');
+    if (dynamic) head.push('entry', 'state');
+    head.push('pred', 'actual', 'result');
+    if (dynamic && matrix) head.push(...touched.map(e => `[${e}]`));
+    const rows = shown.map((st, n) => {
+        const row = [String(n + 1), hex32(st.pc), instructions[st.index].original];
+        if (predictor === 'gshare') row.push(binStr(st.ghr, historyBits));
+        if (dynamic) row.push(String(st.entry), `${stateText(st.before)}→${stateText(st.after)}`);
+        row.push(st.prediction ? 'T' : 'N', st.taken ? 'T' : 'N', st.correct ? 'ok' : 'MISS');
+        if (dynamic && matrix) {
+            row.push(...touched.map(e => {
+                if (!st.snapshot.has(e)) return '.';
+                return `${stateText(st.snapshot.get(e))}${e === st.entry ? '*' : ''}`;
+            }));
+        }
+        return row;
+    });
+    const widths = head.map((h, c) => Math.max(h.length, ...rows.map(r => r[c].length)));
+    const fmtRow = (r) => r.map((cell, c) => cell.padEnd(widths[c])).join('  ').trimEnd();
+    out.push(`Predictions${dynamic && matrix ? ' (entry columns: state after the update, * = entry used, . = untouched)' : ''}:`);
+    out.push(fmtRow(head));
+    for (const r of rows) out.push(fmtRow(r));
+    if (sim.steps.length > shown.length) out.push(`... ${sim.steps.length - shown.length} more predictions not shown (counted below)`);
+    out.push('');
+
+    const misses = sim.steps.filter(st => !st.correct).length;
+    out.push('Per branch:');
+    for (const index of [...new Set(events.map(e => e.index))].sort((a, b) => a - b)) {
+        const mine = sim.steps.filter(st => st.index === index);
+        const taken = mine.filter(st => st.taken).length;
+        const wrong = mine.filter(st => !st.correct).length;
+        const dir = decoded[index].target <= index ? 'backward' : 'forward';
+        const entry = dynamic && predictor !== 'gshare' ? `, entry ${index & (size - 1)}` : '';
+        out.push(`- ${hex32(index * 4)} (${where(index)}, ${dir}${entry}): ${mine.length} executed, ${taken} taken, ${wrong} mispredicted`);
+    }
+    if (dynamic && predictor !== 'gshare') {
+        const byEntry = new Map();
+        for (const index of new Set(events.map(e => e.index))) {
+            const e = index & (size - 1);
+            byEntry.set(e, [...(byEntry.get(e) ?? []), hex32(index * 4)]);
+        }
+        for (const [e, pcs] of byEntry) if (pcs.length > 1) out.push(`- aliasing: ${pcs.join(' and ')} share entry ${e}`);
+    }
+    out.push('');
+
+    if (dynamic) {
+        out.push(`Final table (${sim.table.size} of ${size} entries used, the others are ${stateText(sim.init)}):`);
+        for (const [e, v] of [...sim.table].sort((a, b) => a[0] - b[0])) {
+            out.push(`- [${e}] = ${stateText(v)}${predictor === 'onebit' ? '' : ` (${BP_COUNTER_NAMES[v]})`}`);
+        }
+        out.push('');
+    }
+
+    out.push('Summary:');
+    out.push(`- predictions: ${events.length}, correct: ${events.length - misses}, mispredicted: ${misses}`);
+    out.push(`- accuracy = ${events.length - misses} / ${events.length} = ${(100 * (events.length - misses) / events.length).toFixed(1)} %`);
+    out.push(`- penalty = ${misses} misprediction${misses === 1 ? '' : 's'} × ${penalty} cycle${penalty === 1 ? '' : 's'} = ${misses * penalty} cycles`);
+    if (run) out.push(`- CPI = 1 + penalty / instructions = 1 + ${misses * penalty} / ${run.steps} = ${(1 + (misses * penalty) / run.steps).toFixed(2)}  (ideal pipeline, other hazards ignored)`);
+    return out.join('\n');
+}
+
+// ---------- Machine-code encoder / decoder ----------
+
+const OPCODES = {
+    alu: 0b0110011, alui: 0b0010011, load: 0b0000011, store: 0b0100011, branch: 0b1100011,
+    jal: 0b1101111, jalr: 0b1100111, lui: 0b0110111, auipc: 0b0010111, system: 0b1110011,
+};
+
+// mnemonic → [funct3, funct7]
+const R_FUNCTS = {
+    add: [0, 0], sub: [0, 0x20], sll: [1, 0], slt: [2, 0], sltu: [3, 0], xor: [4, 0], srl: [5, 0], sra: [5, 0x20], or: [6, 0], and: [7, 0],
+    mul: [0, 1], mulh: [1, 1], mulhsu: [2, 1], mulhu: [3, 1], div: [4, 1], divu: [5, 1], rem: [6, 1], remu: [7, 1],
+};
+const I_FUNCTS = { addi: 0, slli: 1, slti: 2, sltiu: 3, xori: 4, srli: 5, srai: 5, ori: 6, andi: 7 };
+const LOAD_FUNCTS = { lb: 0, lh: 1, lw: 2, lbu: 4, lhu: 5 };
+const STORE_FUNCTS = { sb: 0, sh: 1, sw: 2 };
+const BRANCH_FUNCTS = { beq: 0, bne: 1, blt: 4, bge: 5, bltu: 6, bgeu: 7 };
+
+const FORMAT_OF_KIND = {
+    alu: 'R', alui: 'I', load: 'I', jalr: 'I', ecall: 'I', ebreak: 'I',
+    store: 'S', branch: 'B', jal: 'J', lui: 'U', auipc: 'U',
+};
+
+const bitsOf = (v, hi, lo) => (v >>> lo) & ((1 << (hi - lo + 1)) - 1);
+const binStr = (v, width) => (v >>> 0).toString(2).padStart(width, '0').slice(-width);
+const signExtend = (v, bits) => (v << (32 - bits)) >> (32 - bits);
+
+function checkImm(value, bits, what) {
+    const min = -(2 ** (bits - 1));
+    const max = 2 ** (bits - 1) - 1;
+    if (value < min || value > max) throw new Error(`${what} ${value} does not fit in ${bits} signed bits (${min}..${max})`);
+}
+
+// Canonical assembly text with ABI register names (branch/jump targets as labels or pc offsets)
+function fmtAsm(d, targetText = (t) => String(t)) {
+    const r = (n) => ABI_NAMES[n];
+    switch (d.kind) {
+        case 'alu': return `${d.op} ${r(d.rd)}, ${r(d.rs1)}, ${r(d.rs2)}`;
+        case 'alui': return `${d.op} ${r(d.rd)}, ${r(d.rs1)}, ${d.imm}`;
+        case 'load': return `${d.op} ${r(d.rd)}, ${d.imm}(${r(d.rs1)})`;
+        case 'store': return `${d.op} ${r(d.rs2)}, ${d.imm}(${r(d.rs1)})`;
+        case 'branch': return `${d.op} ${r(d.rs1)}, ${r(d.rs2)}, ${targetText(d.target)}`;
+        case 'jal': return `jal ${r(d.rd)}, ${targetText(d.target)}`;
+        case 'jalr': return `jalr ${r(d.rd)}, ${d.imm}(${r(d.rs1)})`;
+        case 'lui':
+        case 'auipc': return `${d.op} ${r(d.rd)}, ${toHex(d.imm >>> 0)}`;
+        default: return d.op;
+    }
+}
+
+/**
+ * Encode one decoded instruction at instruction index `index`.
+ * Returns { format, word, fields: [{ name, width, value }] (bit 31 first), imm: { value, bits, scatter } | null }.
+ */
+function encodeInstruction(d, index) {
+    const f = (name, width, value) => ({ name, width, value: value & ((2 ** width) - 1) });
+    const format = FORMAT_OF_KIND[d.kind];
+    let fields;
+    let imm = null;
+
+    switch (d.kind) {
+        case 'alu': {
+            const [funct3, funct7] = R_FUNCTS[d.op];
+            fields = [f('funct7', 7, funct7), f('rs2', 5, d.rs2), f('rs1', 5, d.rs1), f('funct3', 3, funct3), f('rd', 5, d.rd), f('opcode', 7, OPCODES.alu)];
+            break;
+        }
+        case 'alui':
+            if (['slli', 'srli', 'srai'].includes(d.op)) {
+                if (d.imm < 0 || d.imm > 31) throw new Error(`shift amount ${d.imm} must be 0..31`);
+                fields = [f('funct7', 7, d.op === 'srai' ? 0x20 : 0), f('shamt', 5, d.imm), f('rs1', 5, d.rs1), f('funct3', 3, I_FUNCTS[d.op]), f('rd', 5, d.rd), f('opcode', 7, OPCODES.alui)];
+                break;
+            }
+            checkImm(d.imm, 12, 'immediate');
+            imm = { value: d.imm, bits: 12, scatter: 'imm[11:0] → bits 31:20' };
+            fields = [f('imm[11:0]', 12, d.imm), f('rs1', 5, d.rs1), f('funct3', 3, I_FUNCTS[d.op]), f('rd', 5, d.rd), f('opcode', 7, OPCODES.alui)];
+            break;
+        case 'load':
+        case 'jalr':
+            checkImm(d.imm, 12, 'offset');
+            imm = { value: d.imm, bits: 12, scatter: 'imm[11:0] → bits 31:20' };
+            fields = [f('imm[11:0]', 12, d.imm), f('rs1', 5, d.rs1), f('funct3', 3, d.kind === 'load' ? LOAD_FUNCTS[d.op] : 0), f('rd', 5, d.rd), f('opcode', 7, OPCODES[d.kind])];
+            break;
+        case 'store':
+            checkImm(d.imm, 12, 'offset');
+            imm = { value: d.imm, bits: 12, scatter: 'imm[11:5] → bits 31:25, imm[4:0] → bits 11:7' };
+            fields = [f('imm[11:5]', 7, d.imm >> 5), f('rs2', 5, d.rs2), f('rs1', 5, d.rs1), f('funct3', 3, STORE_FUNCTS[d.op]), f('imm[4:0]', 5, d.imm), f('opcode', 7, OPCODES.store)];
+            break;
+        case 'branch': {
+            const off = (d.target - index) * 4;
+            checkImm(off, 13, 'branch offset');
+            imm = { value: off, bits: 13, scatter: 'imm[12] → bit 31, imm[10:5] → bits 30:25, imm[4:1] → bits 11:8, imm[11] → bit 7 (imm[0] is always 0)' };
+            fields = [f('imm[12]', 1, off >> 12), f('imm[10:5]', 6, off >> 5), f('rs2', 5, d.rs2), f('rs1', 5, d.rs1), f('funct3', 3, BRANCH_FUNCTS[d.op]), f('imm[4:1]', 4, off >> 1), f('imm[11]', 1, off >> 11), f('opcode', 7, OPCODES.branch)];
+            break;
+        }
+        case 'jal': {
+            const off = (d.target - index) * 4;
+            checkImm(off, 21, 'jump offset');
+            imm = { value: off, bits: 21, scatter: 'imm[20] → bit 31, imm[10:1] → bits 30:21, imm[11] → bit 20, imm[19:12] → bits 19:12 (imm[0] is always 0)' };
+            fields = [f('imm[20]', 1, off >> 20), f('imm[10:1]', 10, off >> 1), f('imm[11]', 1, off >> 11), f('imm[19:12]', 8, off >> 12), f('rd', 5, d.rd), f('opcode', 7, OPCODES.jal)];
+            break;
+        }
+        case 'lui':
+        case 'auipc':
+            if (d.imm < -(2 ** 19) || d.imm > 0xFFFFF) throw new Error(`upper immediate ${d.imm} does not fit in 20 bits`);
+            imm = { value: d.imm, bits: 20, scatter: 'imm[31:12] → bits 31:12 (the operand is the upper 20 bits)' };
+            fields = [f('imm[31:12]', 20, d.imm), f('rd', 5, d.rd), f('opcode', 7, OPCODES[d.kind])];
+            break;
+        case 'ecall':
+        case 'ebreak':
+            fields = [f('funct12', 12, d.kind === 'ebreak' ? 1 : 0), f('rs1', 5, 0), f('funct3', 3, 0), f('rd', 5, 0), f('opcode', 7, OPCODES.system)];
+            break;
+        default:
+            throw new Error(`Cannot encode ${d.op}`);
+    }
+    const word = fields.reduce((acc, x) => ((acc * (2 ** x.width)) + x.value), 0) >>> 0;
+    return { format, word, fields, imm };
+}
+
+/**
+ * Decode a 32-bit word at instruction index `index` into the same shape decodeInstruction produces
+ * (branch/jump targets as instruction indices, possibly outside the block).
+ */
+function decodeWord(word, index) {
+    const opcode = bitsOf(word, 6, 0);
+    const rd = bitsOf(word, 11, 7);
+    const funct3 = bitsOf(word, 14, 12);
+    const rs1 = bitsOf(word, 19, 15);
+    const rs2 = bitsOf(word, 24, 20);
+    const funct7 = bitsOf(word, 31, 25);
+    const iImm = signExtend(bitsOf(word, 31, 20), 12);
+    const find = (table, match) => Object.keys(table).find(k => match(table[k]));
+    const unknown = () => {
+        throw new Error(`no RV32IM instruction with opcode ${binStr(opcode, 7)}, funct3 ${binStr(funct3, 3)}${opcode === OPCODES.alu ? `, funct7 ${binStr(funct7, 7)}` : ''}`);
+    };
+
+    switch (opcode) {
+        case OPCODES.alu: {
+            const op = find(R_FUNCTS, ([f3, f7]) => f3 === funct3 && f7 === funct7) ?? unknown();
+            return { kind: 'alu', op, rd, rs1, rs2 };
+        }
+        case OPCODES.alui: {
+            if (funct3 === 1 || funct3 === 5) {
+                const op = funct3 === 1 ? 'slli' : funct7 === 0x20 ? 'srai' : 'srli';
+                return { kind: 'alui', op, rd, rs1, imm: rs2 };
+            }
+            const op = find(I_FUNCTS, (f3) => f3 === funct3) ?? unknown();
+            return { kind: 'alui', op, rd, rs1, imm: iImm };
+        }
+        case OPCODES.load: {
+            const op = find(LOAD_FUNCTS, (f3) => f3 === funct3) ?? unknown();
+            return { kind: 'load', op, rd, rs1, imm: iImm };
+        }
+        case OPCODES.store: {
+            const op = find(STORE_FUNCTS, (f3) => f3 === funct3) ?? unknown();
+            return { kind: 'store', op, rs1, rs2, imm: signExtend((funct7 << 5) | rd, 12) };
+        }
+        case OPCODES.branch: {
+            const op = find(BRANCH_FUNCTS, (f3) => f3 === funct3) ?? unknown();
+            const off = signExtend((bitsOf(word, 31, 31) << 12) | (bitsOf(word, 7, 7) << 11) | (bitsOf(word, 30, 25) << 5) | (bitsOf(word, 11, 8) << 1), 13);
+            return { kind: 'branch', op, rs1, rs2, offset: off, target: index + off / 4 };
+        }
+        case OPCODES.jal: {
+            const off = signExtend((bitsOf(word, 31, 31) << 20) | (bitsOf(word, 19, 12) << 12) | (bitsOf(word, 20, 20) << 11) | (bitsOf(word, 30, 21) << 1), 21);
+            return { kind: 'jal', op: 'jal', rd, offset: off, target: index + off / 4 };
+        }
+        case OPCODES.jalr:
+            if (funct3 !== 0) unknown();
+            return { kind: 'jalr', op: 'jalr', rd, rs1, imm: iImm };
+        case OPCODES.lui:
+        case OPCODES.auipc:
+            return { kind: opcode === OPCODES.lui ? 'lui' : 'auipc', op: opcode === OPCODES.lui ? 'lui' : 'auipc', rd, imm: bitsOf(word, 31, 12) };
+        case OPCODES.system:
+            if (word === 0x00000073) return { kind: 'ecall', op: 'ecall' };
+            if (word === 0x00100073) return { kind: 'ebreak', op: 'ebreak' };
+            return unknown();
+        default:
+            return unknown();
+    }
+}
+
+// Common pseudo-instruction spelling of a decoded instruction, if any
+function pseudoOf(d, targetText) {
+    const r = (n) => ABI_NAMES[n];
+    if (d.kind === 'alui' && d.op === 'addi') {
+        if (d.rd === 0 && d.rs1 === 0 && d.imm === 0) return 'nop';
+        if (d.rs1 === 0) return `li ${r(d.rd)}, ${d.imm}`;
+        if (d.imm === 0) return `mv ${r(d.rd)}, ${r(d.rs1)}`;
+    }
+    if (d.kind === 'jal' && d.rd === 0) return `j ${targetText(d.target)}`;
+    if (d.kind === 'jal' && d.rd === 1) return `call ${targetText(d.target)}`;
+    if (d.kind === 'jalr' && d.rd === 0 && d.rs1 === 1 && d.imm === 0) return 'ret';
+    if (d.kind === 'jalr' && d.rd === 0 && d.imm === 0) return `jr ${r(d.rs1)}`;
+    if (d.kind === 'alui' && d.op === 'xori' && d.imm === -1) return `not ${r(d.rd)}, ${r(d.rs1)}`;
+    if (d.kind === 'alui' && d.op === 'sltiu' && d.imm === 1) return `seqz ${r(d.rd)}, ${r(d.rs1)}`;
+    if (d.kind === 'alu' && d.op === 'sub' && d.rs1 === 0) return `neg ${r(d.rd)}, ${r(d.rs2)}`;
+    if (d.kind === 'alu' && d.op === 'sltu' && d.rs1 === 0) return `snez ${r(d.rd)}, ${r(d.rs2)}`;
+    if (d.kind === 'branch' && d.rs2 === 0 && (d.op === 'beq' || d.op === 'bne')) return `${d.op}z ${r(d.rs1)}, ${targetText(d.target)}`;
+    return null;
+}
+
+// Field table: names over values, one column per field, then binary and hex
+function fmtFieldBreakdown(enc, indent = '    ') {
+    const widths = enc.fields.map(x => Math.max(x.name.length, x.width));
+    const out = [];
+    out.push((indent + enc.fields.map((x, i) => x.name.padEnd(widths[i])).join(' | ')).trimEnd());
+    out.push((indent + enc.fields.map((x, i) => binStr(x.value, x.width).padEnd(widths[i])).join(' | ')).trimEnd());
+    if (enc.imm) {
+        const { value, bits, scatter } = enc.imm;
+        out.push(`${indent}imm = ${value} = 0b${binStr(value, bits)} (${bits} bits); ${scatter}`);
+    }
+    out.push(`${indent}binary: ${enc.fields.map(x => binStr(x.value, x.width)).join(' ')}`);
+    out.push(`${indent}hex:    ${hex32(enc.word)}`);
+    return out.join('\n');
+}
+
+function analyzeEncoding(assembly) {
+    const { instructions, labelToIndex, decoded, data } = assembleListing(assembly);
+    if (decoded.length === 0) throw new Error('No instructions found');
+    const indexToLabel = new Map([...labelToIndex.entries()].map(([label, i]) => [i, label]));
+    const targetText = (t) => indexToLabel.get(t) ?? `pc${t >= 0 ? '+' : ''}${t * 4}`;
+
+    const out = [];
+    out.push('RISC-V ENCODER (RV32IM)');
+    out.push('');
+    out.push('Parameters:');
+    out.push(`- instructions: ${decoded.length}, first instruction at address 0x00000000`);
+    out.push('- branch/jump offsets = (target address − instruction address), in bytes');
+    out.push('');
+
+    const words = [];
+    decoded.forEach((d, i) => {
+        const inst = instructions[i];
+        let enc;
+        try {
+            enc = encodeInstruction(d, i);
+        } catch (e) {
+            throw new Error(`line ${inst.lineNum + 1} (${inst.original}): ${e.message}`);
+        }
+        words.push(enc.word);
+        const canonical = fmtAsm(d, targetText);
+        const label = indexToLabel.has(i) ? `  <${indexToLabel.get(i)}>` : '';
+        out.push(`${String(i + 1).padStart(2, ' ')}.  ${hex32(i * 4)}  ${inst.original}${label}`);
+        out.push(`    ${enc.format}-type${canonical !== inst.original.replace(/\s+/g, ' ') ? `, assembled as: ${canonical}` : ''}${inst.pseudo ? `  (part of: ${inst.pseudo})` : ''}`);
+        if (d.kind === 'branch' || d.kind === 'jal') {
+            out.push(`    target ${targetText(d.target)} at ${hex32(d.target * 4)}: offset = ${hex32(d.target * 4)} − ${hex32(i * 4)} = ${(d.target - i) * 4}`);
+        }
+        out.push(fmtFieldBreakdown(enc));
+        out.push('');
+    });
+
+    out.push('Machine code:');
+    words.forEach((w, i) => out.push(`${hex32(i * 4)}: ${hex32(w)}`));
+    const layout = fmtDataLayout(data);
+    if (layout.length) out.push('', ...layout);
+    return out.join('\n');
+}
+
+function analyzeDecoding(text) {
+    const words = [];
+    for (const raw of text.split(/\r?\n/)) {
+        const line = raw.split('#')[0];
+        for (const tok of line.split(/[\s,]+/).filter(Boolean)) {
+            if (!/^(0x)?[0-9a-f]{1,8}$/i.test(tok)) throw new Error(`Not a 32-bit hex word: ${tok}`);
+            words.push(Number.parseInt(tok.replace(/^0x/i, ''), 16) >>> 0);
+        }
+    }
+    if (words.length === 0) throw new Error('Enter one or more hex words, e.g. 0x00A28293');
+
+    const decodedWords = words.map((w, i) => {
+        try {
+            return { d: decodeWord(w, i) };
+        } catch (e) {
+            return { error: e.message };
+        }
+    });
+    // label every in-range branch/jump target
+    const targets = new Set();
+    for (const { d } of decodedWords) {
+        if (d && d.target != null && d.target >= 0 && d.target < words.length) targets.add(d.target);
+    }
+    const labels = new Map([...targets].sort((a, b) => a - b).map((t, i) => [t, `L${i + 1}`]));
+    const targetText = (t) => labels.get(t) ?? `pc${t >= 0 ? '+' : ''}${t * 4}`;
+
+    const out = [];
+    out.push('RISC-V DISASSEMBLER (RV32IM)');
+    out.push('');
+    out.push(`Words: ${words.length}, first word at address 0x00000000`);
+    out.push('');
+    const listing = [];
+    decodedWords.forEach(({ d, error }, i) => {
+        out.push(`${String(i + 1).padStart(2, ' ')}.  ${hex32(i * 4)}: ${hex32(words[i])}`);
+        if (error) {
+            out.push(`    cannot decode: ${error}`);
+            listing.push(`    .word ${hex32(words[i])}`);
+            out.push('');
+            return;
+        }
+        const enc = encodeInstruction(d, i);
+        const asm = fmtAsm(d, targetText);
+        const pseudo = pseudoOf(d, targetText);
+        out.push(`    ${enc.format}-type: ${asm}${pseudo ? `   (= ${pseudo})` : ''}`);
+        if (d.target != null) out.push(`    target = ${hex32(i * 4)} ${d.offset >= 0 ? '+' : '−'} ${Math.abs(d.offset)} = ${hex32(d.target * 4)}`);
+        out.push(fmtFieldBreakdown(enc));
+        out.push('');
+        if (labels.has(i)) listing.push(`${labels.get(i)}:`);
+        listing.push(`    ${pseudo ?? asm}`);
+    });
+    out.push('Listing:');
+    out.push(...listing);
+    return out.join('\n');
+}
+
+// ---------- Line diagnostics ----------
+
+const DIAG_MARKS = { error: '✖', warning: '⚠' };
+const RESULT_KINDS = ['alu', 'alui', 'lui', 'auipc', 'load'];
+
+/**
+ * Check every line instead of stopping at the first problem: parse/directive errors, unknown mnemonics,
+ * operand counts, undefined labels, immediates out of range (via the encoder) and writes to x0.
+ * Returns [{ line (1-based), severity: 'error' | 'warning', message }] sorted by line.
+ */
+function diagnoseAssembly(assembly) {
+    const diagnostics = [];
+    const seen = new Set();
+    const report = (lineNum, message, severity = 'error') => {
+        const key = `${lineNum}|${message}`;
+        if (seen.has(key)) return; // both halves of an expanded pseudo-instruction
+        seen.add(key);
+        diagnostics.push({ line: lineNum + 1, severity, message });
+    };
+    const { instructions, decoded } = assembleListing(assembly, report);
+    decoded.forEach((d, i) => {
+        if (d.kind === 'invalid') return;
+        const inst = instructions[i];
+        try {
+            encodeInstruction(d, i);
+        } catch (e) {
+            report(inst.lineNum, e.message);
+        }
+        const source = (inst.pseudo ? parseInstruction(inst.pseudo) : inst).mnemonic.toLowerCase();
+        const isNop = source === 'nop' || (d.op === 'addi' && d.rs1 === 0 && d.imm === 0);
+        if (RESULT_KINDS.includes(d.kind) && d.rd === 0 && !isNop) report(inst.lineNum, `${source} writes x0 (zero): the result is discarded`, 'warning');
+    });
+    return diagnostics.sort((a, b) => a.line - b.line);
+}
+
+// "line 3: error: Unknown label: lop"
+function fmtDiagnostic(diag) {
+    return `line ${diag.line}: ${diag.severity}: ${diag.message}`;
+}
+
+// ---------- Stack frames & calling convention ----------
+
+const CALLEE_SAVED = [8, 9, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27]; // s0–s11
+const SP = 2;
+const RA = 1;
+
+// Function entries: instruction 0 plus every target of a call (jal with rd = ra)
+function findFunctions(decoded, labelToIndex) {
+    const starts = new Set([0]);
+    for (const d of decoded) {
+        if (d.kind === 'jal' && d.rd === RA) starts.add(d.target);
+    }
+    const indexToLabel = new Map([...labelToIndex.entries()].map(([label, i]) => [i, label]));
+    const sorted = [...starts].filter(i => i < decoded.length).sort((a, b) => a - b);
+    return sorted.map((start, k) => ({
+        start,
+        end: k + 1 < sorted.length ? sorted[k + 1] : decoded.length, // exclusive
+        name: indexToLabel.get(start) ?? (start === 0 ? '(entry)' : `@${start}`),
+    }));
+}
+
+/**
+ * Walk one function's control flow with an abstract state per instruction:
+ *   sp    – offset of sp from its value at entry
+ *   fp    – offset of s0 from the entry sp when it is used as a frame pointer (null otherwise)
+ *   raOk  – ra still holds the return address
+ *   saved – callee-saved registers whose entry value is on the stack
+ *   dirty – callee-saved registers modified and not yet reloaded
+ * Joins take the pessimistic side; conflicting sp offsets are reported.
+ */
+function analyzeFunctionFrame(fn, decoded, instructions, starts) {
+    const states = new Map();
+    const warnings = new Map(); // message → first line (deduplicated)
+    const warn = (i, msg) => {
+        if (!warnings.has(msg)) warnings.set(msg, instructions[i].lineNum + 1);
+    };
+    const accesses = new Map(); // instruction → access; revisits after a join replace, not repeat
+    const exits = [];
+    let frameSize = 0;
+    const calls = new Set();
+
+    const inFn = (i) => i >= fn.start && i < fn.end;
+    const join = (i, st) => {
+        const old = states.get(i);
+        if (!old) {
+            states.set(i, st);
+            return true;
+        }
+        if (old.sp !== st.sp) {
+            warn(i, `sp differs between paths reaching this instruction (${old.sp} vs ${st.sp} from entry)`);
+            return false;
+        }
+        const merged = {
+            sp: old.sp,
+            fp: old.fp === st.fp ? old.fp : null,
+            raOk: old.raOk && st.raOk,
+            saved: new Set([...old.saved].filter(r => st.saved.has(r))),
+            dirty: new Set([...old.dirty, ...st.dirty]),
+        };
+        const same = merged.fp === old.fp && merged.raOk === old.raOk
+            && merged.saved.size === old.saved.size && merged.dirty.size === old.dirty.size;
+        if (!same) states.set(i, merged);
+        return !same;
+    };
+
+    const work = [fn.start];
+    join(fn.start, { sp: 0, fp: null, raOk: true, saved: new Set(), dirty: new Set() });
+    let guard = 0;
+    while (work.length && guard++ < 10000) {
+        const i = work.pop();
+        const st = states.get(i);
+        const d = decoded[i];
+        const next = { ...st, saved: new Set(st.saved), dirty: new Set(st.dirty) };
+        const line = instructions[i].lineNum + 1;
+        const { writes } = instrRegUse(d);
+
+        // stack accesses through sp or the frame pointer (addresses relative to the entry sp)
+        const base = d.rs1 === SP ? st.sp : d.rs1 === 8 && st.fp != null ? st.fp : null;
+        if ((d.kind === 'load' || d.kind === 'store') && base != null) {
+            const addr = base + d.imm;
+            const reg = d.kind === 'store' ? d.rs2 : d.rd;
+            accesses.set(i, { index: i, line, addr, store: d.kind === 'store', reg, op: d.op });
+            if (d.kind === 'store' && CALLEE_SAVED.includes(reg) && !st.dirty.has(reg)) next.saved.add(reg);
+            if (d.kind === 'load' && CALLEE_SAVED.includes(reg)) next.dirty.delete(reg);
+            if (d.kind === 'load' && reg === RA) next.raOk = true;
+        }
+        if (d.kind === 'alui' && d.op === 'addi' && d.rd === SP && d.rs1 === SP) {
+            next.sp = st.sp + d.imm;
+            frameSize = Math.max(frameSize, -next.sp);
+        } else if (writes === SP) {
+            warn(i, 'sp changed by something other than addi sp, sp, imm — frame offsets after this are not tracked');
+        }
+        if (d.kind === 'alui' && d.op === 'addi' && d.rd === 8 && d.rs1 === SP) next.fp = st.sp + d.imm;
+
+        // a call clobbers ra; the callee returns with sp and s-registers intact
+        const isCall = (d.kind === 'jal' || d.kind === 'jalr') && d.rd === RA;
+        if (isCall) {
+            next.raOk = false;
+            if (d.kind === 'jal') calls.add(d.target);
+        }
+        if (writes != null && CALLEE_SAVED.includes(writes) && !(d.kind === 'load' && base != null)) {
+            if (!st.saved.has(writes)) warn(i, `callee-saved ${ABI_NAMES[writes]} is overwritten without being saved first`);
+            next.dirty.add(writes);
+            if (writes === 8 && !(d.kind === 'alui' && d.rs1 === SP)) next.fp = null;
+        }
+        if (writes === RA && !isCall && !(d.kind === 'load' && base != null)) next.raOk = false;
+
+        const isRet = d.kind === 'jalr' && d.rd === 0;
+        const isTail = d.kind === 'jal' && d.rd === 0 && !inFn(d.target) && starts.has(d.target);
+        if (isRet || isTail) {
+            exits.push({ index: i, line, st });
+            continue;
+        }
+        const succ = [];
+        if (d.kind === 'branch') succ.push(d.target, i + 1);
+        else if (d.kind === 'jal' && d.rd === 0) succ.push(d.target);
+        else succ.push(i + 1);
+        for (const t of succ) {
+            if (!inFn(t)) {
+                if (t !== fn.end || fn.end !== decoded.length) warn(i, `control leaves the function (to instruction ${t + 1}) without ret`);
+                continue;
+            }
+            if (join(t, next)) work.push(t);
+        }
+    }
+
+    for (const { index, st } of exits) {
+        const what = decoded[index].kind === 'jal' ? 'tail call' : 'ret';
+        if (st.sp !== 0) warn(index, `sp is not rebalanced at ${what}: ${st.sp > 0 ? '+' : ''}${st.sp} bytes from its value at entry`);
+        if (!st.raOk && what === 'ret') warn(index, `ra was overwritten by a call and not restored before ${what}`);
+        for (const r of st.dirty) warn(index, `callee-saved ${ABI_NAMES[r]} is modified and not restored before ${what}`);
+    }
+    const accessList = [...accesses.values()].sort((a, b) => a.index - b.index);
+    if (calls.size && !accessList.some(a => a.store && a.reg === RA)) {
+        const first = decoded.findIndex((d, i) => inFn(i) && d.kind === 'jal' && d.rd === RA);
+        warn(first, 'function makes a call but never saves ra on the stack');
+    }
+    return { frameSize, accesses: accessList, exits, calls, warnings };
+}
+
+// Group accesses into word slots and describe each
+function frameSlots(frame) {
+    const slots = new Map(); // word addr → { saves, loads }
+    for (const a of frame.accesses) {
+        const key = Math.floor(a.addr / 4) * 4;
+        if (!slots.has(key)) slots.set(key, { saves: [], loads: [] });
+        slots.get(key)[a.store ? 'saves' : 'loads'].push(a);
+    }
+    const describe = ({ saves, loads }) => {
+        const savedRegs = [...new Set(saves.map(a => a.reg))];
+        const loadedRegs = [...new Set(loads.map(a => a.reg))];
+        // "sw L3; sb L5; lw L9", one group per mnemonic
+        const byOp = (list) => [...new Set(list.map(a => a.op))].map(op => `${op} L${list.filter(a => a.op === op).map(a => a.line).join(',')}`);
+        const where = [...byOp(saves), ...byOp(loads)].join('; ');
+        if (savedRegs.length === 1 && savedRegs[0] === RA) return [`saved ra${loadedRegs.every(r => r === RA) ? '' : ' (reloaded into other registers)'}`, where];
+        if (savedRegs.length === 1 && CALLEE_SAVED.includes(savedRegs[0]) && loadedRegs.every(r => r === savedRegs[0])) return [`saved ${ABI_NAMES[savedRegs[0]]}`, where];
+        if (!saves.length) return [`read only (${loadedRegs.map(r => ABI_NAMES[r]).join(', ')})`, where];
+        return [`local / spill (${savedRegs.map(r => ABI_NAMES[r]).join(', ')}${loadedRegs.length ? ` → ${loadedRegs.map(r => ABI_NAMES[r]).join(', ')}` : ''})`, where];
+    };
+    return { slots, describe };
+}
+
+function analyzeStackFrames(assembly) {
+    const { instructions, labelToIndex, decoded } = assembleListing(assembly);
+    if (decoded.length === 0) throw new Error('No instructions found');
+    const functions = findFunctions(decoded, labelToIndex);
+    const starts = new Set(functions.map(f => f.start));
+    const nameOf = new Map(functions.map(f => [f.start, f.name]));
+
+    const out = [];
+    out.push('RISC-V STACK FRAMES');
+    out.push('');
+    out.push('Functions (entry + every call target):');
+    for (const fn of functions) {
+        out.push(`- ${fn.name}: lines ${instructions[fn.start].lineNum + 1}–${instructions[fn.end - 1].lineNum + 1}`);
+    }
+
+    let totalWarnings = 0;
+    const frames = new Map();
+    for (const fn of functions) {
+        const frame = analyzeFunctionFrame(fn, decoded, instructions, starts);
+        frames.set(fn.start, frame);
+        out.push('');
+        out.push(`Function ${fn.name}: ${frame.frameSize ? `frame ${frame.frameSize} bytes` : 'no stack frame (leaf without addi sp)'}${frame.calls.size ? `, calls ${[...frame.calls].map(t => nameOf.get(t)).join(', ')}` : ''}`);
+
+        const { slots, describe } = frameSlots(frame);
+        if (frame.frameSize || slots.size) {
+            out.push('  offset  entry sp   contents                              accessed');
+            const top = Math.max(0, ...[...slots.keys()].map(a => a + 4));
+            for (let addr = top - 4; addr >= -frame.frameSize; addr -= 4) {
+                if (addr === -4 && top > 0) out.push('  ------  ---------  (caller frame above, old sp)');
+                const slot = slots.get(addr);
+                const [what, where] = slot ? describe(slot) : ['(unused / padding)', ''];
+                const off = addr + frame.frameSize;
+                const label = addr >= 0 ? 'caller: stack argument' : what;
+                out.push(`  ${`+${off}`.padStart(6)}  ${`sp${addr >= 0 ? '+' : ''}${addr}`.padEnd(9)}  ${label.padEnd(36)}  ${where}`.trimEnd());
+            }
+            out.push(`  sp after the prologue = entry sp − ${frame.frameSize}; offsets are from that sp`);
+        }
+
+        if (frame.warnings.size) {
+            out.push('  Calling-convention warnings:');
+            for (const [msg, line] of [...frame.warnings].sort((a, b) => a[1] - b[1])) {
+                out.push(`  ! line ${line}: ${msg}`);
+                totalWarnings++;
+            }
+        } else {
+            out.push('  Calling convention: OK');
+        }
+    }
+
+    out.push('');
+    out.push('Call graph:');
+    const edges = functions.filter(fn => frames.get(fn.start).calls.size);
+    if (!edges.length) out.push('- (no calls)');
+    for (const fn of edges) out.push(`- ${fn.name} → ${[...frames.get(fn.start).calls].map(t => nameOf.get(t)).join(', ')}`);
+    out.push('');
+    out.push(`Summary: ${functions.length} function${functions.length === 1 ? '' : 's'}, ${totalWarnings} warning${totalWarnings === 1 ? '' : 's'}`);
+    return out.join('\n');
+}
+
+// ---------- Register liveness ----------
+
+const ARG_REGS = [10, 11, 12, 13, 14, 15, 16, 17]; // a0–a7
+const CALLER_SAVED = [RA, 5, 6, 7, 28, 29, 30, 31, ...ARG_REGS]; // ra, t0–t6, a0–a7
+
+// Register sets are 32-bit masks (bit r = xr); x0 is never live
+const regMask = (regs) => regs.reduce((m, r) => (r ? (m | (1 << r)) >>> 0 : m), 0);
+const maskRegs = (mask) => Array.from({ length: 31 }, (_, k) => k + 1).filter(r => (mask >>> r) & 1);
+const ALL_LIVE = regMask(maskRegs(0xFFFFFFFF));
+const fmtRegSet = (mask) => `{${maskRegs(mask).map(r => ABI_NAMES[r]).join(', ')}}`;
+
+/**
+ * Registers one instruction defines and uses, as masks, including what the calling convention implies:
+ * a call reads the callee's arguments (all of a0–a7 when unknown) and clobbers every caller-saved register;
+ * ecall reads a0–a7 and returns in a0.
+ */
+function instrDefUse(d, sigs) {
+    const { reads, writes } = instrRegUse(d);
+    let use = regMask(reads.map(r => r.reg));
+    let def = regMask(writes != null ? [writes] : []);
+    if ((d.kind === 'jal' || d.kind === 'jalr') && d.rd === RA) {
+        const params = d.kind === 'jal' ? sigs.get(d.target)?.params ?? ARG_REGS.length : ARG_REGS.length;
+        use = (use | regMask(ARG_REGS.slice(0, params))) >>> 0;
+        def = (def | regMask(CALLER_SAVED)) >>> 0;
+    } else if (d.kind === 'ecall') {
+        use = (use | regMask(ARG_REGS)) >>> 0;
+        def = (def | regMask([10])) >>> 0;
+    }
+    return { def, use };
+}
+
+/**
+ * Registers still needed when control leaves the function from block b: the return value, sp and s0–s11
+ * at a ret; the arguments as well (plus ra) at a tail call. Anything else — falling off the end of the
+ * listing, an indirect jump, a branch out of the function — continues in unknown code, so everything is live.
+ */
+function exitLiveness(b, fn, decoded, sigs) {
+    const preserved = regMask([SP, ...CALLEE_SAVED]);
+    if (b.term == null) return b.succ.length ? 0 : ALL_LIVE;
+    const d = decoded[b.term];
+    if (d.kind === 'branch') return b.succ.length < 2 ? ALL_LIVE : 0;
+    if (d.kind === 'jal') {
+        if (d.target >= fn.start && d.target < fn.end) return 0;
+        const callee = sigs.get(d.target);
+        return callee ? (preserved | regMask([RA, ...ARG_REGS.slice(0, callee.params)])) >>> 0 : ALL_LIVE;
+    }
+    if (d.rs1 === RA && d.imm === 0) return sigs.get(fn.start).returnsValue ? (preserved | regMask([10])) >>> 0 : preserved;
+    return ALL_LIVE;
+}
+
+/**
+ * Backward dataflow over every function's CFG, iterated to a fixed point:
+ *   live-out(B) = ⋃ live-in(successors) ∪ exit needs,   live-in(B) = use(B) ∪ (live-out(B) − def(B)).
+ * Returns { functions: [{ fn, cfg, liveIn, liveOut, exits, touched }], defUse, liveAfter, dead } where
+ * liveAfter[i] holds the registers read later on some path from instruction i, dead the instructions
+ * whose result register is not among them, and touched the registers a function names explicitly.
+ */
+function analyzeLiveness(decoded, labelToIndex) {
+    const functions = findFunctions(decoded, labelToIndex);
+    const sigs = functionSignatures(functions, decoded);
+    const defUse = decoded.map(d => instrDefUse(d, sigs));
+    const liveAfter = decoded.map(() => 0);
+    const dead = new Set();
+
+    const results = functions.map(fn => {
+        const cfg = analyzeControlFlow(fn, decoded);
+        const exits = cfg.blocks.map(b => exitLiveness(b, fn, decoded, sigs));
+        const liveIn = cfg.blocks.map(() => 0);
+        const liveOut = cfg.blocks.map(() => 0);
+        // walks the block backwards, recording the live set after each instruction
+        const transfer = (b, out) => {
+            let live = out;
+            for (let i = b.end - 1; i >= b.start; i--) {
+                liveAfter[i] = live;
+                live = ((live & ~defUse[i].def) | defUse[i].use) >>> 0;
+            }
+            return live;
+        };
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (let k = cfg.blocks.length - 1; k >= 0; k--) {
+                const b = cfg.blocks[k];
+                liveOut[k] = b.succ.reduce((m, s) => (m | liveIn[s]) >>> 0, exits[k]);
+                const live = transfer(b, liveOut[k]);
+                if (live !== liveIn[k]) {
+                    liveIn[k] = live;
+                    changed = true;
+                }
+            }
+        }
+
+        let touched = 0;
+        for (let i = fn.start; i < fn.end; i++) {
+            const d = decoded[i];
+            const { reads, writes } = instrRegUse(d);
+            touched = (touched | regMask([...reads.map(r => r.reg), writes ?? 0])) >>> 0;
+            if (RESULT_KINDS.includes(d.kind) && d.rd !== 0 && !((liveAfter[i] >>> d.rd) & 1)) dead.add(i);
+        }
+        return { fn, cfg, liveIn, liveOut, exits, touched };
+    });
+    return { functions: results, defUse, liveAfter, dead };
+}
+
+/**
+ * Cheat-sheet view of analyzeLiveness: a block table per function plus, per source line,
+ * the line's def/use sets, what is live after it and its dead writes (pseudo-instruction parts merged).
+ * Sets only list registers the function names, so untouched callee-saved registers do not clutter them.
+ */
+function livenessReport(listing) {
+    const { decoded, labelToIndex, instructions } = listing;
+    const { functions, defUse, liveAfter, dead } = analyzeLiveness(decoded, labelToIndex);
+    const line = (i) => `L${String(instructions[i].lineNum + 1).padStart(2, '0')}`;
+    const summary = ['Register liveness (live = read later on some path; sets list the registers each function uses):'];
+    const byLine = new Map();
+
+    for (const { fn, cfg, liveIn, liveOut, exits, touched } of functions) {
+        summary.push(`  ${fn.name}  ${line(fn.start)}–${line(fn.end - 1)}`);
+        for (const b of cfg.blocks) {
+            const range = b.end - b.start > 1 ? `${line(b.start)}–${line(b.end - 1)}` : line(b.start);
+            const next = [...b.succ.map(s => `B${s}`), ...(exits[b.id] ? ['exit'] : [])];
+            summary.push(`    B${b.id}  ${range.padEnd(7)}  live-in ${fmtRegSet(liveIn[b.id] & touched)}  live-out ${fmtRegSet(liveOut[b.id] & touched)}  → ${next.join(', ') || '—'}`);
+        }
+        for (let i = fn.start; i < fn.end; i++) {
+            const lineNum = instructions[i].lineNum;
+            if (!byLine.has(lineNum)) byLine.set(lineNum, { parts: [], touched });
+            byLine.get(lineNum).parts.push(i);
+        }
+    }
+
+    const deadLines = [...new Set([...dead].map(i => instructions[i].lineNum))].sort((a, b) => a - b);
+    summary.push(`  Dead writes: ${deadLines.length ? deadLines.map(n => `line ${n + 1}`).join(', ') : 'none'}`);
+
+    const lineNotes = new Map();
+    for (const [lineNum, { parts, touched }] of byLine) {
+        let def = 0;
+        let use = 0;
+        for (const i of parts) {
+            use = (use | (defUse[i].use & ~def)) >>> 0; // reads of an earlier part's result stay inside the line
+            def = (def | defUse[i].def) >>> 0;
+        }
+        const after = liveAfter[parts[parts.length - 1]];
+        const notes = [`  Liveness: def ${fmtRegSet(def & touched)}, use ${fmtRegSet(use)}; live after ${fmtRegSet(after & touched)}`];
+        const deadRegs = [...new Set(parts.filter(i => dead.has(i)).map(i => ABI_NAMES[decoded[i].rd]))];
+        if (deadRegs.length) notes.push(`  ${DIAG_MARKS.warning} dead write: ${deadRegs.join(', ')} is not read before being overwritten or the function returns — the instruction is redundant.`);
+        lineNotes.set(lineNum, notes);
+    }
+    return { summary, lineNotes };
+}
+
+// ---------- Structured C decompiler ----------
+
+const cIdent = (name) => name.replace(/[^A-Za-z0-9_]/g, '_').replace(/^(\d)/, '_$1');
+
+const ACCESS_CTYPES = { lw: 'int', sw: 'int', lh: 'short', sh: 'short', lhu: 'unsigned short', lb: 'char', sb: 'char', lbu: 'unsigned char' };
+const ACCESS_SIZES = { ...LOAD_SIZES, ...STORE_SIZES };
+
+/**
+ * Basic blocks and CFG of one function (instructions [fn.start, fn.end)).
+ * Returns { blocks: [{ id, start, end, term, succ, pred }], blockOf: Map(instruction → block id) }.
+ * term is the final branch/jump/return instruction index (null when the block falls through);
+ * succ lists the taken target first. Targets outside the function (tail calls) have no edge.
+ */
+function analyzeControlFlow(fn, decoded) {
+    const inFn = (i) => i >= fn.start && i < fn.end;
+    const leaders = new Set([fn.start]);
+    for (let i = fn.start; i < fn.end; i++) {
+        const d = decoded[i];
+        const endsBlock = d.kind === 'branch' || (d.kind === 'jal' && d.rd === 0) || (d.kind === 'jalr' && d.rd === 0);
+        if (!endsBlock) continue;
+        if (d.target != null && inFn(d.target)) leaders.add(d.target);
+        if (i + 1 < fn.end) leaders.add(i + 1);
+    }
+    const sorted = [...leaders].sort((a, b) => a - b);
+    const blocks = sorted.map((start, id) => ({ id, start, end: id + 1 < sorted.length ? sorted[id + 1] : fn.end, succ: [], pred: [] }));
+    const blockOf = new Map();
+    for (const b of blocks) for (let i = b.start; i < b.end; i++) blockOf.set(i, b.id);
+
+    for (const b of blocks) {
+        const last = b.end - 1;
+        const d = decoded[last];
+        const fall = b.id + 1 < blocks.length ? b.id + 1 : null;
+        b.term = null;
+        if (d.kind === 'branch') {
+            b.term = last;
+            if (inFn(d.target)) b.succ.push(blockOf.get(d.target));
+            if (fall != null) b.succ.push(fall);
+        } else if (d.kind === 'jal' && d.rd === 0) {
+            b.term = last;
+            if (inFn(d.target)) b.succ.push(blockOf.get(d.target));
+        } else if (d.kind === 'jalr' && d.rd === 0) {
+            b.term = last;
+        } else if (fall != null) {
+            b.succ.push(fall);
+        }
+        for (const s of b.succ) blocks[s].pred.push(b.id);
+    }
+    return { blocks, blockOf };
+}
+
+// Parameters (a-registers read before any write, in layout order) and whether a0 is written (int vs void)
+function functionSignature(fn, decoded, sigs) {
+    const written = new Set();
+    let maxParam = -1;
+    let producesA0 = false;
+    for (let i = fn.start; i < fn.end; i++) {
+        const d = decoded[i];
+        const reads = instrRegUse(d).reads.map(r => r.reg);
+        const callee = d.kind === 'jal' && d.rd !== 0 ? sigs.get(d.target) : null;
+        if (callee) for (let k = 0; k < callee.params; k++) reads.push(10 + k);
+        for (const r of reads) {
+            if (r >= 10 && r <= 17 && !written.has(r)) maxParam = Math.max(maxParam, r - 10);
+        }
+        const w = d.kind === 'jal' && d.rd === RA ? 10 : instrRegUse(d).writes;
+        if (w != null) written.add(w);
+        if (w === 10) producesA0 = true;
+    }
+    return { params: maxParam + 1, returnsValue: producesA0 };
+}
+
+// Signatures of all functions: two rounds so callers see their callees' parameter counts (recursion included)
+function functionSignatures(functions, decoded) {
+    let sigs = new Map();
+    for (let round = 0; round < 2; round++) {
+        const next = new Map();
+        for (const fn of functions) next.set(fn.start, functionSignature(fn, decoded, sigs));
+        sigs = next;
+    }
+    return sigs;
+}
+
+/**
+ * Find "slli t, i, k; add p, base, t; lw/sw x, off(p)" (or the k = 0 form "add p, base, i"),
+ * where t and p are read nowhere else in the function.
+ * Returns Map(instruction → { skip } | { base, index, scale }).
+ */
+function findArrayAccesses(fn, cfg, decoded) {
+    const readCount = new Map();
+    for (let i = fn.start; i < fn.end; i++) {
+        for (const { reg } of instrRegUse(decoded[i]).reads) readCount.set(reg, (readCount.get(reg) ?? 0) + 1);
+    }
+    const folds = new Map();
+    for (const b of cfg.blocks) {
+        for (let i = b.start; i < b.end; i++) {
+            const add = decoded[i];
+            if (add.kind !== 'alu' || add.op !== 'add' || add.rd === 0) continue;
+            const p = add.rd;
+            // consumers: memory ops on p until p is redefined, following later blocks
+            // only while they are entered from this region alone
+            const users = [];
+            scan: for (let c = b.id; c < cfg.blocks.length; c++) {
+                const blk = cfg.blocks[c];
+                if (c > b.id && !blk.pred.every(q => q >= b.id && q < c)) break;
+                for (let j = Math.max(blk.start, i + 1); j < blk.end; j++) {
+                    const d = decoded[j];
+                    if ((d.kind === 'load' || d.kind === 'store') && d.rs1 === p && d.rs2 !== p) users.push(j);
+                    if (instrRegUse(d).writes === p) break scan;
+                }
+            }
+            const selfReads = (add.rs1 === p ? 1 : 0) + (add.rs2 === p ? 1 : 0);
+            if (!users.length || readCount.get(p) !== users.length + selfReads) continue;
+            const size = ACCESS_SIZES[decoded[users[0]].op];
+            if (!users.every(j => ACCESS_SIZES[decoded[j].op] === size && decoded[j].imm % size === 0)) continue;
+
+            // scaled index: a preceding slli into one of the add operands, used only by this add
+            let base = add.rs1;
+            let index = add.rs2;
+            let shift = 0;
+            let slli = null;
+            for (const [cand, other] of [[add.rs2, add.rs1], [add.rs1, add.rs2]]) {
+                for (let j = i - 1; j >= b.start; j--) {
+                    const d = decoded[j];
+                    if (instrRegUse(d).writes !== cand) continue;
+                    const expected = 1 + (cand === p ? users.length : 0);
+                    if (d.kind === 'alui' && d.op === 'slli' && d.rs1 !== cand && readCount.get(cand) === expected) {
+                        slli = j;
+                        base = other;
+                        index = d.rs1;
+                        shift = d.imm;
+                    }
+                    break;
+                }
+                if (slli != null) break;
+            }
+            if (2 ** shift !== size) continue;
+            if (slli != null) folds.set(slli, { skip: true });
+            folds.set(i, { skip: true });
+            for (const j of users) folds.set(j, { base, index, scale: size });
+        }
+    }
+    return folds;
+}
+
+const C_BINOPS = { add: '+', sub: '-', xor: '^', or: '|', and: '&', sll: '<<', sra: '>>', mul: '*', div: '/', rem: '%' };
+const C_IMMOPS = { addi: '+', xori: '^', ori: '|', andi: '&', slli: '<<', srai: '>>' };
+const C_CONDS = { beq: '==', bne: '!=', blt: '<', bge: '>=', bltu: '<', bgeu: '>=' };
+const NEGATED_BRANCH = { beq: 'bne', bne: 'beq', blt: 'bge', bge: 'blt', bltu: 'bgeu', bgeu: 'bltu' };
+
+function decompileFunction(fn, ctx) {
+    const { decoded, instructions, labelToIndex, sigs, names, starts, globals } = ctx;
+    const cfg = analyzeControlFlow(fn, decoded);
+    const { blocks } = cfg;
+    const frame = analyzeFunctionFrame(fn, decoded, instructions, starts);
+    const { slots, describe } = frameSlots(frame);
+    const folds = findArrayAccesses(fn, cfg, decoded);
+    const sig = sigs.get(fn.start);
+
+    // sp and ra are only special when the code uses them that way (sp moved by addi, ra by calls)
+    let generalSp = false;
+    let generalRa = false;
+    for (let i = fn.start; i < fn.end; i++) {
+        const d = decoded[i];
+        const w = instrRegUse(d).writes;
+        if (w === SP && !(d.kind === 'alui' && d.op === 'addi' && d.rs1 === SP)) generalSp = true;
+        if (w === RA && d.kind !== 'load' && !(d.kind === 'jal' || d.kind === 'jalr')) generalRa = true;
+    }
+
+    // stack accesses: register saves vanish, other slots become locals
+    const stackAccess = new Map();
+    for (const a of generalSp ? [] : frame.accesses) {
+        const slot = slots.get(Math.floor(a.addr / 4) * 4);
+        const saved = describe(slot)[0].startsWith('saved ');
+        stackAccess.set(a.index, saved ? { skip: true } : { name: `local_${-a.addr}` });
+    }
+
+    // C types: registers used as a memory base are pointers to the accessed type
+    const pointerType = new Map();
+    const usedRegs = new Set();
+    for (let i = fn.start; i < fn.end; i++) {
+        const d = decoded[i];
+        const fold = folds.get(i);
+        if ((d.kind === 'load' || d.kind === 'store') && !stackAccess.has(i) && !(fold && fold.skip) && !instructions[i].pseudo) {
+            const base = fold ? fold.base : d.rs1;
+            if (!pointerType.has(base)) pointerType.set(base, ACCESS_CTYPES[d.op]);
+        }
+        if (folds.get(i)?.skip || stackAccess.get(i)?.skip) continue;
+        if (instructions[i].pseudo && STORE_OPS.includes(parseInstruction(instructions[i].pseudo).mnemonic)) {
+            // sw rs, symbol, rt: the address temporary rt is not a variable
+            if (d.kind === 'store') usedRegs.add(d.rs2);
+            continue;
+        }
+        const { reads, writes } = instrRegUse(d);
+        const readRegs = fold ? [fold.base, fold.index, ...reads.filter(r => r.role === 'data').map(r => r.reg)] : reads.map(r => r.reg);
+        for (const r of readRegs) usedRegs.add(r);
+        if (writes != null) usedRegs.add(writes);
+    }
+    usedRegs.delete(0);
+    if (!generalSp) usedRegs.delete(SP);
+    if (!generalRa) usedRegs.delete(RA);
+    const isParam = (r) => r >= 10 && r < 10 + sig.params;
+    const cType = (r) => (pointerType.has(r) ? `${pointerType.get(r)} *` : 'int ');
+
+    const reg = (r) => (r === 0 ? '0' : ABI_NAMES[r]);
+    const indexExpr = (index, extra) => {
+        if (index === 0) return String(extra);
+        return extra ? `${reg(index)} ${extra > 0 ? '+' : '-'} ${Math.abs(extra)}` : reg(index);
+    };
+    const memRef = (i, d) => {
+        const fold = folds.get(i);
+        if (fold) return `${reg(fold.base)}[${indexExpr(fold.index, d.imm / fold.scale)}]`;
+        const size = ACCESS_SIZES[d.op];
+        const type = pointerType.get(d.rs1);
+        if (type === ACCESS_CTYPES[d.op] && d.imm % size === 0) return `${reg(d.rs1)}[${d.imm / size}]`;
+        return `*(${ACCESS_CTYPES[d.op]} *)((char *)${reg(d.rs1)} + ${d.imm})`;
+    };
+    const callExpr = (target) => {
+        const callee = sigs.get(target);
+        const args = Array.from({ length: callee?.params ?? 0 }, (_, k) => ABI_NAMES[10 + k]);
+        const label = [...labelToIndex.entries()].find(([, i]) => i === target)?.[0];
+        return `${names.get(target) ?? cIdent(label ?? String(target))}(${args.join(', ')})`;
+    };
+
+    // li/la and symbol loads/stores expanded to two instructions: the first part carries the whole pseudo-instruction
+    const globalRef = (sym) => (globals.get(sym)?.array ? `${cIdent(sym)}[0]` : cIdent(sym));
+    function pseudoStatement(i) {
+        const part = instructions[i];
+        if (i > fn.start && instructions[i - 1].pseudo === part.pseudo && instructions[i - 1].lineNum === part.lineNum) return null;
+        const next = decoded[i + 1];
+        const rd = reg(decoded[i].rd);
+        const { mnemonic, operands } = parseInstruction(part.pseudo);
+        const sym = operands[1];
+        if (mnemonic === 'la') return `${rd} = ${globals.get(sym)?.array ? '' : '&'}${cIdent(sym)};  // la`;
+        if (next.kind === 'load') return `${reg(next.rd)} = ${globalRef(sym)};`;
+        if (next.kind === 'store') return `${globalRef(sym)} = ${reg(next.rs2)};`;
+        return `${rd} = ${toHex(((decoded[i].imm << 12) + next.imm) >>> 0)};`;
+    }
+
+    function statement(i) {
+        const d = decoded[i];
+        if (folds.get(i)?.skip || stackAccess.get(i)?.skip) return null;
+        if (instructions[i].pseudo && decoded[i].rd !== 0) return pseudoStatement(i);
+        if (!generalSp && d.kind === 'alui' && d.op === 'addi' && d.rd === SP && d.rs1 === SP) return null;
+        if (d.kind === 'alui' && d.op === 'addi' && d.rd === 8 && d.rs1 === SP && frame.frameSize) return null;
+        const rd = reg(d.rd);
+        const a = reg(d.rs1);
+        const b = reg(d.rs2);
+        switch (d.kind) {
+            case 'alu':
+                if (d.rd === 0) return null;
+                if (d.op === 'sub' && d.rs1 === 0) return `${rd} = -${b};`;
+                if (C_BINOPS[d.op]) {
+                    if (pointerType.has(d.rd) && (d.op === 'add' || d.op === 'sub')) return `${rd} = (${pointerType.get(d.rd)} *)((char *)${a} ${C_BINOPS[d.op]} ${b});`;
+                    return d.rd === d.rs1 ? `${rd} ${C_BINOPS[d.op]}= ${b};` : `${rd} = ${a} ${C_BINOPS[d.op]} ${b};`;
+                }
+                switch (d.op) {
+                    case 'srl': return `${rd} = (unsigned)${a} >> ${b};`;
+                    case 'slt': return `${rd} = ${a} < ${b};`;
+                    case 'sltu': return d.rs1 === 0 ? `${rd} = ${b} != 0;` : `${rd} = (unsigned)${a} < (unsigned)${b};`;
+                    case 'divu': return `${rd} = (unsigned)${a} / (unsigned)${b};`;
+                    case 'remu': return `${rd} = (unsigned)${a} % (unsigned)${b};`;
+                    case 'mulh': return `${rd} = (int)(((long long)${a} * ${b}) >> 32);`;
+                    case 'mulhu': return `${rd} = (int)(((unsigned long long)(unsigned)${a} * (unsigned)${b}) >> 32);`;
+                    case 'mulhsu': return `${rd} = (int)(((long long)${a} * (unsigned)${b}) >> 32);`;
+                }
+                break;
+            case 'alui': {
+                if (d.rd === 0) return null;
+                const imm = d.imm;
+                if (d.op === 'addi') {
+                    if (d.rs1 === 0) return `${rd} = ${imm};`;
+                    if (imm === 0) return `${rd} = ${a};`;
+                    if (pointerType.has(d.rd)) {
+                        const size = ACCESS_SIZES[Object.keys(ACCESS_CTYPES).find(k => ACCESS_CTYPES[k] === pointerType.get(d.rd))];
+                        if (imm % size === 0) {
+                            const n = imm / size;
+                            if (d.rd === d.rs1) return n === 1 ? `${rd}++;` : n === -1 ? `${rd}--;` : `${rd} += ${n};`;
+                            return n < 0 ? `${rd} = ${a} - ${-n};` : `${rd} = ${a} + ${n};`;
+                        }
+                        return `${rd} = (${pointerType.get(d.rd)} *)((char *)${a} + ${imm});`;
+                    }
+                    if (d.rd === d.rs1) {
+                        if (imm === 1) return `${rd}++;`;
+                        if (imm === -1) return `${rd}--;`;
+                        return imm < 0 ? `${rd} -= ${-imm};` : `${rd} += ${imm};`;
+                    }
+                    return imm < 0 ? `${rd} = ${a} - ${-imm};` : `${rd} = ${a} + ${imm};`;
+                }
+                if (d.op === 'xori' && imm === -1) return `${rd} = ~${a};`;
+                if (d.op === 'sltiu' && imm === 1) return `${rd} = ${a} == 0;`;
+                if (d.op === 'slti') return `${rd} = ${a} < ${imm};`;
+                if (d.op === 'sltiu') return `${rd} = (unsigned)${a} < ${imm}u;`;
+                if (d.op === 'srli') return `${rd} = (unsigned)${a} >> ${imm};`;
+                const shown = ['andi', 'ori', 'xori'].includes(d.op) && imm > 9 ? hex32(imm).replace(/^0x0+(?=.)/, '0x') : imm;
+                return d.rd === d.rs1 ? `${rd} ${C_IMMOPS[d.op]}= ${shown};` : `${rd} = ${a} ${C_IMMOPS[d.op]} ${shown};`;
+            }
+            case 'lui':
+                return d.rd === 0 ? null : `${rd} = ${toHex((d.imm << 12) >>> 0)};`;
+            case 'auipc':
+                return d.rd === 0 ? null : `${rd} = pc + ${toHex((d.imm << 12) >>> 0)};  // auipc`;
+            case 'load': {
+                const local = stackAccess.get(i);
+                if (d.rd === 0) return null;
+                return `${rd} = ${local ? local.name : memRef(i, d)};`;
+            }
+            case 'store': {
+                const local = stackAccess.get(i);
+                return `${local ? local.name : memRef(i, d)} = ${b};`;
+            }
+            case 'jal':
+                if (d.rd === RA) return sigs.get(d.target)?.returnsValue ? `a0 = ${callExpr(d.target)};` : `${callExpr(d.target)};`;
+                break;
+            case 'jalr':
+                if (d.rd === RA) return `a0 = ((int (*)())${a})();  // indirect call`;
+                break;
+            case 'ecall':
+                return 'ecall();  // service number in a7';
+            case 'ebreak':
+                return '/* ebreak */';
+        }
+        return `// ${instructions[i].original}`;
+    }
+
+    const cond = (d, negate) => {
+        const op = negate ? NEGATED_BRANCH[d.op] : d.op;
+        const unsigned = op === 'bltu' || op === 'bgeu';
+        const x = reg(d.rs1);
+        const y = reg(d.rs2);
+        if (unsigned) return `(unsigned)${x} ${C_CONDS[op]} (unsigned)${y}`;
+        return `${x} ${C_CONDS[op]} ${y}`;
+    };
+
+    const ret = sig.returnsValue ? 'return a0;' : 'return;';
+    const blockName = (id) => {
+        const start = blocks[id].start;
+        const label = [...labelToIndex.entries()].find(([, i]) => i === start);
+        return label ? cIdent(label[0]) : `L${instructions[start].lineNum + 1}`;
+    };
+    // back edge source with the largest id into header h (limited to hi)
+    const latchOf = (h, hi) => {
+        let latch = null;
+        for (const p of blocks[h].pred) if (p >= h && p < hi) latch = Math.max(latch ?? -1, p);
+        return latch;
+    };
+
+    let out;
+    let gotoTargets;
+    let suppressed;
+
+    function emitJump(t, ind, loop) {
+        if (loop && t === loop.header) out.push(`${ind}continue;`);
+        else if (loop && t === loop.exit) out.push(`${ind}break;`);
+        else {
+            gotoTargets.add(t);
+            out.push(`${ind}goto ${blockName(t)};`);
+        }
+    }
+
+    // blocks only reachable by jumping in from elsewhere (e.g. another function's tail) are not emitted
+    const reachable = new Set([0]);
+    for (const id of reachable) for (const s of blocks[id].succ) reachable.add(s);
+
+    function emitRange(lo, hi, ind, loop, noLoopAt = null) {
+        let b = lo;
+        while (b < hi) {
+            const blk = blocks[b];
+            if (!reachable.has(b)) {
+                b++;
+                continue;
+            }
+            if (gotoTargets.has(b)) out.push(`${ind.slice(4)}${blockName(b)}:`);
+            const latch = b === noLoopAt ? null : latchOf(b, hi);
+            if (latch != null) {
+                emitLoop(b, latch, ind, loop);
+                b = latch + 1;
+                continue;
+            }
+            const last = blk.term ?? blk.end;
+            for (let i = blk.start; i < last; i++) {
+                const st = statement(i);
+                if (st) out.push(ind + st);
+            }
+            if (blk.term == null) {
+                if (blk.succ.length === 0) out.push(ind + ret);
+                b++;
+                continue;
+            }
+            const d = decoded[blk.term];
+            if (suppressed.has(b)) {
+                b++;
+                continue;
+            }
+            if (d.kind === 'jalr') {
+                out.push(ind + (d.rs1 === RA && d.imm === 0 ? ret : `goto *${reg(d.rs1)};  // indirect jump`));
+                b++;
+                continue;
+            }
+            if (d.kind === 'jal') {
+                if (!blk.succ.length) {
+                    out.push(`${ind}return ${callExpr(d.target)};  // tail call`);
+                } else if (blk.succ[0] !== b + 1) {
+                    emitJump(blk.succ[0], ind, loop);
+                }
+                b++;
+                continue;
+            }
+            // conditional branch
+            const t = cfg.blockOf.get(d.target);
+            if (t == null) {
+                out.push(`${ind}if (${cond(d, false)}) return ${callExpr(d.target)};  // branch to another function`);
+                b++;
+                continue;
+            }
+            if (loop && (t === loop.exit || t === loop.header)) {
+                out.push(`${ind}if (${cond(d, false)}) ${t === loop.exit ? 'break' : 'continue'};`);
+                b++;
+                continue;
+            }
+            if (t > b && t <= hi) {
+                if (t === b + 1) {
+                    b++;
+                    continue;
+                }
+                // the skipped range is the "then" part; a jump over a second range makes it if/else
+                const tail = blocks[t - 1];
+                const tailJump = tail.term != null && decoded[tail.term].kind === 'jal' && decoded[tail.term].rd === 0 && tail.succ.length ? tail.succ[0] : null;
+                if (tailJump != null && tailJump > t && tailJump <= hi && !(loop && (tailJump === loop.header || tailJump === loop.exit)) && t - 1 > b) {
+                    out.push(`${ind}if (${cond(d, true)}) {`);
+                    suppressed.add(t - 1);
+                    emitRange(b + 1, t, ind + '    ', loop);
+                    out.push(`${ind}} else {`);
+                    emitRange(t, tailJump, ind + '    ', loop);
+                    out.push(`${ind}}`);
+                    b = tailJump;
+                    continue;
+                }
+                out.push(`${ind}if (${cond(d, true)}) {`);
+                emitRange(b + 1, t, ind + '    ', loop);
+                out.push(`${ind}}`);
+                b = t;
+                continue;
+            }
+            gotoTargets.add(t);
+            out.push(`${ind}if (${cond(d, false)}) goto ${blockName(t)};`);
+            b++;
+        }
+    }
+
+    function emitLoop(h, latch, ind, outer) {
+        const loop = { header: h, exit: latch + 1 < blocks.length ? latch + 1 : null, latch };
+        const latchD = decoded[blocks[latch].term];
+        const header = blocks[h];
+        const headD = header.term != null ? decoded[header.term] : null;
+        suppressed.add(latch);
+        if (latchD.kind === 'branch') {
+            out.push(`${ind}do {`);
+            emitRange(h, latch + 1, ind + '    ', loop, h);
+            out.push(`${ind}} while (${cond(latchD, false)});`);
+            return;
+        }
+        const headerOnlyTest = header.term === header.start && headD.kind === 'branch' && loop.exit != null && cfg.blockOf.get(headD.target) === loop.exit && h !== latch;
+        if (headerOnlyTest) {
+            out.push(`${ind}while (${cond(headD, true)}) {`);
+            emitRange(h + 1, latch + 1, ind + '    ', loop);
+        } else {
+            out.push(`${ind}while (1) {`);
+            emitRange(h, latch + 1, ind + '    ', loop, h);
+        }
+        out.push(`${ind}}`);
+    }
+
+    // first pass finds goto targets, the second places their labels
+    gotoTargets = new Set();
+    for (let pass = 0; pass < 2; pass++) {
+        out = [];
+        suppressed = new Set();
+        emitRange(0, blocks.length, '    ', null);
+    }
+    if (!sig.returnsValue && out[out.length - 1] === `    ${ret}`) out.pop();
+
+    const params = Array.from({ length: sig.params }, (_, k) => `${cType(10 + k)}${ABI_NAMES[10 + k]}`);
+    const head = `${sig.returnsValue ? 'int' : 'void'} ${names.get(fn.start)}(${params.join(', ') || 'void'})`;
+    const decls = [];
+    const locals = [...usedRegs].filter(r => !isParam(r)).sort((x, y) => x - y);
+    const byType = new Map();
+    for (const r of locals) {
+        const t = cType(r).trim();
+        if (!byType.has(t)) byType.set(t, []);
+        byType.get(t).push(`${t.endsWith('*') ? '*' : ''}${ABI_NAMES[r]}`);
+    }
+    for (const [t, vars] of byType) decls.push(`    ${t.replace(/ \*$/, '')} ${vars.join(', ')};`);
+    const stackLocals = [...new Set([...stackAccess.values()].filter(v => v.name).map(v => v.name))];
+    if (stackLocals.length) decls.push(`    int ${stackLocals.join(', ')};  // stack slots`);
+    const savedRegs = [...slots.values()].map(s => describe(s)[0]).filter(x => x.startsWith('saved '));
+    const frameNote = frame.frameSize && !generalSp ? [`    // frame: ${frame.frameSize} bytes${savedRegs.length ? `, ${savedRegs.join(', ')} (prologue/epilogue omitted)` : ''}`] : [];
+    return { head, lines: [`${head} {`, ...frameNote, ...decls, ...(decls.length ? [''] : []), ...out, '}'], warnings: frame.warnings };
+}
+
+const DATA_CTYPES = { 1: 'char', 2: 'short', 4: 'int' };
+
+/**
+ * C globals for the data section: one per label, covering the data up to the next label.
+ * Returns { lines, globals: Map(label → { array }) }.
+ */
+function dataDeclarations(data) {
+    const groups = [];
+    for (const item of data.items) {
+        if (item.labels.length) groups.push({ names: item.labels, items: [] });
+        groups.at(-1)?.items.push(item); // data before the first label has no name
+    }
+    const lines = [];
+    const globals = new Map();
+    for (const { names, items } of groups) {
+        const content = items.filter((item, k) => item.size && !(k === 0 && ALIGN_DIRECTIVES.includes(item.directive)));
+        if (!content.length) continue;
+        const name = cIdent(names[0]);
+        const start = content[0].addr;
+        const size = content.at(-1).addr + content.at(-1).size - start;
+        const only = content.length === 1 ? content[0] : null;
+        const sizes = new Set(content.map(item => DATA_SIZES[item.directive]));
+        let decl;
+        if (sizes.size === 1 && !sizes.has(undefined)) {
+            const values = content.flatMap(item => item.values).map(v => (v.symbol ? `(int)&${cIdent(v.symbol)}` : String(v.value)));
+            const type = DATA_CTYPES[[...sizes][0]];
+            decl = values.length === 1 ? `${type} ${name} = ${values[0]};` : `${type} ${name}[${values.length}] = { ${values.join(', ')} };`;
+        } else if (only && only.directive in STRING_DIRECTIVES && only.values.length === 1) {
+            const nul = STRING_DIRECTIVES[only.directive];
+            decl = `char ${name}[${nul ? '' : size}] = ${fmtDataChars(data, start, size - (nul ? 1 : 0))};`;
+        } else if (only && (only.directive === '.space' || only.directive === '.zero')) {
+            decl = `char ${name}[${size}];`;
+        } else {
+            const bytes = Array.from({ length: size }, (_, k) => toHex(data.bytes.get(start + k) ?? 0, 2));
+            decl = `unsigned char ${name}[${size}] = { ${bytes.join(', ')} };`;
+        }
+        lines.push(`${decl}  // ${hex32(start)}`);
+        for (const alias of names.slice(1)) lines.push(`#define ${cIdent(alias)} ${name}`);
+        for (const label of names) globals.set(label, { array: decl.includes('[') });
+    }
+    return { lines, globals };
+}
+
+// Per-instruction translation with labels and gotos (used when the listing cannot be decoded)
+function compileRiscvToCFallback(assembly, reason) {
+    const lines = assembly.split(/\r?\n/).map(line => splitLabels(stripComment(line)));
+    const labels = new Map();
+    for (const { labels: names } of lines) {
+        for (const name of names) labels.set(name, cIdent(name));
+    }
+    const out = [`// Structured translation not possible: ${reason}`, '// Per-instruction translation:', '', 'void program(void) {'];
+    for (const { labels: names, rest } of lines) {
+        for (const name of names) out.push(`${labels.get(name)}:`);
+        if (rest.startsWith('.')) {
+            out.push(`    // ${rest}  (directive)`);
+            continue;
+        }
+        const inst = parseInstruction(rest);
+        if (!inst) continue;
+        try {
+            out.push(`    ${riscvToC(inst.mnemonic, inst.operands, labels)}`);
+        } catch (e) {
+            out.push(`    // ${inst.original}  (${e.message})`);
+        }
+    }
+    out.push('}');
+    return out.join('\n');
+}
+
+// Decompile to structured C: one C function per entry/call target, loops and if/else recovered from the CFG
+function compileRiscvToC(assembly) {
+    let listing;
+    try {
+        listing = assembleListing(assembly);
+    } catch (e) {
+        return compileRiscvToCFallback(assembly, e.message);
+    }
+    const { instructions, labelToIndex, decoded } = listing;
+    if (decoded.length === 0) throw new Error('No instructions found');
+    const functions = findFunctions(decoded, labelToIndex);
+    const starts = new Set(functions.map(f => f.start));
+    const names = new Map(functions.map(f => [f.start, f.name === '(entry)' ? 'entry' : cIdent(f.name)]));
+
+    const sigs = functionSignatures(functions, decoded);
+
+    const { lines: dataLines, globals } = dataDeclarations(listing.data);
+    const ctx = { decoded, instructions, labelToIndex, sigs, names, starts, globals };
+    const results = functions.map(fn => decompileFunction(fn, ctx));
+    const out = ['// Decompiled from RISC-V: registers become locals named after their ABI names,', '// a0–a7 read before being written become parameters.', ''];
+    if (dataLines.length) out.push(...dataLines, '');
+    if (results.length > 1) {
+        for (const r of results) out.push(`${r.head};`);
+        out.push('');
+    }
+    results.forEach((r, k) => {
+        if (k) out.push('');
+        out.push(...r.lines);
+    });
+    return out.join('\n');
+}
+
+export default {
     id: "riscv",
     title: "RISC-V Instruction Explainer",
     area: "Assembly",
@@ -989,22 +3414,88 @@ export default {
     notesHtml: `
         <p><b>RISC-V Instruction Explainer</b></p>
         <p>Paste a RISC-V function or code snippet on the left.</p>
-        <p><b>Two modes:</b></p>
+        <p><b>Output modes:</b></p>
         <ul>
             <li><b>Detailed explanation</b> (default): Line-by-line cheat sheet showing instruction type, meaning, registers, and usage</li>
-            <li><b>C code equivalent</b>: Convert RISC-V assembly to structured C code with loops and conditionals</li>
+            <li><b>C code equivalent</b>: Convert RISC-V assembly to structured C code with loops and conditionals (one C function per entry point and call target; <code>while</code>, <code>do … while</code> and <code>if/else</code> are recovered from the control-flow graph, <code>goto</code> is used for anything else)</li>
+            <li><b>5-stage pipeline diagram</b>: Runs the code and draws the IF/ID/EX/MEM/WB timing chart of the executed instructions</li>
+            <li><b>Run (interpreter)</b>: Executes RV32I + M and prints every changed register and memory word per step</li>
+            <li><b>Encode to machine code</b>: Field breakdown (opcode, rd, funct3, rs1, rs2, funct7, immediate) with binary and hex for each instruction</li>
+            <li><b>Decode hex words</b>: Paste 32-bit words (e.g. <code>0x00A28293</code>) instead of assembly to get the instructions back</li>
+            <li><b>Branch predictor simulation</b>: Predicts every conditional branch of the run (or of outcomes you type in) with a static or table-based predictor and shows the table over time, the mispredictions and the penalty cycles</li>
+            <li><b>Stack frames &amp; calling convention</b>: The frame of every function (entry + call targets) as a table of sp offsets, plus convention warnings</li>
+        </ul>
+        <p><b>Encoding:</b></p>
+        <ul>
+            <li>opcode is always bits 6:0, rd 11:7, funct3 14:12, rs1 19:15, rs2 24:20 — the immediate is scattered around them</li>
+            <li><b>S-type:</b> imm[11:5] in 31:25, imm[4:0] in 11:7 (where rd would be)</li>
+            <li><b>B-type:</b> offset in bytes from the branch itself, bit 0 dropped: imm[12|10:5] in 31:25, imm[4:1|11] in 11:7</li>
+            <li><b>J-type:</b> imm[20|10:1|11|19:12] in 31:12</li>
+            <li>The first instruction is at address 0, so offsets are counted in instructions × 4</li>
+        </ul>
+        <p><b>Interpreter:</b></p>
+        <ul>
+            <li>Execution starts at the first instruction with <code>ra</code> = 0xFFFFFFFC, so a top-level <code>ret</code> ends the run (as returning from the function under test). <code>ecall</code> with <code>a7</code> = 10 or 93 also exits.</li>
+            <li><b>Step</b> executes one more instruction, <b>Run / continue</b> runs to the next breakpoint (label or source line), the <i>run to</i> label, <code>ebreak</code> or the end; <b>Reset</b> goes back to the start</li>
+            <li>Initial memory is given as words: <code>0x1000: 5, 6, 7</code> (little-endian, consecutive addresses)</li>
+            <li>The instruction limit stops infinite loops</li>
+        </ul>
+        <p><b>Branch predictors:</b></p>
+        <ul>
+            <li><b>Always taken</b> and <b>BTFN</b> (backward branches — loops — taken, forward not taken) need no table</li>
+            <li><b>1-bit:</b> each entry remembers the last outcome, so a loop branch mispredicts twice per loop (first and last iteration)</li>
+            <li><b>2-bit saturating counter:</b> 00/01 predict not taken, 10/11 taken; taken counts up, not taken down, stopping at 00 and 11 — one odd outcome does not flip a strong prediction</li>
+            <li>Entry = (pc &gt;&gt; 2) mod table size; branches whose pcs share those bits share (alias) an entry</li>
+            <li><b>gshare:</b> entry = ((pc &gt;&gt; 2) XOR GHR) mod size, where the global history register holds the last n outcomes (newest in bit 0), so the same branch uses different counters in different contexts</li>
+            <li>Typed outcomes: one line per branch (<code>loop: T T T N</code>, a source line number or pc such as <code>0x18</code>); the lines are taken in turn, as if the branches were in the same loop body</li>
+            <li>Penalty = mispredictions × cycles lost per flush (1 if branches resolve in ID, 2 in EX, 3 in MEM)</li>
+        </ul>
+        <p><b>Data section:</b></p>
+        <ul>
+            <li><code>.data</code> / <code>.text</code> (or <code>.section .data</code>, <code>.rodata</code>, <code>.bss</code>) switch sections; code starts at 0x00000000, data at 0x10010000 (RARS/Venus layout)</li>
+            <li><code>.word</code>/<code>.half</code>/<code>.byte</code> store values little-endian (least significant byte first); <code>.word label</code> stores the label's address</li>
+            <li><code>.ascii</code> (no terminator), <code>.asciz</code>/<code>.string</code> (with a 0 byte), <code>.space n</code> (n zero bytes)</li>
+            <li><code>.align n</code> pads to a multiple of 2<sup>n</sup> bytes (<code>.balign n</code>: n bytes) — nothing is aligned automatically, so put <code>.align 2</code> before words that follow strings or bytes</li>
+            <li><code>la rd, label</code> and <code>lw rd, label</code> use <code>auipc</code> + a 12-bit offset; <code>sw rs, label, rt</code> needs the temporary <code>rt</code> for the address</li>
+            <li>The explanation starts with the data layout table; the interpreter and pipeline start with this memory, and the C view declares one global per label</li>
+        </ul>
+        <p><b>Diagnostics:</b> every line is checked while you type — unknown mnemonics, wrong operand counts, undefined labels, immediates that do not fit their format (12-bit I/S, 13-bit branch, 21-bit jump offsets, shift amounts 0..31) and writes to <code>x0</code>. ✖ errors and ⚠ warnings appear next to the line numbers (hover for the message) and in the list under the editor. The explanation still covers the valid lines and the C view translates around them; the other views need an error-free listing.</p>
+        <p><b>Register liveness:</b></p>
+        <ul>
+            <li>A register is <i>live</i> at a point if some path from there reads it before writing it; the explanation lists live-in/live-out per basic block and, per line, the registers it defines and uses and those live after it</li>
+            <li>Calls read the callee's arguments and clobber the caller-saved registers (ra, t0–t6, a0–a7); <code>ret</code> needs a0 (if the function sets it), sp and s0–s11; code that runs off the end of the listing keeps everything live</li>
+            <li>A <b>dead write</b> (⚠) computes a register nobody reads afterwards — the instruction can be deleted without changing the result</li>
+        </ul>
+        <p>Pick the mode in the <i>Output</i> selector above the input area.</p>
+        <p><b>Pipeline hazards:</b></p>
+        <ul>
+            <li><b>RAW without forwarding:</b> the consumer reads the register file in ID, in the same cycle as the producer's WB at the earliest (write first half, read second half) → up to 2 stalls</li>
+            <li><b>With forwarding:</b> ALU results go EX/MEM → EX (no stall); a load's value is only ready after MEM, so load-use costs 1 stall (MEM/WB → EX)</li>
+            <li><b>Branches resolved in ID</b> need their operands in ID: 1 stall after an ALU producer, 2 after a load</li>
+            <li><b>Control hazards:</b> with predict-not-taken, a taken branch resolved in stage S flushes the wrong-path instructions fetched behind it (1 bubble for ID, 2 for EX, 3 for MEM). <code>jal</code>/<code>j</code>/<code>call</code> are known in ID.</li>
+            <li><b>CPI</b> = cycles / instructions; the steady-state CPI subtracts the 4 fill cycles</li>
         </ul>
-        <p>Toggle between modes using the checkbox above the input area.</p>
         <p><b>Big picture:</b></p>
         <ul>
             <li><b>Registers:</b> 
               <ul>
                 <li><code>x0/zero</code>: always 0</li>
-                <li><code>ra</code>: return address</li>
-                <li><code>sp</code>: stack pointer (grows downwards)</li>
-                <li><code>s0–s11</code>: callee-saved (must be restored before <code>ret</code>)</li>
-                <li><code>a0–a7</code>: arguments &amp; return values</li>
-                <li><code>t0–t6</code>: temporaries</li>
+                <li><code>x1/ra</code>: return address (caller-saved)</li>
+                <li><code>x2/sp</code>: stack pointer (grows downwards, callee-saved)</li>
+                <li><code>x3/gp</code>, <code>x4/tp</code>: global and thread pointer (not allocated)</li>
+                <li><code>x5–x7/t0–t2</code>, <code>x28–x31/t3–t6</code>: temporaries (caller-saved)</li>
+                <li><code>x8/s0/fp</code>, <code>x9/s1</code>, <code>x18–x27/s2–s11</code>: callee-saved (must be restored before <code>ret</code>)</li>
+                <li><code>x10–x17/a0–a7</code>: arguments; <code>a0</code>/<code>a1</code> also return values (caller-saved)</li>
+              </ul>
+            </li>
+            <li><b>RV32M:</b> <code>mul</code> (low 32 bits), <code>mulh</code>/<code>mulhsu</code>/<code>mulhu</code> (high 32 bits, signed×signed / signed×unsigned / unsigned×unsigned), <code>div</code>/<code>divu</code>, <code>rem</code>/<code>remu</code>. Division by zero gives −1 (quotient) and the dividend (remainder); no trap.</li>
+            <li><b>Pseudo-instructions</b> are shown with their expansion, and the interpreter, pipeline and encoder run the real instructions:
+              <ul>
+                <li><code>li rd, imm</code> → <code>addi rd, zero, imm</code>, or <code>lui</code> + <code>addi</code> when imm does not fit in 12 bits (the <code>lui</code> part is rounded up when the low part is negative)</li>
+                <li><code>la rd, label</code> → <code>auipc rd, %pcrel_hi(label)</code> + <code>addi rd, rd, %pcrel_lo(label)</code></li>
+                <li><code>mv</code>, <code>not</code>, <code>neg</code>, <code>seqz</code>, <code>snez</code>, <code>sltz</code>, <code>sgtz</code>, <code>nop</code> → one ALU instruction with <code>zero</code> or −1</li>
+                <li><code>beqz</code>/<code>bnez</code>/<code>blez</code>/<code>bgez</code>/<code>bltz</code>/<code>bgtz</code> compare with <code>zero</code>; <code>bgt</code>/<code>ble</code>/<code>bgtu</code>/<code>bleu</code> swap the operands of <code>blt</code>/<code>bge</code>/<code>bltu</code>/<code>bgeu</code></li>
+                <li><code>j</code>, <code>jr</code>, <code>ret</code>, <code>call</code>, <code>tail</code> → <code>jal</code>/<code>jalr</code> with <code>zero</code> or <code>ra</code> (a far <code>call</code> would be <code>auipc ra</code> + <code>jalr ra</code>; the linker relaxes it to one <code>jal</code>)</li>
               </ul>
             </li>
             <li><b>Typical stack frame:</b></li>
@@ -1020,6 +3511,7 @@ func:
   addi sp, sp, FRAME_SIZE
   ret
         </pre>
+        <p>The frame view finds this pattern in your code: the <code>addi sp, sp, -N</code> prologue, the <code>sw</code>/<code>lw</code> pairs at <code>N(sp)</code> (or through <code>s0</code> as frame pointer), and warns when an s-register is changed without a save, <code>ra</code> is lost after a <code>call</code>, or sp is not back at its entry value at <code>ret</code>.</p>
         <ul>
             <li><b>Instruction formats:</b></li>
         </ul>
@@ -1035,7 +3527,7 @@ J-type: jal rd, label         # jump-and-link
             <li><b>What this tool shows you:</b></li>
             <li>For each line: the <b>kind</b> (R/I/S/B/U/J/pseudo)</li>
             <li>A short <b>meaning</b> in words, often like high-level code</li>
-            <li>Which registers are used and their roles (dest, src, immediate)</li>
+            <li>Which registers are used, their role in the instruction (dest, source, value, address, target) and their ABI role</li>
             <li>Labels visualized as jump/loop targets</li>
         </ul>
         <p>Use this to translate exam RISC-V code into plain-language explanations before you write your answer.</p>
@@ -1054,7 +3546,27 @@ beq x3, x4, done
 addi x5, x0, 1
 done:
 addi x6, x0, 0`,
-            showCCode: s.showCCode ?? false,
+            mode: s.mode ?? (s.showCCode ? "c" : "explain"),
+            pipeForwarding: s.pipeForwarding ?? true,
+            pipeBranchStage: s.pipeBranchStage ?? "EX",
+            pipeControl: s.pipeControl ?? "pnt",
+            pipeMaxSteps: s.pipeMaxSteps ?? "100",
+            simSp: s.simSp ?? "0x7FFFFFF0",
+            simRegs: s.simRegs ?? "",
+            simMem: s.simMem ?? "",
+            simBreakpoints: s.simBreakpoints ?? "",
+            simRunTo: s.simRunTo ?? "",
+            simMaxSteps: s.simMaxSteps ?? "1000",
+            simSteps: s.simSteps ?? "",
+            simResume: s.simResume ?? "",
+            bpPredictor: s.bpPredictor ?? "twobit",
+            bpTableSize: s.bpTableSize ?? "16",
+            bpHistoryBits: s.bpHistoryBits ?? "4",
+            bpInit: s.bpInit ?? "1",
+            bpPenalty: s.bpPenalty ?? "2",
+            bpSource: s.bpSource ?? "trace",
+            bpOutcomes: s.bpOutcomes ?? "",
+            bpMaxSteps: s.bpMaxSteps ?? "1000",
         };
         
         const assembly = el("textarea", {
@@ -1067,27 +3579,199 @@ addi x6, x0, 0`,
         assembly.style.whiteSpace = "pre";
         assembly.style.resize = "vertical";
         assembly.style.fontSize = "14px";
+        assembly.style.lineHeight = "21px";
+        assembly.style.flex = "1";
+        assembly.style.minWidth = "0";
+        
+        // line numbers with error/warning markers, scrolled together with the textarea
+        const gutter = el("div", { style: "font-family: var(--mono); font-size:13px; line-height:21px; padding:11px 0; text-align:right; color: var(--muted); overflow:hidden; user-select:none; white-space:pre; min-width:4.5em;" });
+        const diagList = el("div", { style: "font-family: var(--mono); font-size:13px; margin:6px 0 8px;" });
+        const editor = el("div", { style: "display:flex; gap:6px; align-items:stretch;" }, [gutter, assembly]);
+        const DIAG_COLORS = { error: "var(--danger)", warning: "#e3b341" };
+        const syncDiagnostics = () => {
+            const diagnostics = mode.value === "decode" || !assembly.value.trim() ? [] : diagnoseAssembly(assembly.value.trimEnd());
+            const rows = assembly.value.split(/\r?\n/).map((_, i) => {
+                const here = diagnostics.filter(d => d.line === i + 1);
+                const worst = here.find(d => d.severity === "error") ?? here[0];
+                return el("div", {
+                    text: `${worst ? DIAG_MARKS[worst.severity] : " "} ${i + 1}`,
+                    title: here.map(d => `${d.severity}: ${d.message}`).join("\n"),
+                    style: worst ? `color: ${DIAG_COLORS[worst.severity]};` : "",
+                });
+            });
+            gutter.replaceChildren(...rows);
+            gutter.scrollTop = assembly.scrollTop;
+            diagList.replaceChildren(...diagnostics.map(d => el("div", { text: `${DIAG_MARKS[d.severity]} ${fmtDiagnostic(d)}`, style: `color: ${DIAG_COLORS[d.severity]};` })));
+        };
+        assembly.addEventListener("scroll", () => {
+            gutter.scrollTop = assembly.scrollTop;
+        });
+        
+        const mode = el("select", { class: "search" }, [
+            el("option", { value: "explain", text: "Line-by-line explanation" }),
+            el("option", { value: "c", text: "C code equivalent" }),
+            el("option", { value: "pipeline", text: "5-stage pipeline diagram" }),
+            el("option", { value: "run", text: "Run (interpreter)" }),
+            el("option", { value: "predict", text: "Branch predictor simulation" }),
+            el("option", { value: "encode", text: "Encode to machine code" }),
+            el("option", { value: "decode", text: "Decode hex words" }),
+            el("option", { value: "frame", text: "Stack frames & calling convention" }),
+        ]);
+        mode.value = state.mode;
+        
+        const pipeForwarding = el("input", { type: "checkbox" });
+        pipeForwarding.checked = !!state.pipeForwarding;
+        
+        const pipeBranchStage = el("select", { class: "search" }, [
+            el("option", { value: "ID", text: "ID" }),
+            el("option", { value: "EX", text: "EX" }),
+            el("option", { value: "MEM", text: "MEM" }),
+        ]);
+        pipeBranchStage.value = state.pipeBranchStage;
+        
+        const pipeControl = el("select", { class: "search" }, [
+            el("option", { value: "pnt", text: "Predict not taken (flush)" }),
+            el("option", { value: "stall", text: "Stall until resolved" }),
+        ]);
+        pipeControl.value = state.pipeControl;
+        
+        const pipeMaxSteps = el("input", { class: "search", type: "number", min: "1", value: state.pipeMaxSteps });
+        
+        const pipeOptions = el("div", { style: "display:grid; grid-template-columns: repeat(4, 1fr); gap:8px; margin-bottom:8px;" }, [
+            el("div", {}, [
+                el("div", { class: "nav-tag", text: "Forwarding" }),
+                el("label", { style: "display:flex; gap:8px; align-items:center; color: var(--muted); cursor: pointer;" }, [
+                    pipeForwarding,
+                    el("span", { text: "EX/MEM and MEM/WB bypass" }),
+                ]),
+            ]),
+            el("div", {}, [el("div", { class: "nav-tag", text: "Branch resolved in" }), pipeBranchStage]),
+            el("div", {}, [el("div", { class: "nav-tag", text: "Control hazards" }), pipeControl]),
+            el("div", {}, [el("div", { class: "nav-tag", text: "Instruction limit" }), pipeMaxSteps]),
+        ]);
+        const bpPredictor = el("select", { class: "search" }, Object.entries(BP_PREDICTORS).map(([value, text]) => el("option", { value, text })));
+        bpPredictor.value = state.bpPredictor;
+        const bpTableSize = el("input", { class: "search", type: "number", min: "1", value: state.bpTableSize });
+        const bpHistoryBits = el("input", { class: "search", type: "number", min: "1", max: "12", value: state.bpHistoryBits });
+        const bpInit = el("select", { class: "search" }, BP_COUNTER_NAMES.map((name, v) => el("option", { value: String(v), text: `${binStr(v, 2)} ${name}` })));
+        bpInit.value = state.bpInit;
+        const bpPenalty = el("input", { class: "search", type: "number", min: "0", value: state.bpPenalty });
+        const bpSource = el("select", { class: "search" }, [
+            el("option", { value: "trace", text: "Run the code" }),
+            el("option", { value: "manual", text: "Enter outcomes per branch" }),
+        ]);
+        bpSource.value = state.bpSource;
+        const bpMaxSteps = el("input", { class: "search", type: "number", min: "1", value: state.bpMaxSteps });
+        const bpOutcomes = el("textarea", {
+            class: "search",
+            rows: "3",
+            placeholder: "loop: T T T N   (label, line number or pc 0x18; T/N or 1/0)",
+        });
+        bpOutcomes.value = state.bpOutcomes;
+        bpOutcomes.style.fontFamily = "var(--mono)";
+        const bpOutcomesBox = el("div", {}, [el("div", { class: "nav-tag", text: "Outcomes per branch (one line each, taken in turn)" }), bpOutcomes]);
+        
+        const bpOptions = el("div", { style: "margin-bottom:8px;" }, [
+            el("div", { style: "display:grid; grid-template-columns: repeat(4, 1fr); gap:8px; margin-bottom:8px;" }, [
+                el("div", {}, [el("div", { class: "nav-tag", text: "Predictor" }), bpPredictor]),
+                el("div", {}, [el("div", { class: "nav-tag", text: "Table entries" }), bpTableSize]),
+                el("div", {}, [el("div", { class: "nav-tag", text: "Initial counter" }), bpInit]),
+                el("div", {}, [el("div", { class: "nav-tag", text: "gshare history bits" }), bpHistoryBits]),
+                el("div", {}, [el("div", { class: "nav-tag", text: "Outcomes from" }), bpSource]),
+                el("div", {}, [el("div", { class: "nav-tag", text: "Misprediction penalty (cycles)" }), bpPenalty]),
+                el("div", {}, [el("div", { class: "nav-tag", text: "Instruction limit" }), bpMaxSteps]),
+            ]),
+            bpOutcomesBox,
+        ]);
+        
+        const simSp = el("input", { class: "search", value: state.simSp, placeholder: "0x7FFFFFF0" });
+        const simRegs = el("input", { class: "search", value: state.simRegs, placeholder: "a0 = 5, a1 = 0x10" });
+        const simBreakpoints = el("input", { class: "search", value: state.simBreakpoints, placeholder: "loop, 12" });
+        const simRunTo = el("input", { class: "search", value: state.simRunTo, placeholder: "label" });
+        const simMaxSteps = el("input", { class: "search", type: "number", min: "1", value: state.simMaxSteps });
+        const simMem = el("textarea", {
+            class: "search",
+            rows: "3",
+            placeholder: "0x1000: 1, 2, 3   (words from 0x1000)",
+        });
+        simMem.value = state.simMem;
+        simMem.style.fontFamily = "var(--mono)";
         
-        const showCCode = el("input", { type: "checkbox" });
-        showCCode.checked = !!state.showCCode;
+        // stepping replays from the start: simSteps = instructions to execute ("" = run until a stop)
+        let simSteps = state.simSteps;
+        let simResume = state.simResume;
+        const stepsSoFar = () => {
+            try {
+                return simulateExecution(assembly.value, { ...ctx.state, ...simInputs(), simSteps, simResume }).machine.steps;
+            } catch {
+                return 0;
+            }
+        };
+        const btnReset = el("button", { class: "btn btn-ghost", text: "Reset" });
+        btnReset.addEventListener("click", () => {
+            simSteps = "0";
+            simResume = "";
+            persist();
+            showSimulation();
+        });
+        const btnStep = el("button", { class: "btn btn-ghost", text: "Step" });
+        btnStep.addEventListener("click", () => {
+            // the first Step after a fresh start begins at instruction 0, not after a full run
+            if (!String(simSteps ?? "").trim() && !simResume) simSteps = "0";
+            simSteps = String(stepsSoFar() + 1);
+            persist();
+            showSimulation();
+        });
+        const btnRun = el("button", { class: "btn btn-ghost", text: "Run / continue" });
+        btnRun.addEventListener("click", () => {
+            simResume = String(stepsSoFar());
+            simSteps = "";
+            persist();
+            showSimulation();
+        });
+        
+        const simOptions = el("div", { style: "margin-bottom:8px;" }, [
+            el("div", { style: "display:flex; gap:8px; flex-wrap:wrap; margin-bottom:8px;" }, [btnReset, btnStep, btnRun]),
+            el("div", { style: "display:grid; grid-template-columns: repeat(5, 1fr); gap:8px; margin-bottom:8px;" }, [
+                el("div", {}, [el("div", { class: "nav-tag", text: "sp" }), simSp]),
+                el("div", {}, [el("div", { class: "nav-tag", text: "Initial registers" }), simRegs]),
+                el("div", {}, [el("div", { class: "nav-tag", text: "Breakpoints (labels / lines)" }), simBreakpoints]),
+                el("div", {}, [el("div", { class: "nav-tag", text: "Run to label" }), simRunTo]),
+                el("div", {}, [el("div", { class: "nav-tag", text: "Instruction limit" }), simMaxSteps]),
+            ]),
+            el("div", { class: "nav-tag", text: "Initial memory (words)" }),
+            simMem,
+        ]);
+        
+        const syncMode = () => {
+            pipeOptions.style.display = mode.value === "pipeline" ? "grid" : "none";
+            simOptions.style.display = mode.value === "run" ? "block" : "none";
+            bpOptions.style.display = mode.value === "predict" ? "block" : "none";
+            bpOutcomesBox.style.display = bpSource.value === "manual" ? "block" : "none";
+        };
+        syncMode();
         
         const btnExample1 = el("button", { class: "btn btn-ghost", text: "Example: Simple arithmetic" });
         btnExample1.addEventListener("click", () => {
             assembly.value = `addi x1, x0, 5
 addi x2, x0, 10
 add x3, x1, x2
-sub x4, x3, x1`;
+sub x4, x3, x1
+li x5, 4096
+li x6, 0x80000000
+or x7, x5, x6`;
             persist();
         });
         
         const btnExample2 = el("button", { class: "btn btn-ghost", text: "Example: Memory access" });
         btnExample2.addEventListener("click", () => {
-            assembly.value = `addi sp, sp, -16
+            assembly.value = `addi sp, sp, -0x10
 sw x1, 0(sp)
 sw x2, 4(sp)
 lw x3, 0(sp)
 lw x4, 4(sp)
-add x5, x3, x4`;
+add x5, x3, x4
+addi sp, sp, 0x10`;
             persist();
         });
         
@@ -1131,44 +3815,117 @@ ret`;
                 btnExample4,
             ]),
             el("div", { style: "display:flex; gap:12px; align-items:center; margin-bottom:8px;" }, [
-                el("label", { style: "display:flex; gap:8px; align-items:center; color: var(--muted); cursor: pointer;" }, [
-                    showCCode,
-                    el("span", { text: "Show C code equivalent (instead of detailed explanation)" }),
-                ]),
+                el("div", { class: "nav-tag", text: "Output:" }),
+                mode,
             ]),
+            pipeOptions,
+            simOptions,
+            bpOptions,
             el("div", { class: "nav-tag", text: "RISC-V Assembly Code:" }),
-            assembly,
+            editor,
+            diagList,
         ]);
         
         container.appendChild(form);
+        syncDiagnostics();
         ctx.setNotes?.(this.notesHtml);
         
+        function simInputs() {
+            return {
+                simSp: simSp.value,
+                simRegs: simRegs.value,
+                simMem: simMem.value,
+                simBreakpoints: simBreakpoints.value,
+                simRunTo: simRunTo.value,
+                simMaxSteps: simMaxSteps.value,
+            };
+        }
+        
+        // Current form values (ctx.state is only the snapshot from when the page was rendered)
+        const readForm = () => ({
+            ...ctx.state,
+            ...simInputs(),
+            simSteps,
+            simResume,
+            assembly: assembly.value,
+            mode: mode.value,
+            pipeForwarding: pipeForwarding.checked,
+            pipeBranchStage: pipeBranchStage.value,
+            pipeControl: pipeControl.value,
+            pipeMaxSteps: pipeMaxSteps.value,
+            bpPredictor: bpPredictor.value,
+            bpTableSize: bpTableSize.value,
+            bpHistoryBits: bpHistoryBits.value,
+            bpInit: bpInit.value,
+            bpPenalty: bpPenalty.value,
+            bpSource: bpSource.value,
+            bpOutcomes: bpOutcomes.value,
+            bpMaxSteps: bpMaxSteps.value,
+        });
+        
         const persist = () => {
-            ctx.setState({
-                ...ctx.state,
-                assembly: assembly.value,
-                showCCode: showCCode.checked,
-            });
+            syncDiagnostics();
+            ctx.setState(readForm());
+        };
+        
+        // the stepping buttons show their result right away instead of waiting for Compute
+        const showSimulation = () => {
+            try {
+                ctx.setOutput?.(this.compute({ state: readForm() }));
+            } catch (e) {
+                ctx.setOutput?.(`ERROR: ${e?.message || e}`);
+            }
         };
         
         assembly.addEventListener("input", persist);
-        showCCode.addEventListener("change", persist);
+        mode.addEventListener("change", () => {
+            syncMode();
+            persist();
+        });
+        for (const x of [pipeForwarding, pipeBranchStage, pipeControl]) x.addEventListener("change", persist);
+        pipeMaxSteps.addEventListener("input", persist);
+        for (const x of [simSp, simRegs, simMem, simBreakpoints, simRunTo, simMaxSteps]) x.addEventListener("input", persist);
+        for (const x of [bpPredictor, bpInit]) x.addEventListener("change", persist);
+        bpSource.addEventListener("change", () => {
+            syncMode();
+            persist();
+        });
+        for (const x of [bpTableSize, bpHistoryBits, bpPenalty, bpOutcomes, bpMaxSteps]) x.addEventListener("input", persist);
     },
     
     compute(ctx) {
         const s = ctx.state;
-        const assembly = (s.assembly || "").trim();
-        const showCCode = !!s.showCCode;
+        const assembly = (s.assembly || "").trimEnd(); // leading lines kept so line numbers match the editor
+        const mode = s.mode ?? (s.showCCode ? "c" : "explain");
         
-        if (!assembly) {
+        if (!assembly.trim()) {
             throw new Error("Please enter RISC-V assembly code");
         }
         
+        // the explanation and C view work around bad lines; the other views need a clean listing
+        const diagnostics = mode === "decode" ? [] : diagnoseAssembly(assembly);
+        const errors = diagnostics.filter(d => d.severity === "error");
+        if (errors.length && !["explain", "c"].includes(mode)) {
+            throw new Error(`${errors.length} error${errors.length === 1 ? "" : "s"} in the listing:\n${errors.map(fmtDiagnostic).join("\n")}`);
+        }
+        
         try {
-            if (showCCode) {
+            if (mode === "pipeline") {
+                return analyzePipeline(assembly, s);
+            } else if (mode === "run") {
+                return analyzeExecution(assembly, s);
+            } else if (mode === "predict") {
+                return analyzeBranchPrediction(assembly, s);
+            } else if (mode === "encode") {
+                return analyzeEncoding(assembly);
+            } else if (mode === "decode") {
+                return analyzeDecoding(assembly);
+            } else if (mode === "frame") {
+                return analyzeStackFrames(assembly);
+            } else if (mode === "c") {
                 // Show C code equivalent
                 const cCode = compileRiscvToC(assembly);
-                return cCode;
+                return diagnostics.length ? `${diagnostics.map(d => `// ${fmtDiagnostic(d)}`).join("\n")}\n\n${cCode}` : cCode;
             } else {
                 // Show detailed explanation
                 const explanation = analyzeRiscvToCheatsheet(assembly);
@@ -11,6 +11,7 @@ import {
   toBin,
   clampBigIntToBits,
 } from "../lib/bit.js";
+import { initCache, deriveGeometry, fmtGeometry, splitAddress } from "./cache.js";
 
 function parseIntStrict(s, name) {
   const n = Number.parseInt((s ?? "").toString().trim(), 10);
@@ -65,6 +66,38 @@ function parseMappings(text) {
   return map;
 }
 
+/**
+ * Mappings for several processes: "pid N" (or "[pid N]") starts the section for process N.
+ * Lines before the first header belong to defaultPid. Returns Map(pid → Map(vpn → {ppn, flags})).
+ */
+function parseProcessMappings(text, defaultPid) {
+  const sections = new Map([[defaultPid, []]]);
+  let cur = defaultPid;
+  for (const line of (text ?? "").split(/\r?\n/)) {
+    const m = line.trim().match(/^\[?\s*pid\s*[:=]?\s*(\d+)\s*\]?\s*:?$/i);
+    if (m) {
+      cur = Number(m[1]);
+      if (!sections.has(cur)) sections.set(cur, []);
+      continue;
+    }
+    sections.get(cur).push(line);
+  }
+  return new Map([...sections].map(([pid, lines]) => [pid, parseMappings(lines.join("\n"))]));
+}
+
+// Frames mapped by more than one (PID, VPN): PPN → ["PID p VPN v", ...]
+function findSharedFrames(ptByPid) {
+  const users = new Map();
+  for (const [pid, table] of ptByPid) {
+    for (const [vpn, entry] of table) {
+      const key = entry.ppn.toString();
+      if (!users.has(key)) users.set(key, { ppn: entry.ppn, who: [] });
+      users.get(key).who.push(`PID ${pid} VPN ${toHex(vpn)}`);
+    }
+  }
+  return [...users.values()].filter(u => u.who.length > 1);
+}
+
 function initTLB(numSets, assoc) {
   const sets = [];
   for (let s = 0; s < numSets; s++) {
@@ -75,6 +108,7 @@ function initTLB(numSets, assoc) {
         tag: 0n,     // TLBTAG
         ppn: 0n,     // stored physical page number
         flags: "",   // stored flags
+        asid: 0,     // owning process (only compared in ASID mode)
         lastUsed: 0, // for LRU
       });
     }
@@ -94,11 +128,11 @@ function pickVictimLRU(lines) {
   return best;
 }
 
-// MRU -> LRU tags (for printing)
-function fmtTlbTagsMRU(setLines) {
+// MRU -> LRU tags (for printing); withAsid prefixes each tag with its ASID
+function fmtTlbTagsMRU(setLines, withAsid = false) {
   const valid = setLines.filter(x => x.valid);
   valid.sort((a, b) => b.lastUsed - a.lastUsed);
-  return valid.map(x => toHex(x.tag)).join(", ");
+  return valid.map(x => (withAsid ? `A${x.asid}:` : "") + toHex(x.tag)).join(", ");
 }
 
 // --- NEW: init rows helpers ---
@@ -150,17 +184,660 @@ function applyTlbInitRows(tlbSets, rows, timeBase = 0) {
   }
 }
 
+// --- Multi-level page tables ---
+
+// Presets for the walk mode. ptLevels lists index widths from the root table down.
+const PT_PRESETS = {
+  sv32: { label: "Sv32 (RISC-V, 2-level)", vaBits: "32", paBits: "34", pageSize: "4096", ptLevels: "10,10", pteSize: "4", pteFormat: "riscv" },
+  sv39: { label: "Sv39 (RISC-V, 3-level)", vaBits: "39", paBits: "56", pageSize: "4096", ptLevels: "9,9,9", pteSize: "8", pteFormat: "riscv" },
+  x86_64: { label: "x86-64 (4-level)", vaBits: "48", paBits: "52", pageSize: "4096", ptLevels: "9,9,9,9", pteSize: "8", pteFormat: "x86" },
+};
+
+const X86_LEVEL_NAMES = ["PML4", "PDPT", "PD", "PT"];
+
+function parseLevelBits(text, vpnBits) {
+  const parts = (text ?? "").toString().split(/[\s,|]+/).filter(Boolean);
+  if (parts.length === 0) throw new Error("Provide the index bits per page-table level (e.g. 10,10).");
+  const bits = parts.map(p => parseIntStrict(p, `level bits "${p}"`));
+  if (bits.some(b => b <= 0)) throw new Error("Every page-table level needs at least 1 index bit.");
+  const sum = bits.reduce((a, b) => a + b, 0);
+  if (sum !== vpnBits) {
+    throw new Error(`Level bits ${bits.join("+")} = ${sum}, but VPN bits = ${vpnBits}.`);
+  }
+  return bits;
+}
+
+/**
+ * Physical memory contents for the walk, one PTE per line:
+ *  - "0x1004: 0x00000C01"
+ *  - "0x1004 0xC01"
+ * Returns Map(PTE address → PTE value). Unlisted addresses read as 0 (invalid PTE).
+ */
+function parsePhysMem(text) {
+  const lines = (text ?? "")
+    .split(/\r?\n/)
+    .map(l => l.trim())
+    .filter(l => l && !l.startsWith("#"));
+
+  const mem = new Map();
+  for (const line of lines) {
+    const parts = line.replace(/[:=,]/g, " ").split(/\s+/).filter(Boolean);
+    if (parts.length < 2) throw new Error(`Invalid memory line: "${line}" (expected "addr value")`);
+    mem.set(parseNumToBigInt(parts[0], "PTE address"), parseNumToBigInt(parts[1], "PTE value"));
+  }
+  return mem;
+}
+
+const bit = (x, n) => ((x >> BigInt(n)) & 1n) === 1n;
+
+/**
+ * Decode one PTE. Flags are returned as "RWXUAD" with "-" for cleared bits.
+ *  - riscv: V R W X U G A D in bits 0–7, PPN from bit 10; leaf when any of R/W/X is set.
+ *  - x86:   P R/W U/S in bits 0–2, A D PS in bits 5–7, frame from bit 12, NX in bit 63;
+ *           leaf at the last level, or PS on a PDPT/PD entry (huge page).
+ */
+function decodePte(format, pte, ppnBits, isTop, isLast) {
+  let r, w, x, u, a, d, leaf, ppn;
+  let fault = null;
+  if (format === "x86") {
+    r = true;
+    w = bit(pte, 1);
+    u = bit(pte, 2);
+    a = bit(pte, 5);
+    d = bit(pte, 6);
+    x = !bit(pte, 63);
+    leaf = isLast || (!isTop && bit(pte, 7));
+    ppn = (pte >> 12n) & maskBits(ppnBits);
+  } else {
+    r = bit(pte, 1);
+    w = bit(pte, 2);
+    x = bit(pte, 3);
+    u = bit(pte, 4);
+    a = bit(pte, 6);
+    d = bit(pte, 7);
+    leaf = r || w || x;
+    ppn = (pte >> 10n) & maskBits(ppnBits);
+    if (w && !r) fault = "reserved encoding (W without R)";
+    else if (isLast && !leaf) fault = "pointer PTE at last level";
+  }
+  const valid = bit(pte, 0);
+  const flags = [r ? "R" : "-", w ? "W" : "-", x ? "X" : "-", u ? "U" : "-", a ? "A" : "-", d ? "D" : "-"].join("");
+  return { valid, leaf, ppn, flags, fault };
+}
+
+/**
+ * Walk a multi-level page table for one VPN.
+ * Returns { steps, ppn, flags, fault } where ppn is the 4K-granular frame (superpages are expanded)
+ * and steps holds one entry per PTE read.
+ */
+function walkPageTable(vpn, cfg) {
+  const { levelBits, offsetBits, root, pteSize, format, mem, paBits } = cfg;
+  const ppnBits = paBits - offsetBits;
+  const steps = [];
+  let table = root;
+  let below = levelBits.reduce((a, b) => a + b, 0);
+
+  for (let k = 0; k < levelBits.length; k++) {
+    below -= levelBits[k];
+    const idx = (vpn >> BigInt(below)) & maskBits(levelBits[k]);
+    const pteAddr = table + idx * BigInt(pteSize);
+    const pte = mem.get(pteAddr) ?? 0n;
+    const isLast = k === levelBits.length - 1;
+    const dec = decodePte(format, pte, ppnBits, k === 0, isLast);
+    const step = { level: levelBits.length - 1 - k, idx, pteAddr, pte, valid: dec.valid, leaf: dec.leaf, flags: dec.flags };
+    steps.push(step);
+
+    if (!dec.valid) return { steps, ppn: null, flags: "", fault: "invalid PTE (V=0)" };
+    if (dec.fault) return { steps, ppn: null, flags: "", fault: dec.fault };
+
+    if (dec.leaf) {
+      // superpage: the low VPN bits pass straight through to the PA
+      if (below > 0 && (dec.ppn & maskBits(below)) !== 0n) {
+        return { steps, ppn: null, flags: "", fault: "misaligned superpage" };
+      }
+      step.next = `leaf${below > 0 ? ` (${toHex(1n << BigInt(below + offsetBits))}-byte superpage)` : ""}`;
+      return { steps, ppn: dec.ppn | (vpn & maskBits(below)), flags: dec.flags, fault: null, pteAddr };
+    }
+    table = dec.ppn << BigInt(offsetBits);
+    step.next = `next table @ ${toHex(table)}`;
+  }
+  return { steps, ppn: null, flags: "", fault: "no leaf PTE" };
+}
+
+function levelName(format, levels, level) {
+  if (format === "x86" && levels === X86_LEVEL_NAMES.length) return X86_LEVEL_NAMES[levels - 1 - level];
+  return `VPN[${level}]`;
+}
+
+function fmtWalkSteps(walk, format, levels, paNibbles, pteSize) {
+  const out = walk.steps.map(st => {
+    const parts = [
+      `    walk ${levelName(format, levels, st.level)}=${toHex(st.idx)}`,
+      `PTE @ ${toHex(st.pteAddr, paNibbles)} = ${toHex(st.pte, pteSize * 2)}`,
+      `V=${st.valid ? 1 : 0}`,
+      `leaf=${st.leaf ? 1 : 0}`,
+    ];
+    if (st.valid && st.leaf) parts.push(`flags=${st.flags}`);
+    if (st.next) parts.push(`→ ${st.next}`);
+    return parts.join("  ");
+  });
+  if (walk.fault) out.push(`    walk: PAGE FAULT — ${walk.fault}`);
+  return out;
+}
+
+// leafFlags are RISC-V bits (V R W X U - A D); x86 has no R bit and marks non-executable pages with NX (bit 63)
+function encodePte(format, ppn, leafFlags) {
+  if (format !== "x86") return (ppn << 10n) | (leafFlags ?? 0x01n);
+  if (leafFlags == null) return (ppn << 12n) | 0x07n; // table pointer: P RW US, the leaf restricts
+  const rv = (b) => (leafFlags >> BigInt(b)) & 1n;
+  return (ppn << 12n) | rv(0) | (rv(2) << 1n) | (rv(4) << 2n) | (rv(6) << 5n) | (rv(7) << 6n) | ((rv(3) ^ 1n) << 63n);
+}
+
+/**
+ * Build a small, consistent example for a preset: tables are allocated from frame 0x1 upward,
+ * two pages are mapped and a third VA falls into an unmapped region.
+ */
+function buildWalkExample(preset) {
+  const levelBits = preset.ptLevels.split(",").map(Number);
+  const offsetBits = log2IntPow2(Number(preset.pageSize));
+  const pteSize = BigInt(preset.pteSize);
+  const vaBits = Number(preset.vaBits);
+
+  const vas = [0x00401234n, 0x00402ABCn, 0x00401FF0n, BigInt(1) << BigInt(vaBits - 2)];
+  const maps = [[0x00401n, 0x80n, 0xC7n], [0x00402n, 0x81n, 0x4Bn]]; // RW-AD / R-X-A (riscv bits)
+
+  let nextFrame = 1n;
+  const root = nextFrame++ << BigInt(offsetBits);
+  const tables = new Map([["", root]]);
+  const mem = new Map();
+
+  for (const [vpn, ppn, rvFlags] of maps) {
+    let below = levelBits.reduce((a, b) => a + b, 0);
+    let table = root;
+    let prefix = "";
+    for (let k = 0; k < levelBits.length; k++) {
+      below -= levelBits[k];
+      const idx = (vpn >> BigInt(below)) & maskBits(levelBits[k]);
+      const pteAddr = table + idx * pteSize;
+      if (k === levelBits.length - 1) {
+        mem.set(pteAddr, encodePte(preset.pteFormat, ppn, rvFlags));
+        break;
+      }
+      prefix += `/${idx}`;
+      if (!tables.has(prefix)) {
+        const t = nextFrame++;
+        tables.set(prefix, t << BigInt(offsetBits));
+        mem.set(pteAddr, encodePte(preset.pteFormat, t, null));
+      }
+      table = tables.get(prefix);
+    }
+  }
+
+  const nib = Math.ceil(vaBits / 4);
+  return {
+    ptRoot: toHex(root),
+    physMem: "# PTE address: PTE value\n" +
+      [...mem].map(([a, v]) => `${toHex(a)}: ${toHex(v, Number(pteSize) * 2)}`).join("\n"),
+    addresses: vas.map(v => toHex(v, nib)).join("\n"),
+  };
+}
+
+// --- Inverted and hashed page tables ---
+
+// Inverted table: one entry per frame, indexed by PPN, holding (PID, VPN)
+function buildInvertedTable(ptByPid, numFrames) {
+  const frames = Array.from({ length: numFrames }, () => null);
+  for (const [pid, pageTable] of ptByPid) {
+    for (const [vpn, entry] of pageTable) {
+      if (entry.ppn >= BigInt(numFrames)) {
+        throw new Error(`Mapping VPN ${toHex(vpn)} → PPN ${toHex(entry.ppn)} is outside the ${numFrames}-entry inverted table.`);
+      }
+      const f = Number(entry.ppn);
+      if (frames[f]) {
+        throw new Error(`Frame ${f} holds both (${frames[f].pid},${toHex(frames[f].vpn)}) and (${pid},${toHex(vpn)}); an inverted table has one entry per frame, so it cannot share pages.`);
+      }
+      frames[f] = { pid, vpn, entry };
+    }
+  }
+  return frames;
+}
+
+// Linear search over the frames; every entry examined costs one memory reference
+function searchInverted(frames, pid, vpn) {
+  const probes = [];
+  for (let f = 0; f < frames.length; f++) {
+    const e = frames[f];
+    const match = !!e && e.pid === pid && e.vpn === vpn;
+    probes.push({ f, e, match });
+    if (match) return { probes, ppn: BigInt(f), entry: e.entry };
+  }
+  return { probes, ppn: null, entry: null };
+}
+
+function fmtInvertedSearch(search, pid, vpn) {
+  const shown = search.probes.length > 8
+    ? [...search.probes.slice(0, 3), null, ...search.probes.slice(-3)]
+    : search.probes;
+  const steps = shown.map(p => {
+    if (!p) return "…";
+    const who = p.e ? `(${p.e.pid},${toHex(p.e.vpn)})` : "(free)";
+    return `[${p.f}] ${who} ${p.match ? "✓" : "✗"}`;
+  });
+  const res = search.entry ? `→ PPN=${toHex(search.ppn)}` : "→ not found";
+  return `    inverted search for (PID ${pid}, VPN ${toHex(vpn)}): ${steps.join(", ")} ${res}  (${search.probes.length} memory refs)`;
+}
+
+// Hashed table: h = (VPN xor PID) mod buckets, collisions chained in insertion order
+function hashVpn(vpn, pid, buckets) {
+  return Number((vpn ^ BigInt(pid)) % BigInt(buckets));
+}
+
+function buildHashedTable(ptByPid, buckets) {
+  const table = Array.from({ length: buckets }, () => []);
+  for (const [pid, pageTable] of ptByPid) {
+    for (const [vpn, entry] of pageTable) {
+      table[hashVpn(vpn, pid, buckets)].push({ pid, vpn, entry });
+    }
+  }
+  return table;
+}
+
+function searchHashed(table, pid, vpn) {
+  const h = hashVpn(vpn, pid, table.length);
+  const chain = table[h];
+  const probes = [];
+  for (const e of chain) {
+    const match = e.pid === pid && e.vpn === vpn;
+    probes.push({ e, match });
+    if (match) return { h, probes, entry: e.entry };
+  }
+  // an empty bucket still costs the read of its head pointer
+  return { h, probes, entry: null };
+}
+
+function fmtHashedSearch(search, pid, vpn, buckets) {
+  const refs = Math.max(1, search.probes.length);
+  const chain = search.probes.length
+    ? search.probes.map(p => `(${p.e.pid},${toHex(p.e.vpn)}) ${p.match ? "✓" : "✗"}`).join(" → ")
+    : "empty";
+  return [
+    `    hash: h = (VPN ${toHex(vpn)} ⊕ PID ${pid}) mod ${buckets} = ${search.h}`,
+    `    chain[${search.h}]: ${chain} ${search.entry ? `→ PPN=${toHex(search.entry.ppn)}` : "→ not found"}  (${refs} memory refs)`,
+  ];
+}
+
+// --- Page-table size calculator ---
+
+const SIZE_UNITS = { K: 10n, M: 20n, G: 30n, T: 40n };
+
+// "4096", "0x1000", "64K", "4M", "1G"
+function parseSize(text, name) {
+  const m = (text ?? "").toString().trim().match(/^(0x[0-9a-f]+|\d+)\s*([KMGT])?i?B?$/i);
+  if (!m) throw new Error(`Invalid ${name}: "${text}"`);
+  const n = parseNumToBigInt(m[1], name);
+  return m[2] ? n << SIZE_UNITS[m[2].toUpperCase()] : n;
+}
+
+function fmtBytes(n) {
+  const units = ["B", "KiB", "MiB", "GiB", "TiB", "PiB", "EiB"];
+  let u = 0;
+  let v = n;
+  while (v >= 1024n && v % 1024n === 0n && u < units.length - 1) {
+    v /= 1024n;
+    u++;
+  }
+  return u === 0 ? `${n} B` : `${v} ${units[u]} (${n} B)`;
+}
+
+/**
+ * Mapped VA regions, one per line:
+ *  - "0x00000000 - 0x003FFFFF"  (end inclusive)
+ *  - "0x7FFF0000 +64K"          (start + size)
+ * Returns [{ start, end }] with end inclusive.
+ */
+function parseRegions(text, vaBits) {
+  const lines = (text ?? "")
+    .split(/\r?\n/)
+    .map(l => l.trim())
+    .filter(l => l && !l.startsWith("#"));
+
+  const limit = 1n << BigInt(vaBits);
+  return lines.map(line => {
+    let m = line.match(/^(\S+)\s*\+\s*(\S+)$/);
+    let start, end;
+    if (m) {
+      start = parseNumToBigInt(m[1], "region start");
+      const size = parseSize(m[2], "region size");
+      if (size <= 0n) throw new Error(`Region "${line}" is empty.`);
+      end = start + size - 1n;
+    } else {
+      m = line.match(/^(\S+)\s*(?:-|–|\.\.)\s*(\S+)$/);
+      if (!m) throw new Error(`Invalid region: "${line}" (use "start - end" or "start +size")`);
+      start = parseNumToBigInt(m[1], "region start");
+      end = parseNumToBigInt(m[2], "region end");
+    }
+    if (end < start) throw new Error(`Region "${line}" ends before it starts.`);
+    if (end >= limit) throw new Error(`Region "${line}" exceeds the ${vaBits}-bit address space.`);
+    return { start, end, text: line };
+  });
+}
+
+// Number of distinct integers covered by a set of inclusive BigInt ranges
+function countUnion(ranges) {
+  const sorted = [...ranges].sort((a, b) => (a.lo < b.lo ? -1 : a.lo > b.lo ? 1 : 0));
+  let total = 0n;
+  let cur = null;
+  for (const r of sorted) {
+    if (cur && r.lo <= cur.hi + 1n) {
+      if (r.hi > cur.hi) cur.hi = r.hi;
+    } else {
+      if (cur) total += cur.hi - cur.lo + 1n;
+      cur = { lo: r.lo, hi: r.hi };
+    }
+  }
+  if (cur) total += cur.hi - cur.lo + 1n;
+  return total;
+}
+
+/**
+ * Level split for the calculator: "auto" (each table fills one page), a level count
+ * ("3", split as evenly as possible with the extra bits at the top) or explicit widths ("9,9,9").
+ */
+function resolveCalcLevels(text, vpnBits, entriesPerPageBits) {
+  const t = (text ?? "auto").toString().trim().toLowerCase();
+  if (!t || t === "auto") {
+    const n = Math.ceil(vpnBits / entriesPerPageBits);
+    return [vpnBits - (n - 1) * entriesPerPageBits, ...Array(n - 1).fill(entriesPerPageBits)];
+  }
+  if (/^\d+$/.test(t)) {
+    const n = parseIntStrict(t, "levels");
+    if (n <= 0 || n > vpnBits) throw new Error(`levels must be between 1 and ${vpnBits}.`);
+    const base = Math.floor(vpnBits / n);
+    const extra = vpnBits % n;
+    return Array.from({ length: n }, (_, k) => base + (k < extra ? 1 : 0));
+  }
+  return parseLevelBits(t, vpnBits);
+}
+
+function calcPageTableSize(s, vaBits, paBits, pageSize, offsetBits, vpnBits) {
+  const pteSize = parseIntStrict(s.pteSize ?? "4", "pteSize");
+  if (!isPowerOfTwo(pteSize)) throw new Error("PTE size must be a power of two.");
+  if (pteSize > pageSize) throw new Error("PTE size cannot exceed the page size.");
+
+  const ppnBits = paBits - offsetBits;
+  const pteBits = pteSize * 8;
+  const flagBits = pteBits - ppnBits;
+  const perPageBits = log2IntPow2(pageSize / pteSize);
+  const levelBits = resolveCalcLevels(s.calcLevels, vpnBits, perPageBits);
+  const regions = parseRegions(s.calcRegions ?? "", vaBits);
+  const P = BigInt(pteSize);
+
+  const out = [];
+  out.push("VIRTUAL MEMORY: PAGE-TABLE SIZE CALCULATOR");
+  out.push("");
+  out.push("Parameters:");
+  out.push(`- VA bits: ${vaBits}, PA bits: ${paBits}, pageSize: ${pageSize} B, PTE size: ${pteSize} B`);
+  out.push(`- offsetBits = log2(${pageSize}) = ${offsetBits}`);
+  out.push(`- VPN bits = ${vaBits} - ${offsetBits} = ${vpnBits}`);
+  out.push(`- PPN bits = PA bits - offsetBits = ${paBits} - ${offsetBits} = ${ppnBits}`);
+
+  out.push("");
+  out.push("PTE layout:");
+  out.push(`- PTE = ${pteBits} bits = PPN ${ppnBits} bits + ${Math.max(0, flagBits)} bits for flags/reserved`);
+  if (flagBits < 0) out.push(`- WARNING: a ${pteSize}-byte PTE cannot hold a ${ppnBits}-bit PPN (${-flagBits} bits short)`);
+  out.push(`- largest PA a PTE can reach: 2^${Math.min(pteBits, ppnBits) + offsetBits} B`);
+
+  const flatEntries = 1n << BigInt(vpnBits);
+  out.push("");
+  out.push("Single-level (flat) page table:");
+  out.push(`- entries = 2^${vpnBits} = ${flatEntries}`);
+  out.push(`- size = 2^${vpnBits} × ${pteSize} B = ${fmtBytes(flatEntries * P)}`);
+  out.push(`- pages needed to hold it: ${(flatEntries * P + BigInt(pageSize) - 1n) / BigInt(pageSize)}`);
+
+  out.push("");
+  out.push("Hierarchical page table:");
+  out.push(`- PTEs per page = ${pageSize} / ${pteSize} = ${pageSize / pteSize} → ${perPageBits} index bits per page-sized table`);
+  out.push(`- levels needed (tables ≤ one page) = ceil(${vpnBits} / ${perPageBits}) = ${Math.ceil(vpnBits / perPageBits)}`);
+  out.push(`- split used (root → leaf): ${levelBits.join(" | ")}`);
+  levelBits.forEach((b, k) => {
+    const size = (1n << BigInt(b)) * P;
+    const fits = size <= BigInt(pageSize) ? "fits in one page" : `spans ${size / BigInt(pageSize)} pages`;
+    out.push(`- level ${k + 1}: ${b} bits → ${2 ** b} entries × ${pteSize} B = ${fmtBytes(size)} per table (${fits})`);
+  });
+
+  if (regions.length === 0) {
+    out.push("");
+    out.push("Add mapped VA regions to compute the size of a sparse address space.");
+    return out.join("\n");
+  }
+
+  // A table at level k is selected by the VPN bits above its own index field
+  const vpnRanges = regions.map(r => ({ lo: r.start >> BigInt(offsetBits), hi: r.end >> BigInt(offsetBits) }));
+  out.push("");
+  out.push("Mapped regions:");
+  regions.forEach((r, i) => {
+    const pages = vpnRanges[i].hi - vpnRanges[i].lo + 1n;
+    out.push(`- ${toHex(r.start)} – ${toHex(r.end)}  (${pages} pages)`);
+  });
+
+  out.push("");
+  out.push("Tables allocated:");
+  let below = vpnBits;
+  let totalTables = 0n;
+  let totalBytes = 0n;
+  levelBits.forEach((b, k) => {
+    const shift = BigInt(below);
+    const tables = countUnion(vpnRanges.map(r => ({ lo: r.lo >> shift, hi: r.hi >> shift })));
+    const size = (1n << BigInt(b)) * P;
+    below -= b;
+    totalTables += tables;
+    totalBytes += tables * size;
+    out.push(`- level ${k + 1}: ${tables} table(s) × ${fmtBytes(size)} = ${fmtBytes(tables * size)}`);
+  });
+
+  const mappedPages = countUnion(vpnRanges);
+  const mappedBytes = mappedPages * BigInt(pageSize);
+  out.push("");
+  out.push("Summary:");
+  out.push(`- mapped pages: ${mappedPages} = ${fmtBytes(mappedBytes)}`);
+  out.push(`- page tables: ${totalTables}, total ${fmtBytes(totalBytes)}`);
+  out.push(`- overhead vs mapped memory: ${(Number(totalBytes * 10000n / mappedBytes) / 100).toFixed(2)}%`);
+  out.push(`- flat table would need ${fmtBytes(flatEntries * P)}`);
+  return out.join("\n");
+}
+
+// --- Demand paging / page replacement ---
+
+const PAGING_POLICIES = [
+  { id: "FIFO", label: "FIFO" },
+  { id: "LRU", label: "LRU" },
+  { id: "OPT", label: "OPT (Belady)" },
+  { id: "CLOCK", label: "Clock" },
+  { id: "SECOND", label: "Second chance (FIFO queue)" },
+  { id: "NRU", label: "NRU (R/M classes)" },
+];
+
+/**
+ * Accesses for the VM trace. An optional prefix gives the access type R/W/X and,
+ * optionally, the privilege U/S: "W 0x1004", "XU 0x2000", "W:3".
+ *  - refMode "va":  one hex virtual address per line
+ *  - refMode "vpn": page numbers, separated by spaces, commas or newlines ("7 0 1 2 0 3")
+ * Returns [{ op, mode, raw, va, invalid }] — page numbers are turned into VAs with offset 0;
+ * mode is null when not given, invalid is set when the address does not fit in vaBits.
+ * A line "switch N" (optionally "switch N <root>" for multi-level tables) yields { switchTo, root }.
+ */
+function parseVmAccesses(text, refMode, vaBits, offsetBits) {
+  const lines = (text ?? "")
+    .split(/\r?\n/)
+    .map(l => l.trim())
+    .filter(l => l && !l.startsWith("#"));
+
+  const withOp = (tok) => {
+    const m = tok.match(/^([RWX])([US])?\s*[:\s]\s*(.+)$/i);
+    if (!m) return { op: "R", mode: null, rest: tok };
+    return { op: m[1].toUpperCase(), mode: m[2] ? m[2].toUpperCase() : null, rest: m[3].trim() };
+  };
+  const mk = (op, mode, raw) => ({ op, mode, raw, va: clampBigIntToBits(raw, vaBits), invalid: raw >> BigInt(vaBits) !== 0n });
+
+  return lines.flatMap(l => {
+    const sw = l.match(/^switch\s*[:\s]\s*(\d+)(?:\s+(\S+))?$/i);
+    if (sw) return [{ switchTo: Number(sw[1]), root: sw[2] ? parseNumToBigInt(sw[2], "root table address") : null }];
+    if (refMode === "vpn") {
+      return l.split(/[\s,]+/).filter(Boolean).map(t => {
+        const { op, mode, rest } = withOp(t);
+        return mk(op, mode, parseNumToBigInt(rest, "page number") << BigInt(offsetBits));
+      });
+    }
+    const { op, mode, rest } = withOp(l);
+    return [mk(op, mode, parseHexToBigInt(rest))];
+  });
+}
+
+// --- Permissions and accessed/dirty bits ---
+
+/**
+ * Check an access against the flags of its page. Flags without any of R/W/X leave the
+ * access type unchecked; a user-mode access additionally needs U unless the page has no
+ * protection bits at all (A/D are status bits set by the simulator, not permissions).
+ * Supervisor may use every page. Returns null when allowed, otherwise the reason.
+ */
+function checkPermission(flags, op, mode) {
+  const f = (flags ?? "").toUpperCase();
+  if (/[RWX]/.test(f) && !f.includes(op)) return `${op} not permitted (flags ${flags})`;
+  if (mode === "U" && /[RWXU]/.test(f) && !f.includes("U")) return `user access to supervisor page (flags ${flags})`;
+  return null;
+}
+
+// Set A (and D on writes): in place for the 6-char walk format "RWXUAD", otherwise appended
+function markAccessed(flags, isWrite) {
+  const set = (f, letter, pos) => {
+    if (/^[R-][W-][X-][U-][A-][D-]$/.test(f)) return f.slice(0, pos) + letter + f.slice(pos + 1);
+    return f.includes(letter) ? f : f + letter;
+  };
+  const f = set(flags ?? "", "A", 4);
+  return isWrite ? set(f, "D", 5) : f;
+}
+
+// Accessed/dirty bit positions in a PTE
+function pteAdBits(format) {
+  return format === "x86" ? { a: 5n, d: 6n } : { a: 6n, d: 7n };
+}
+
+function initPager(policy, numFrames) {
+  return {
+    policy,
+    frames: Array.from({ length: numFrames }, () => null), // {vpn, loadedAt, lastUsed, ref, dirty}
+    hand: 0,
+    seq: 0, // load order; second chance re-queues a page by giving it a new number
+  };
+}
+
+function pagerTouch(pager, frame, time, isWrite) {
+  const f = pager.frames[frame];
+  f.lastUsed = time;
+  f.ref = true;
+  if (isWrite) f.dirty = true;
+}
+
+function pagerLoad(pager, frame, vpn, time, isWrite) {
+  pager.frames[frame] = { vpn, loadedAt: ++pager.seq, lastUsed: time, ref: true, dirty: isWrite };
+  if (pager.policy === "CLOCK") pager.hand = (frame + 1) % pager.frames.length;
+}
+
+// Pick the frame to evict; Clock/second chance clear R bits as they pass them.
+function pagerVictim(pager, futureVpns, pos) {
+  const frames = pager.frames;
+  const free = frames.findIndex(f => f === null);
+  if (free !== -1) return free;
+
+  const argMin = (key) => frames.reduce((best, f, i) => (key(f) < key(frames[best]) ? i : best), 0);
+
+  switch (pager.policy) {
+    case "LRU":
+      return argMin(f => f.lastUsed);
+    case "OPT": {
+      let best = 0;
+      let bestDist = -1;
+      frames.forEach((f, i) => {
+        const next = futureVpns.indexOf(f.vpn, pos + 1);
+        const dist = next === -1 ? Infinity : next;
+        if (dist > bestDist || (dist === bestDist && f.loadedAt < frames[best].loadedAt)) {
+          best = i;
+          bestDist = dist;
+        }
+      });
+      return best;
+    }
+    case "CLOCK": {
+      for (;;) {
+        const f = frames[pager.hand];
+        if (!f.ref) return pager.hand;
+        f.ref = false;
+        pager.hand = (pager.hand + 1) % frames.length;
+      }
+    }
+    case "SECOND": {
+      for (;;) {
+        const oldest = argMin(f => f.loadedAt);
+        const f = frames[oldest];
+        if (!f.ref) return oldest;
+        // second chance: clear R and move to the back of the queue
+        f.ref = false;
+        f.loadedAt = ++pager.seq;
+      }
+    }
+    case "NRU":
+      return argMin(f => (f.ref ? 2 : 0) + (f.dirty ? 1 : 0));
+    default: // FIFO
+      return argMin(f => f.loadedAt);
+  }
+}
+
+/**
+ * Classic reference-string table: one row per frame, one column per reference.
+ * Faulting columns are marked with "F" and the evicted page is listed below.
+ */
+function fmtFrameTable(history, numFrames, fmtPage) {
+  const cols = history.map(h => ({
+    ref: h.vpn == null ? "!" : fmtPage(h.vpn),
+    frames: h.frames.map(v => (v == null ? "" : fmtPage(v))),
+    fault: h.fault ? "F" : "",
+    evict: h.evicted == null ? "" : fmtPage(h.evicted),
+  }));
+  const w = Math.max(2, ...cols.flatMap(c => [c.ref.length, c.evict.length, ...c.frames.map(x => x.length)]));
+  const head = 7;
+  const row = (label, cells) => (label.padEnd(head, " ") + "| " + cells.map(c => c.padStart(w, " ")).join(" ")).trimEnd();
+
+  const out = [];
+  out.push(row("time", history.map((_, i) => String(i + 1))));
+  out.push(row("ref", cols.map(c => c.ref)));
+  out.push("-".repeat(head) + "+" + "-".repeat(cols.length * (w + 1)));
+  for (let f = 0; f < numFrames; f++) out.push(row(`F${f}`, cols.map(c => c.frames[f])));
+  out.push("-".repeat(head) + "+" + "-".repeat(cols.length * (w + 1)));
+  out.push(row("fault", cols.map(c => c.fault)));
+  out.push(row("evict", cols.map(c => c.evict)));
+  return out;
+}
+
 export default {
   id: "vm",
   title: "Virtual Memory: VA → PA + TLB (LRU)",
   area: "Operating Systems",
-  tags: ["vm", "page table", "vpn", "ppn", "tlb", "offset", "LRU"],
+  tags: ["vm", "page table", "vpn", "ppn", "tlb", "offset", "LRU", "multi-level", "page walk", "page replacement", "page fault", "permissions", "protection fault", "dirty bit", "VIPT", "PIPT", "AMAT", "page table size", "inverted page table", "hashed page table", "ASID", "context switch", "FIFO", "OPT", "clock", "Sv32", "Sv39", "x86-64"],
 
   notesHtml: `
     <p><b>Split:</b> VA = VPN || offset, hvor offsetBits = log2(pageSize).</p>
     <p><b>Page table:</b> VPN → PPN (+ flags).</p>
     <p><b>Physical address:</b> PA = (PPN &lt;&lt; offsetBits) | offset.</p>
     <p><b>TLB:</b> cache over VPN→PPN (typisk set-assoc + LRU). TLB hit undgår page table lookup.</p>
+    <p><b>Multi-level:</b> VPN deles i felter (fx Sv32: VPN[1]=10 | VPN[0]=10). PTE-adresse = tabelbase + index × PTE-størrelse; ikke-leaf PTE giver næste tabels base = PPN × pageSize. Et leaf over sidste niveau er en superpage.</p>
+    <p><b>Inverted/hashed:</b> en inverted page table har én entry pr. frame med (PID, VPN); opslag søger tabellen igennem, og indekset på match er PPN. En hashed page table hasher VPN (her (VPN ⊕ PID) mod buckets) og følger kæden ved kollisioner. Hvert læst element koster en memory reference.</p>
+    <p><b>Processer:</b> hver PID har sin egen page table (<code>pid 2</code> i mappings), og <code>switch 2</code> i trace skifter proces. TLB'en flushes enten ved hvert skift, eller entries tagges med ASID, så de overlever skiftet men kun matcher for deres egen proces. To processer kan dele en frame ved at mappe til samme PPN.</p>
+    <p><b>Page-table størrelse:</b> flat tabel = 2^VPN-bits × PTE-størrelse. En side rummer pageSize/PTE-størrelse PTE'er, så antal niveauer = ceil(VPN-bits / log2(pageSize/PTE)). I en hierarkisk tabel allokeres kun tabeller for de områder, der er mappet.</p>
+    <p><b>TLB → page table → cache:</b> PIPT slår op med PA efter oversættelsen (TLB + L1 i serie). VIPT tager index fra VA og tag fra PA, så TLB og L1 kører parallelt: max(TLB, L1). Hvis cacheSize/assoc &gt; pageSize kommer index-bits fra VPN'en, og samme fysiske blok kan ligge i to sets (synonym/alias).</p>
+    <p><b>Permissions:</b> hver access er R/W/X og U/S (fx <code>WU 0x1004</code>). Resultat: OK, protection fault (flag mangler, eller U-access til en side uden U), page fault (not present) eller invalid address (VA større end vaBits). En vellykket access sætter A, en write sætter også D.</p>
+    <p><b>Page replacement:</b> med et fast antal frames giver en ikke-resident side et page fault. FIFO smider den ældste ud, LRU den mindst nyligt brugte, OPT den der bruges længst ude i fremtiden, Clock/second chance giver sider med R=1 en chance til, og NRU vælger laveste klasse 2·R + M. En evicted side fjernes fra page table og TLB (shootdown).</p>
+    <p><b>PTE bits:</b> RISC-V: V=0, R=1, W=2, X=3, U=4, A=6, D=7, PPN fra bit 10. x86-64: P=0, R/W=1, U/S=2, A=5, D=6, PS=7, frame fra bit 12, NX=63.</p>
   `,
 
   render(container, ctx) {
@@ -190,6 +867,38 @@ export default {
       showBinary: s.showBinary ?? false,
       showTlbState: s.showTlbState ?? true,
 
+      refMode: s.refMode ?? "va",
+      privMode: s.privMode ?? "S",
+      enablePaging: s.enablePaging ?? false,
+      numFrames: s.numFrames ?? "3",
+      pagingPolicy: s.pagingPolicy ?? "FIFO",
+      nruReset: s.nruReset ?? "4",
+
+      enableCache: s.enableCache ?? false,
+      cacheIndexing: s.cacheIndexing ?? "PIPT",
+      cacheSize: s.cacheSize ?? "4096",
+      cacheBlock: s.cacheBlock ?? "64",
+      cacheAssoc: s.cacheAssoc ?? "1",
+      tlbLatency: s.tlbLatency ?? "1",
+      l1Latency: s.l1Latency ?? "1",
+      memLatency: s.memLatency ?? "100",
+
+      calcMode: s.calcMode ?? false,
+      calcLevels: s.calcLevels ?? "auto",
+      calcRegions: s.calcRegions ?? "# start - end (inclusive) or start +size\n0x00000000 +64K\n0x00400000 - 0x007FFFFF\n0xBFFF0000 +64K",
+
+      ptMode: s.ptMode ?? "flat",
+      pid: s.pid ?? "0",
+      tlbSwitchMode: s.tlbSwitchMode ?? "asid",
+      invFrames: s.invFrames ?? "",
+      hashBuckets: s.hashBuckets ?? "8",
+      ptPreset: s.ptPreset ?? "sv32",
+      ptLevels: s.ptLevels ?? "10,10",
+      pteSize: s.pteSize ?? "4",
+      pteFormat: s.pteFormat ?? "riscv",
+      ptRoot: s.ptRoot ?? buildWalkExample(PT_PRESETS.sv32).ptRoot,
+      physMem: s.physMem ?? buildWalkExample(PT_PRESETS.sv32).physMem,
+
       // NEW: table size and init rows
       initRowsN: s.initRowsN ?? String(initRowsN),
       ptInitRows:
@@ -239,12 +948,123 @@ export default {
 
     const initRowsNInput = el("input", { class: "search", value: state.initRowsN, inputmode: "numeric" });
 
+    const refMode = el("select", { class: "search" }, [
+      el("option", { value: "va", text: "Virtual addresses (hex, one per line)" }),
+      el("option", { value: "vpn", text: "Page numbers (reference string, e.g. 7 0 1 2 0 3)" }),
+    ]);
+    refMode.value = state.refMode;
+
+    const privMode = el("select", { class: "search" }, [
+      el("option", { value: "S", text: "Supervisor (S)" }),
+      el("option", { value: "U", text: "User (U)" }),
+    ]);
+    privMode.value = state.privMode;
+
+    const enablePaging = el("input", { type: "checkbox" });
+    enablePaging.checked = !!state.enablePaging;
+    const numFrames = el("input", { class: "search", value: state.numFrames, inputmode: "numeric" });
+    const pagingPolicy = el("select", { class: "search" },
+      PAGING_POLICIES.map(p => el("option", { value: p.id, text: p.label }))
+    );
+    pagingPolicy.value = state.pagingPolicy;
+    const nruReset = el("input", { class: "search", value: state.nruReset, inputmode: "numeric" });
+
+    const btnRefString = el("button", { class: "btn btn-ghost", text: "Insert reference string" });
+    btnRefString.addEventListener("click", () => {
+      refMode.value = "vpn";
+      addresses.value = "7 0 1 2 0 3 0 4 2 3 0 3 2 1 2 0 1 7 0 1";
+      mappings.value = "# VPN  PPN  FLAGS(optional)";
+      enablePaging.checked = true;
+      ptMode.value = "flat";
+      persist(true);
+    });
+
+    const calcMode = el("input", { type: "checkbox" });
+    calcMode.checked = !!state.calcMode;
+    const calcLevels = el("input", { class: "search", value: state.calcLevels });
+    const calcRegions = el("textarea", { class: "search", rows: "4" });
+    calcRegions.value = state.calcRegions;
+    calcRegions.style.fontFamily = "var(--mono)";
+    calcRegions.style.whiteSpace = "pre";
+    calcRegions.style.resize = "vertical";
+
+    const enableCache = el("input", { type: "checkbox" });
+    enableCache.checked = !!state.enableCache;
+    const cacheIndexing = el("select", { class: "search" }, [
+      el("option", { value: "PIPT", text: "PIPT (physically indexed, physically tagged)" }),
+      el("option", { value: "VIPT", text: "VIPT (virtually indexed, physically tagged)" }),
+    ]);
+    cacheIndexing.value = state.cacheIndexing;
+    const cacheSize = el("input", { class: "search", value: state.cacheSize, inputmode: "numeric" });
+    const cacheBlock = el("input", { class: "search", value: state.cacheBlock, inputmode: "numeric" });
+    const cacheAssoc = el("input", { class: "search", value: state.cacheAssoc, inputmode: "numeric" });
+    const tlbLatency = el("input", { class: "search", value: state.tlbLatency, inputmode: "numeric" });
+    const l1Latency = el("input", { class: "search", value: state.l1Latency, inputmode: "numeric" });
+    const memLatency = el("input", { class: "search", value: state.memLatency, inputmode: "numeric" });
+
+    const ptMode = el("select", { class: "search" }, [
+      el("option", { value: "flat", text: "Flat page table (VPN → PPN list)" }),
+      el("option", { value: "multi", text: "Multi-level page table walk" }),
+      el("option", { value: "inverted", text: "Inverted page table (one entry per frame)" }),
+      el("option", { value: "hashed", text: "Hashed page table (chaining)" }),
+    ]);
+    ptMode.value = state.ptMode;
+    const pid = el("input", { class: "search", value: state.pid, inputmode: "numeric" });
+    const tlbSwitchMode = el("select", { class: "search" }, [
+      el("option", { value: "asid", text: "Tag entries with ASID (survive switches)" }),
+      el("option", { value: "flush", text: "Flush on every switch" }),
+    ]);
+    tlbSwitchMode.value = state.tlbSwitchMode;
+    const invFrames = el("input", { class: "search", value: state.invFrames, inputmode: "numeric", placeholder: "auto (max PPN + 1)" });
+    const hashBuckets = el("input", { class: "search", value: state.hashBuckets, inputmode: "numeric" });
+
+    const ptPreset = el("select", { class: "search" }, [
+      ...Object.entries(PT_PRESETS).map(([id, p]) => el("option", { value: id, text: p.label })),
+      el("option", { value: "custom", text: "Custom" }),
+    ]);
+    ptPreset.value = state.ptPreset;
+    const ptLevels = el("input", { class: "search", value: state.ptLevels });
+    const pteSize = el("select", { class: "search" }, [
+      el("option", { value: "4", text: "4 B" }),
+      el("option", { value: "8", text: "8 B" }),
+    ]);
+    pteSize.value = state.pteSize;
+    const pteFormat = el("select", { class: "search" }, [
+      el("option", { value: "riscv", text: "RISC-V (V R W X U G A D | PPN<<10)" }),
+      el("option", { value: "x86", text: "x86-64 (P RW US .. A D PS | frame<<12, NX)" }),
+    ]);
+    pteFormat.value = state.pteFormat;
+    const ptRoot = el("input", { class: "search", value: state.ptRoot });
+    const physMem = el("textarea", { class: "search", rows: "8" });
+    physMem.value = state.physMem;
+    physMem.style.fontFamily = "var(--mono)";
+    physMem.style.whiteSpace = "pre";
+    physMem.style.resize = "vertical";
+
+    const btnPreset = el("button", { class: "btn btn-ghost", text: "Load preset + example" });
+    btnPreset.addEventListener("click", () => {
+      const p = PT_PRESETS[ptPreset.value];
+      if (!p) return;
+      const ex = buildWalkExample(p);
+      vaBits.value = p.vaBits;
+      paBits.value = p.paBits;
+      pageSize.value = p.pageSize;
+      ptLevels.value = p.ptLevels;
+      pteSize.value = p.pteSize;
+      pteFormat.value = p.pteFormat;
+      ptRoot.value = ex.ptRoot;
+      physMem.value = ex.physMem;
+      addresses.value = ex.addresses;
+      ptMode.value = "multi";
+      persist(true);
+    });
+
     const btnExample = el("button", { class: "btn btn-ghost", text: "Insert example" });
     btnExample.addEventListener("click", () => {
       addresses.value =
-        "0x00001004\n0x00001008\n0x00002000\n0x00003010\n0x00001004\n0x00002004";
+        "0x00001004\n0x00001008\n0x00002000\n0x00003010\n0x00001004\n0x00002004\nRU 0x00004000\nRU 0x00004008";
       mappings.value =
-        "# VPN  PPN  FLAGS(optional)\n0x1 0xA RWX\n0x2 0xB R--\n0x3 0xA RW-";
+        "# VPN  PPN  FLAGS(optional)\n0x1 0xA RWX\n0x2 0xB R--\n0x3 0xA RW-\n0x4 0xC";
 
       // fill a few table rows as demo
       state.ptInitRows[0] = { vpn: "0x1", ppn: "0xA", flags: "RWX" };
@@ -325,6 +1145,17 @@ export default {
       mkLabel("Page size (bytes, typisk 4096)"),
       pageSize,
 
+      el("div", { style: "display:flex; gap:12px; margin-top:12px; align-items:center;" }, [
+        el("label", { style: "display:flex; gap:8px; align-items:center; color: var(--muted);" }, [
+          calcMode,
+          el("span", { text: "Page-table size calculator (uses PTE size below, ignores the trace)" }),
+        ]),
+      ]),
+      mkLabel("Levels: auto, a count (e.g. 3) or bits per level (e.g. 9,9,9)"),
+      calcLevels,
+      mkLabel("Mapped VA regions: start - end (inclusive) or start +size (K/M/G)"),
+      calcRegions,
+
       el("div", { style: "display:flex; gap:12px; margin-top:10px; align-items:center;" }, [
         el("label", { style: "display:flex; gap:8px; align-items:center; color: var(--muted);" }, [
           enableTLB,
@@ -344,17 +1175,70 @@ export default {
       tlbEntries,
       mkLabel("TLB associativity (e.g. 1/2/4)"),
       tlbAssoc,
+      mkLabel("TLB on context switch (trace line: switch N)"),
+      tlbSwitchMode,
+
+      el("div", { style: "display:flex; gap:12px; margin-top:12px; align-items:center;" }, [
+        el("label", { style: "display:flex; gap:8px; align-items:center; color: var(--muted);" }, [
+          enablePaging,
+          el("span", { text: "Demand paging with page replacement (flat page table)" }),
+        ]),
+      ]),
+      el("div", { style: "display:grid; grid-template-columns: repeat(3, 1fr); gap:8px;" }, [
+        el("div", {}, [mkLabel("Physical frames"), numFrames]),
+        el("div", {}, [mkLabel("Replacement policy"), pagingPolicy]),
+        el("div", {}, [mkLabel("NRU: clear R bits every N refs (0 = never)"), nruReset]),
+      ]),
 
+      el("div", { style: "display:grid; grid-template-columns: repeat(2, 1fr); gap:8px;" }, [
+        el("div", {}, [mkLabel("Trace format"), refMode]),
+        el("div", {}, [mkLabel("Default privilege (when no U/S prefix)"), privMode]),
+      ]),
       el("div", { style: "display:flex; justify-content:space-between; align-items:center; margin-top:12px;" }, [
-        mkLabel("Virtual addresses (hex, one per line)"),
+        mkLabel("Virtual addresses / page numbers (optional R/W/X + U/S prefix, e.g. W 0x1004, XU 0x2000)"),
         el("div", { style: "display:flex; gap:8px; align-items:center;" }, [
           btnExample,
+          btnRefString,
           btnClearInit,
         ]),
       ]),
       addresses,
 
-      mkLabel("Page table mappings (VPN→PPN, optional flags). Lines like: `0x1 0xA RWX`"),
+      el("div", { style: "display:flex; gap:12px; margin-top:12px; align-items:center;" }, [
+        el("label", { style: "display:flex; gap:8px; align-items:center; color: var(--muted);" }, [
+          enableCache,
+          el("span", { text: "Look up the translated address in an L1 cache (end-to-end cost)" }),
+        ]),
+      ]),
+      el("div", { style: "display:grid; grid-template-columns: repeat(4, 1fr); gap:8px;" }, [
+        el("div", {}, [mkLabel("Indexing"), cacheIndexing]),
+        el("div", {}, [mkLabel("Cache size (B)"), cacheSize]),
+        el("div", {}, [mkLabel("Block size (B)"), cacheBlock]),
+        el("div", {}, [mkLabel("Associativity"), cacheAssoc]),
+        el("div", {}, [mkLabel("TLB latency"), tlbLatency]),
+        el("div", {}, [mkLabel("L1 hit latency"), l1Latency]),
+        el("div", {}, [mkLabel("Memory latency"), memLatency]),
+      ]),
+
+      mkLabel("Page table mode"),
+      ptMode,
+      el("div", { style: "display:grid; grid-template-columns: repeat(3, 1fr); gap:8px;" }, [
+        el("div", {}, [mkLabel("Initial PID"), pid]),
+        el("div", {}, [mkLabel("Inverted table entries (frames)"), invFrames]),
+        el("div", {}, [mkLabel("Hash buckets"), hashBuckets]),
+      ]),
+      el("div", { style: "display:flex; gap:8px; align-items:center; margin-top:8px;" }, [ptPreset, btnPreset]),
+      el("div", { style: "display:grid; grid-template-columns: repeat(3, 1fr); gap:8px;" }, [
+        el("div", {}, [mkLabel("Index bits per level (root → leaf)"), ptLevels]),
+        el("div", {}, [mkLabel("PTE size"), pteSize]),
+        el("div", {}, [mkLabel("PTE format"), pteFormat]),
+      ]),
+      mkLabel("Root table physical address (satp.PPN × pageSize / CR3)"),
+      ptRoot,
+      mkLabel("Physical memory: PTE address → PTE value (multi-level mode)"),
+      physMem,
+
+      mkLabel("Page table mappings (VPN→PPN, optional flags). Lines like: `0x1 0xA RWX`; `pid 2` starts another process (flat, inverted and hashed modes)"),
       mappings,
 
       el("div", { style: "display:flex; gap:10px; align-items:center; margin-top:12px;" }, [
@@ -387,6 +1271,34 @@ export default {
         tlbAssoc: tlbAssoc.value,
         showBinary: showBinary.checked,
         showTlbState: showTlbState.checked,
+        refMode: refMode.value,
+        privMode: privMode.value,
+        enablePaging: enablePaging.checked,
+        numFrames: numFrames.value,
+        pagingPolicy: pagingPolicy.value,
+        nruReset: nruReset.value,
+        calcMode: calcMode.checked,
+        calcLevels: calcLevels.value,
+        calcRegions: calcRegions.value,
+        enableCache: enableCache.checked,
+        cacheIndexing: cacheIndexing.value,
+        cacheSize: cacheSize.value,
+        cacheBlock: cacheBlock.value,
+        cacheAssoc: cacheAssoc.value,
+        tlbLatency: tlbLatency.value,
+        l1Latency: l1Latency.value,
+        memLatency: memLatency.value,
+        ptMode: ptMode.value,
+        pid: pid.value,
+        tlbSwitchMode: tlbSwitchMode.value,
+        invFrames: invFrames.value,
+        hashBuckets: hashBuckets.value,
+        ptPreset: ptPreset.value,
+        ptLevels: ptLevels.value,
+        pteSize: pteSize.value,
+        pteFormat: pteFormat.value,
+        ptRoot: ptRoot.value,
+        physMem: physMem.value,
         initRowsN: initRowsNInput.value,
         ptInitRows: ptInitRows,
         tlbInitRows: tlbInitRows,
@@ -397,10 +1309,10 @@ export default {
       if (forceRerender && typeof ctx.requestRender === "function") ctx.requestRender();
     }
 
-    [vaBits, paBits, pageSize, addresses, mappings, tlbEntries, tlbAssoc, initRowsNInput].forEach(x =>
+    [vaBits, paBits, pageSize, addresses, mappings, tlbEntries, tlbAssoc, initRowsNInput, ptLevels, ptRoot, physMem, pid, invFrames, hashBuckets, numFrames, nruReset, calcLevels, calcRegions, cacheSize, cacheBlock, cacheAssoc, tlbLatency, l1Latency, memLatency].forEach(x =>
       x.addEventListener("input", () => persist(false))
     );
-    [enableTLB, showBinary, showTlbState].forEach(x => x.addEventListener("change", () => persist(false)));
+    [enableTLB, showBinary, showTlbState, ptMode, ptPreset, pteSize, pteFormat, refMode, privMode, enablePaging, pagingPolicy, enableCache, cacheIndexing, calcMode, tlbSwitchMode].forEach(x => x.addEventListener("change", () => persist(false)));
   },
 
   compute(ctx) {
@@ -418,22 +1330,84 @@ export default {
     const vpnBits = vaBits - offsetBits;
     if (vpnBits <= 0) throw new Error("Invalid split: vpnBits <= 0 (pageSize too large for VA).");
 
+    if (s.calcMode) return calcPageTableSize(s, vaBits, paBits, pageSize, offsetBits, vpnBits);
+
     const enableTLB = !!s.enableTLB;
     const showBinary = !!s.showBinary;
     const showTlbState = !!s.showTlbState;
+    const ptMode = ["multi", "inverted", "hashed"].includes(s.ptMode) ? s.ptMode : "flat";
+    const multiLevel = ptMode === "multi";
+    const paging = !!s.enablePaging;
+    const privMode = s.privMode === "U" ? "U" : "S";
+    const withCache = !!s.enableCache;
+    const refMode = s.refMode === "vpn" ? "vpn" : "va";
+
+    const accesses = parseVmAccesses(s.addresses ?? "", refMode, vaBits, offsetBits);
+    const numAccesses = accesses.filter(x => x.switchTo == null).length;
+    if (numAccesses === 0) throw new Error("Provide at least one virtual address.");
+    const hasSwitches = numAccesses !== accesses.length;
+    const tlbFlushOnSwitch = s.tlbSwitchMode === "flush";
+
+    // Page tables per process from textarea + init table rows (flat mode), or a walk config (multi-level mode)
+    const pid = parseIntStrict(s.pid ?? "0", "PID");
+    const ptByPid = parseProcessMappings(s.mappings ?? "", pid);
+    applyPtInitRows(ptByPid.get(pid), s.ptInitRows ?? []);
+    let curPid = pid;
+    let pageTable = ptByPid.get(pid);
+    const tableFor = (p) => {
+      if (!ptByPid.has(p)) ptByPid.set(p, new Map());
+      return ptByPid.get(p);
+    };
 
-    const addrLines = (s.addresses ?? "")
-      .split(/\r?\n/)
-      .map(x => x.trim())
-      .filter(x => x.length > 0);
-
-    if (addrLines.length === 0) throw new Error("Provide at least one virtual address.");
-
-    const addrs = addrLines.map(parseHexToBigInt).map(a => clampBigIntToBits(a, vaBits));
+    // Demand paging: a fixed number of frames (PPN 0..numFrames-1); mappings in the flat table are resident at start
+    let pager = null;
+    let numFrames = 0;
+    if (paging) {
+      if (ptMode !== "flat") throw new Error("Page replacement works on the flat page table; switch page table mode to flat.");
+      if (hasSwitches || ptByPid.size > 1) throw new Error("Page replacement supports a single process; remove the switch lines and pid sections.");
+      numFrames = parseIntStrict(s.numFrames ?? "3", "numFrames");
+      if (numFrames <= 0) throw new Error("numFrames must be > 0");
+      pager = initPager(s.pagingPolicy ?? "FIFO", numFrames);
+      for (const [vpn, entry] of pageTable) {
+        const frame = Number(entry.ppn);
+        if (entry.ppn >= BigInt(numFrames)) {
+          throw new Error(`Mapping VPN ${toHex(vpn)} → PPN ${toHex(entry.ppn)} is outside the ${numFrames} frames.`);
+        }
+        if (pager.frames[frame]) throw new Error(`Frame ${frame} is mapped twice in the initial page table.`);
+        pagerLoad(pager, frame, vpn, 0, false);
+      }
+    }
+    const futureVpns = accesses.map(x => (x.switchTo == null ? x.va >> BigInt(offsetBits) : null));
+
+    // Alternative translation structures built from the same VPN → PPN mappings (all processes)
+    let inverted = null;
+    let hashed = null;
+    if (ptMode === "inverted") {
+      const maxPpn = [...ptByPid.values()].flatMap(t => [...t.values()]).reduce((m, e) => (e.ppn > m ? e.ppn : m), -1n);
+      const n = (s.invFrames ?? "").toString().trim() ? parseIntStrict(s.invFrames, "inverted table size") : Number(maxPpn + 1n);
+      if (n <= 0) throw new Error("The inverted table needs at least one frame (add mappings or set its size).");
+      inverted = buildInvertedTable(ptByPid, n);
+    } else if (ptMode === "hashed") {
+      const buckets = parseIntStrict(s.hashBuckets ?? "8", "hash buckets");
+      if (buckets <= 0) throw new Error("hash buckets must be > 0");
+      hashed = buildHashedTable(ptByPid, buckets);
+    }
 
-    // Page table from textarea + init table rows
-    const pageTable = parseMappings(s.mappings ?? "");
-    applyPtInitRows(pageTable, s.ptInitRows ?? []);
+    let walkCfg = null;
+    const baseRoot = multiLevel ? parseNumToBigInt(s.ptRoot ?? "0x1000", "root table address") : 0n;
+    if (multiLevel) {
+      const pteSize = parseIntStrict(s.pteSize ?? "4", "pteSize");
+      if (pteSize !== 4 && pteSize !== 8) throw new Error("PTE size must be 4 or 8 bytes.");
+      walkCfg = {
+        levelBits: parseLevelBits(s.ptLevels ?? "10,10", vpnBits),
+        offsetBits,
+        root: baseRoot,
+        pteSize,
+        format: s.pteFormat === "x86" ? "x86" : "riscv",
+        mem: parsePhysMem(s.physMem ?? ""),
+        paBits,
+      };
+    }
 
     // --- TLB parameters (optional) ---
     let tlbSets = null;
@@ -459,6 +1433,15 @@ export default {
 
       // NEW: apply initial TLB contents from table
       applyTlbInitRows(tlbSets, s.tlbInitRows ?? [], 0);
+      tlbSets.forEach(setLines => setLines.forEach(ln => { ln.asid = pid; }));
+
+      // With demand paging the TLB may only hold resident pages
+      if (pager) {
+        tlbSets.forEach((setLines, setIdx) => setLines.forEach(ln => {
+          const vpn = (ln.tag << BigInt(tlbIndexBits)) | BigInt(setIdx);
+          if (ln.valid && !pageTable.has(vpn)) ln.valid = false;
+        }));
+      }
     }
 
     // --- simulate ---
@@ -467,18 +1450,93 @@ export default {
     let tlbMisses = 0;
     let ptHits = 0;
     let ptMisses = 0;
+    let walkRefs = 0;
+    let swapWrites = 0;
+    let shootdowns = 0;
+    const frameHistory = [];
+    // one outcome per access; OK_AFTER_FAULT is the part of OK that needed a page fault first
+    const results = { OK: 0, OK_AFTER_FAULT: 0, PROT: 0, NOT_PRESENT: 0, INVALID: 0 };
+    const leafPteAddr = new Map(); // "pid:vpn" → leaf PTE address seen in a walk (for A/D updates)
+    const perPid = new Map(); // pid → { accesses, tlbHits, tlbMisses, faults }
+    const statsFor = (p) => {
+      if (!perPid.has(p)) perPid.set(p, { accesses: 0, tlbHits: 0, tlbMisses: 0, faults: 0 });
+      return perPid.get(p);
+    };
+    const roots = new Map(); // pid → root table address (multi-level)
+
+    // Physical cache behind the translation (PIPT or VIPT)
+    let l1 = null;
+    let lat = null;
+    if (withCache) {
+      const vipt = s.cacheIndexing === "VIPT";
+      const geom = deriveGeometry(
+        paBits,
+        parseIntStrict(s.cacheSize ?? "4096", "cache size"),
+        parseIntStrict(s.cacheBlock ?? "64", "cache block size"),
+        parseIntStrict(s.cacheAssoc ?? "1", "cache associativity"),
+        "L1"
+      );
+      // index bits above the page offset come from the VPN: those are the bits that can alias
+      const aliasBits = Math.max(0, geom.offsetBits + geom.indexBits - offsetBits);
+      l1 = { geom, vipt, aliasBits, sets: initCache(geom.numSets, geom.assoc), hits: 0, misses: 0, aliases: 0 };
+      lat = {
+        tlb: parseIntStrict(s.tlbLatency ?? "1", "TLB latency"),
+        l1: parseIntStrict(s.l1Latency ?? "1", "L1 latency"),
+        mem: parseIntStrict(s.memLatency ?? "100", "memory latency"),
+      };
+    }
+    let totalCycles = 0;
+    let costedAccesses = 0;
+
+    const fmtPage = (vpn) => (refMode === "vpn" ? vpn.toString(10) : toHex(vpn));
+    const nruReset = paging ? parseIntStrict(s.nruReset ?? "4", "NRU reset interval") : 0;
 
     const outLines = [];
     const vaNibbles = Math.ceil(vaBits / 4);
     const paNibbles = Math.ceil(paBits / 4);
 
-    for (let i = 0; i < addrs.length; i++) {
+    let num = 0;
+    for (let i = 0; i < accesses.length; i++) {
+      if (accesses[i].switchTo != null) {
+        // context switch: new page table, and either flush the TLB or keep entries tagged by ASID
+        const { switchTo, root } = accesses[i];
+        if (walkCfg) {
+          if (root != null) roots.set(switchTo, root);
+          walkCfg.root = roots.get(switchTo) ?? baseRoot;
+        }
+        curPid = switchTo;
+        pageTable = tableFor(curPid);
+        let note = "";
+        if (enableTLB) {
+          const valid = tlbSets.flat().filter(ln => ln.valid);
+          if (tlbFlushOnSwitch) {
+            valid.forEach(ln => { ln.valid = false; });
+            note = `TLB flushed (${valid.length} entries dropped)`;
+          } else {
+            const own = valid.filter(ln => ln.asid === curPid).map(ln => toHex(ln.tag));
+            note = `TLB keeps ${valid.length} entries (ASID-tagged); usable by PID ${curPid}: ${own.join(", ") || "none"}`;
+          }
+        }
+        outLines.push(`--- switch to PID ${curPid}${walkCfg ? ` (root ${toHex(walkCfg.root)})` : ""}${note ? ` — ${note}` : ""}`);
+        continue;
+      }
       time++;
-      const va = addrs[i];
+      num++;
+      const { va, op, invalid } = accesses[i];
+      const stats = statsFor(curPid);
+      stats.accesses++;
+      const mode = accesses[i].mode ?? privMode;
 
       const offset = va & maskBits(offsetBits);
       const vpn = va >> BigInt(offsetBits);
 
+      if (invalid) {
+        results.INVALID++;
+        outLines.push(`${String(num).padStart(2, " ")}.  ${op}/${mode}  VA=${toHex(accesses[i].raw)} exceeds ${vaBits} bits  → INVALID ADDRESS`);
+        if (pager) frameHistory.push({ vpn: null, fault: false, evicted: null, frames: pager.frames.map(f => f?.vpn ?? null) });
+        continue;
+      }
+
       // TLB lookup (if enabled)
       let tlbHit = false;
       let tlbSetIdx = 0;
@@ -495,28 +1553,87 @@ export default {
         let hitWay = -1;
         for (let w = 0; w < setLines.length; w++) {
           const ln = setLines[w];
-          if (ln.valid && ln.tag === tlbTag) { hitWay = w; break; }
+          if (ln.valid && ln.tag === tlbTag && ln.asid === curPid) { hitWay = w; break; }
         }
 
         if (hitWay !== -1) {
           tlbHit = true;
           tlbHits++;
+          stats.tlbHits++;
           const ln = setLines[hitWay];
           ln.lastUsed = time;
           ppn = ln.ppn;
           flags = ln.flags || "";
         } else {
           tlbMisses++;
+          stats.tlbMisses++;
         }
       }
 
       // Page table lookup if TLB miss or disabled
+      let walk = null;
+      let pageFault = false;
+      let pageEvent = "";
+      let evictedVpn = null;
+      let ptReads = 0;
+      const lookupLines = [];
       if (!tlbHit) {
-        const entry = pageTable.get(vpn);
-        if (!entry) {
-          ptMisses++;
+        let entry = null;
+        if (inverted) {
+          const search = searchInverted(inverted, curPid, vpn);
+          ptReads = search.probes.length;
+          entry = search.entry;
+          lookupLines.push(fmtInvertedSearch(search, curPid, vpn));
+        } else if (hashed) {
+          const search = searchHashed(hashed, curPid, vpn);
+          ptReads = Math.max(1, search.probes.length);
+          entry = search.entry;
+          lookupLines.push(...fmtHashedSearch(search, curPid, vpn, hashed.length));
+        } else if (walkCfg) {
+          walk = walkPageTable(vpn, walkCfg);
+          ptReads = walk.steps.length;
+          if (!walk.fault) {
+            entry = { ppn: walk.ppn, flags: walk.flags };
+            leafPteAddr.set(`${curPid}:${vpn}`, walk.pteAddr);
+          }
         } else {
-          ptHits++;
+          entry = pageTable.get(vpn);
+          ptReads = 1;
+        }
+        walkRefs += ptReads;
+        if (!entry && pager) {
+          // page fault: bring the page into a free or victim frame
+          ptMisses++;
+          const frame = pagerVictim(pager, futureVpns, i);
+          const old = pager.frames[frame];
+          if (old) {
+            pageTable.delete(old.vpn);
+            pageEvent = `PAGE FAULT → frame ${frame}, evict VPN ${fmtPage(old.vpn)}${old.dirty ? " (dirty → swap)" : ""}`;
+            if (old.dirty) swapWrites++;
+            evictedVpn = old.vpn;
+            if (enableTLB) {
+              const sIdx = tlbIndexBits === 0 ? 0 : Number(old.vpn & maskBits(tlbIndexBits));
+              const oldTag = old.vpn >> BigInt(tlbIndexBits);
+              for (const ln of tlbSets[sIdx]) {
+                if (ln.valid && ln.tag === oldTag && ln.asid === curPid) {
+                  ln.valid = false;
+                  shootdowns++;
+                  pageEvent += `, TLB shootdown set[${sIdx}] tag ${toHex(oldTag)}`;
+                }
+              }
+            }
+          } else {
+            pageEvent = `PAGE FAULT → free frame ${frame}`;
+          }
+          pagerLoad(pager, frame, vpn, time, false); // dirty only once the store passes the permission check
+          entry = { ppn: BigInt(frame), flags: "" };
+          pageTable.set(vpn, entry);
+          pageFault = true;
+        } else if (!entry) {
+          ptMisses++;
+        }
+        if (entry) {
+          if (!pageFault) ptHits++;
           ppn = entry.ppn;
           flags = entry.flags || "";
 
@@ -529,28 +1646,136 @@ export default {
             setLines[victim].ppn = ppn;
             setLines[victim].flags = flags;
             setLines[victim].lastUsed = time;
+            setLines[victim].asid = curPid;
+          }
+        }
+      }
+
+      if (pager) {
+        if (!pageFault) pagerTouch(pager, Number(ppn), time, false);
+        if (nruReset > 0 && time % nruReset === 0 && pager.policy === "NRU") {
+          pager.frames.forEach(f => { if (f) f.ref = false; });
+        }
+        frameHistory.push({ vpn, fault: pageFault, evicted: evictedVpn, frames: pager.frames.map(f => f?.vpn ?? null) });
+      }
+
+      // Classify the access and update accessed/dirty bits on success
+      let result;
+      if (ppn == null || pageFault) stats.faults++;
+      if (ppn == null) {
+        results.NOT_PRESENT++;
+        result = "PAGE FAULT (not present)";
+      } else {
+        const denied = checkPermission(flags, op, mode);
+        if (denied) {
+          results.PROT++;
+          result = `PROTECTION FAULT — ${denied}`;
+        } else {
+          if (pageFault) results.OK_AFTER_FAULT++;
+          results.OK++;
+          result = pageFault ? "OK (after page fault)" : "OK";
+          if (pager && op === "W") pager.frames[Number(ppn)].dirty = true;
+          const newFlags = markAccessed(flags, op === "W");
+          if (newFlags !== flags) {
+            if (walkCfg) {
+              const addr = leafPteAddr.get(`${curPid}:${vpn}`);
+              if (addr != null) {
+                const { a, d } = pteAdBits(walkCfg.format);
+                const pte = walkCfg.mem.get(addr) ?? 0n;
+                walkCfg.mem.set(addr, pte | (1n << a) | (op === "W" ? 1n << d : 0n));
+              }
+            } else if (pageTable.has(vpn)) {
+              pageTable.get(vpn).flags = newFlags;
+            }
+            if (enableTLB) {
+              const ln = tlbSets[tlbSetIdx].find(x => x.valid && x.tag === tlbTag && x.asid === curPid);
+              if (ln) ln.flags = newFlags;
+            }
+            flags = newFlags;
           }
         }
       }
 
       // Compute PA if we have a ppn
       let paStr = "— (page fault / unmapped)";
+      let paClamped = null;
       if (ppn != null) {
         const pa = (ppn << BigInt(offsetBits)) | offset;
-        const paClamped = clampBigIntToBits(pa, paBits);
+        paClamped = clampBigIntToBits(pa, paBits);
         paStr = toHex(paClamped, paNibbles);
       }
 
+      // Cache lookup with the translated address, and the cycle cost of the whole access
+      const cacheLines = [];
+      if (l1) {
+        const terms = [];
+        const walkReads = ptReads;
+        if (enableTLB && l1.vipt) terms.push(`max(${lat.tlb} TLB, ${lat.l1} L1)`);
+        else if (enableTLB) terms.push(`${lat.tlb} (TLB)`);
+        if (walkReads > 0) terms.push(`${walkReads}×${lat.mem} (page table)`);
+        let cycles = (enableTLB && l1.vipt ? Math.max(lat.tlb, lat.l1) : enableTLB ? lat.tlb : 0) + walkReads * lat.mem;
+
+        if (paClamped != null && result.startsWith("OK")) {
+          const { geom, sets } = l1;
+          const pSplit = splitAddress(geom, paClamped);
+          // VIPT: set from the virtual address, tag check against the physical block
+          const setIdx = l1.vipt ? splitAddress(geom, clampBigIntToBits(va, paBits)).setIdx : pSplit.setIdx;
+          const pBlock = paClamped >> BigInt(geom.offsetBits);
+          const setLines = sets[setIdx];
+          let way = setLines.findIndex(ln => ln.valid && ln.tag === pBlock);
+          const hit = way !== -1;
+          let alias = "";
+          if (hit) {
+            l1.hits++;
+          } else {
+            l1.misses++;
+            way = pickVictimLRU(setLines);
+            setLines[way].valid = true;
+            setLines[way].tag = pBlock;
+            if (l1.vipt && l1.aliasBits > 0) {
+              const other = sets.findIndex((ls, k) => k !== setIdx && ls.some(ln => ln.valid && ln.tag === pBlock));
+              if (other !== -1) {
+                l1.aliases++;
+                alias = `  ALIAS: same physical block also cached in set ${other} (synonym)`;
+              }
+            }
+          }
+          setLines[way].lastUsed = time;
+          if (!(enableTLB && l1.vipt)) {
+            terms.push(`${lat.l1} (L1)`);
+            cycles += lat.l1;
+          }
+          if (!hit) {
+            terms.push(`${lat.mem} (memory)`);
+            cycles += lat.mem;
+          }
+          cacheLines.push(
+            `    cache ${l1.vipt ? "VIPT" : "PIPT"}: tag=${toHex(pSplit.tag)}  set=${setIdx}  offset=${pSplit.offset}  ${hit ? "HIT" : "MISS"} (way ${way})${alias}`
+          );
+        } else {
+          cacheLines.push("    cache: skipped (access faulted)");
+        }
+        totalCycles += cycles;
+        costedAccesses++;
+        cacheLines.push(`    cost = ${terms.join(" + ") || "0"} = ${cycles} cycles`);
+      }
+
       const vaStr = toHex(va, vaNibbles);
       const vpnStr = toHex(vpn);
       const offStr = offset.toString(10);
 
       // Print per access
       const parts = [];
-      parts.push(`${String(i + 1).padStart(2, " ")}.`);
-      parts.push(`VA=${vaStr}`);
-      parts.push(`VPN=${vpnStr}`);
-      parts.push(`off=${offStr}`);
+      parts.push(`${String(num).padStart(2, " ")}.`);
+      if (hasSwitches || ptByPid.size > 1) parts.push(`PID=${curPid}`);
+      parts.push(`${op}/${mode}`);
+      if (refMode === "vpn") {
+        parts.push(`page=${fmtPage(vpn)}`);
+      } else {
+        parts.push(`VA=${vaStr}`);
+        parts.push(`VPN=${vpnStr}`);
+        parts.push(`off=${offStr}`);
+      }
 
       if (enableTLB) {
         const idxStr = tlbIndexBits === 0 ? "0" : (vpn & maskBits(tlbIndexBits)).toString(10);
@@ -562,14 +1787,25 @@ export default {
       parts.push(`PPN=${ppn == null ? "—" : toHex(ppn)}`);
       if (flags) parts.push(`flags=${flags}`);
       parts.push(`PA=${paStr}`);
+      parts.push(`→ ${result}`);
 
       outLines.push(parts.join("  "));
+      if (pageEvent) outLines.push(`    ${pageEvent}`);
+      outLines.push(...lookupLines);
+      if (walk) outLines.push(...fmtWalkSteps(walk, walkCfg.format, walkCfg.levelBits.length, paNibbles, walkCfg.pteSize));
+      outLines.push(...cacheLines);
 
       if (showBinary) {
         const binVA = toBin(va, vaBits);
         const vpnBin = binVA.slice(0, vpnBits);
         const offBin = binVA.slice(vpnBits);
-        outLines.push(`    VA bin: ${vpnBin} | ${offBin}`);
+        if (walkCfg) {
+          let pos = 0;
+          const fields = walkCfg.levelBits.map(b => vpnBin.slice(pos, (pos += b)));
+          outLines.push(`    VA bin: ${fields.join(" | ")} | ${offBin}`);
+        } else {
+          outLines.push(`    VA bin: ${vpnBin} | ${offBin}`);
+        }
         if (enableTLB && tlbIndexBits > 0) {
           const vpnBinFull = toBin(vpn, vpnBits);
           const tlbTagBin = vpnBinFull.slice(0, tlbTagBits);
@@ -580,7 +1816,7 @@ export default {
 
       if (enableTLB && showTlbState) {
         const setLines = tlbSets[tlbSetIdx];
-        outLines.push(`    TLB set[${tlbSetIdx}] tags (MRU→LRU): ${fmtTlbTagsMRU(setLines) || "—"}`);
+        outLines.push(`    TLB set[${tlbSetIdx}] tags (MRU→LRU): ${fmtTlbTagsMRU(setLines, hasSwitches && !tlbFlushOnSwitch) || "—"}`);
       }
     }
 
@@ -595,6 +1831,17 @@ export default {
     out.push(`- offsetBits = log2(pageSize) = log2(${pageSize}) = ${offsetBits}`);
     out.push(`- VPN bits = VA bits - offsetBits = ${vaBits} - ${offsetBits} = ${vpnBits}`);
 
+    if (walkCfg) {
+      const { levelBits, format, root, pteSize } = walkCfg;
+      out.push("");
+      out.push("Page table (multi-level):");
+      out.push(`- levels: ${levelBits.length}  (${format === "x86" ? "x86-64 PTE format" : "RISC-V PTE format"})`);
+      out.push(`- VPN split: ${levelBits.map((b, k) => `${levelName(format, levelBits.length, levelBits.length - 1 - k)}=${b}`).join(" | ")} bits`);
+      out.push(`- root table @ ${toHex(root, paNibbles)}`);
+      out.push(`- PTE size: ${pteSize} B → PTE address = table base + index × ${pteSize}`);
+      out.push(`- entries per table (top → bottom): ${levelBits.map(b => 2 ** b).join(", ")}`);
+    }
+
     if (enableTLB) {
       const numSets = tlbEntries / tlbAssoc;
       out.push("");
@@ -606,10 +1853,70 @@ export default {
       out.push(`- TLB tag bits   = VPN bits - index bits = ${vpnBits} - ${tlbIndexBits} = ${tlbTagBits}`);
     }
 
+    if (hasSwitches || ptByPid.size > 1) {
+      out.push("");
+      out.push("Processes:");
+      out.push(`- page tables for PIDs: ${[...ptByPid.keys()].sort((a, b) => a - b).join(", ")}  (trace starts in PID ${pid})`);
+      if (enableTLB) {
+        out.push(tlbFlushOnSwitch
+          ? "- TLB on context switch: flush all entries"
+          : "- TLB on context switch: keep entries, each tagged with its ASID (= PID)");
+      }
+      const shared = findSharedFrames(ptByPid);
+      shared.forEach(u => out.push(`- shared frame PPN ${toHex(u.ppn)}: ${u.who.join(", ")}`));
+      if (shared.length === 0) out.push("- no shared frames");
+    }
+    if (inverted) {
+      const used = inverted.filter(Boolean).length;
+      out.push("");
+      out.push("Inverted page table:");
+      out.push(`- one entry per frame: ${inverted.length} entries (${used} in use), searched linearly for (PID, VPN)`);
+      out.push(`- PID for this trace: ${pid}`);
+      out.push(`- frame index of the match = PPN; a miss examines all ${inverted.length} entries`);
+    }
+    if (hashed) {
+      const lens = hashed.map(c => c.length);
+      out.push("");
+      out.push("Hashed page table:");
+      out.push(`- buckets: ${hashed.length}, hash h = (VPN ⊕ PID) mod ${hashed.length}, PID ${pid}`);
+      out.push(`- chain lengths: ${lens.join(", ")}  (longest ${Math.max(...lens)})`);
+      out.push("- each chain element read costs one memory reference (an empty bucket costs one)");
+    }
+    if (pager) {
+      out.push("");
+      out.push("Paging:");
+      out.push(`- frames: ${numFrames}  (PPN 0..${numFrames - 1})`);
+      out.push(`- replacement: ${PAGING_POLICIES.find(p => p.id === pager.policy)?.label ?? pager.policy}`);
+      if (pager.policy === "NRU") {
+        out.push(`- R bits cleared every ${nruReset > 0 ? `${nruReset} references` : "— (never: once every page has R = 1, NRU only separates clean from dirty pages)"}; class = 2·R + M, lowest class is evicted`);
+      }
+    }
+
+    if (l1) {
+      const { geom, vipt, aliasBits } = l1;
+      out.push("");
+      out.push(`L1 cache (${vipt ? "VIPT: index from VA, tag from PA" : "PIPT: index and tag from PA"}):`);
+      out.push(`- size ${geom.cacheSize} B, block ${geom.blockSize} B, ${geom.assoc}-way`);
+      out.push(...fmtGeometry(geom));
+      out.push(`- index + offset bits = ${geom.indexBits + geom.offsetBits}, page offset bits = ${offsetBits}`);
+      if (vipt) {
+        out.push(aliasBits > 0
+          ? `- VIPT ALIASING: ${aliasBits} index bit(s) come from the VPN (size/assoc = ${geom.cacheSize / geom.assoc} B > page ${pageSize} B) — synonyms can sit in different sets`
+          : "- no VIPT aliasing: all index bits lie inside the page offset");
+      }
+      out.push(`- latencies: TLB ${lat.tlb}, L1 ${lat.l1}, memory ${lat.mem} cycles (a page table read costs one memory access)`);
+    }
+
     out.push("");
     out.push("Accesses:");
     out.push(...outLines);
 
+    if (pager) {
+      out.push("");
+      out.push("Reference string (frames × time, F = page fault):");
+      out.push(...fmtFrameTable(frameHistory, numFrames, fmtPage));
+    }
+
     out.push("");
     out.push("Summary:");
     if (enableTLB) {
@@ -618,8 +1925,32 @@ export default {
       out.push(`- TLB misses: ${tlbMisses}`);
       out.push(`- TLB hit rate: ${total ? ((tlbHits / total) * 100).toFixed(2) : "0.00"}%`);
     }
+    out.push(`- Access results: OK ${results.OK}${results.OK_AFTER_FAULT ? ` (${results.OK_AFTER_FAULT} after a page fault)` : ""}, protection faults ${results.PROT}, not present ${results.NOT_PRESENT}, invalid addresses ${results.INVALID}`);
     out.push(`- Page table hits (mapped VPN):   ${ptHits}`);
     out.push(`- Page table misses (unmapped):   ${ptMisses}`);
+    if (perPid.size > 1) {
+      for (const [p, st] of [...perPid].sort((a, b) => a[0] - b[0])) {
+        const t = st.tlbHits + st.tlbMisses;
+        const tlbPart = enableTLB ? `, TLB hits ${st.tlbHits}/${t} (${t ? ((st.tlbHits / t) * 100).toFixed(2) : "0.00"}%)` : "";
+        out.push(`- PID ${p}: ${st.accesses} accesses${tlbPart}, faults ${st.faults}`);
+      }
+    }
+    if (pager) {
+      const n = numAccesses;
+      out.push(`- Page faults: ${ptMisses} / ${n}  (fault rate ${((ptMisses / n) * 100).toFixed(2)}%)`);
+      out.push(`- Dirty evictions written to swap: ${swapWrites}`);
+      if (enableTLB) out.push(`- TLB shootdowns: ${shootdowns}`);
+    }
+    if (l1) {
+      const n = l1.hits + l1.misses;
+      out.push(`- L1 hits: ${l1.hits}, misses: ${l1.misses}  (hit rate ${n ? ((l1.hits / n) * 100).toFixed(2) : "0.00"}%)`);
+      if (l1.vipt) out.push(`- VIPT synonyms detected: ${l1.aliases}`);
+      out.push(`- total cycles: ${totalCycles}  (average ${costedAccesses ? (totalCycles / costedAccesses).toFixed(2) : "0.00"} per access)`);
+    }
+    if (ptMode !== "flat") {
+      const what = { multi: "Page walks", inverted: "Inverted-table searches", hashed: "Hash-table lookups" }[ptMode];
+      out.push(`- ${what}: ${ptHits + ptMisses}  (${walkRefs} memory references)`);
+    }
 
     return out.join("\n");
   },